@@ -0,0 +1,122 @@
+/**
+ * Game sound: plays the synth voices (audio/synth.js) through the mixer for what happens
+ * in the world. One-shots are called from the game where they happen (magnum, shatter);
+ * `update` runs once per rendered frame and follows the rest from the world state:
+ * - fire crackle loudness from the fire grid's burning cell count, panned to the fire
+ * - a "HELP!" each time a wounded goon's scream cycle comes round
+ * - a whoosh when a foreground car passes the middle of the screen
+ * - the city bed, with the odd distant horn
+ * The score (audio/music.js) follows the game clock through `followMusic`, called from
+ * the sim step, and heats up with aggro goons, the boss fight and spreading fire.
+ *
+ * It only reads the world, so sound never changes what the sim does.
+ */
+import { VW } from '../core/constants.js';
+import { Mixer } from './mixer.js';
+import * as synth from './synth.js';
+import { MusicSequencer } from './music.js';
+import { PARALLAX } from '../systems/traffic.js';
+
+const FIRE_FULL = 600;     // burning cells for a full-volume crackle
+const HEAR_RANGE = VW * 1.5; // one-shots farther than this from the screen centre are dropped
+const MUSIC_CALM = 0.15;   // intensity of a quiet street
+
+export class GameAudio {
+  constructor(mixer = new Mixer()) {
+    this.mixer = mixer;
+    this.fire = null;
+    this.city = null;
+    this.screams = new WeakMap(); // goon -> screamTimer last frame
+    this.passed = new WeakSet();  // cars already whooshed
+    this.hornT = 8;
+    this.music = new MusicSequencer();
+    this.burnAvg = 0; // slow average of burning cells, to tell a spreading fire
+  }
+
+  /** Start the score over from `seed` (run start, replay start). */
+  restartMusic(seed) {
+    this.music.setSeed(seed);
+    this.burnAvg = 0;
+  }
+
+  /**
+   * Advance the score by a sim step toward the intensity the street calls for.
+   * @param {{ goons:any[], boss:import('../systems/boss.js').BossSystem, fireStats:{burning:number} }} world
+   */
+  followMusic(dt, { goons, boss, fireStats }) {
+    let target = MUSIC_CALM;
+    const aggro = goons.filter(g => g.combat && g.alive).length;
+    if (aggro) target = Math.min(1, 0.65 + 0.1 * aggro);
+    if (boss.active) target = 1;
+    else if (boss.cutscene.active) target = Math.max(target, 0.7);
+    const burning = fireStats.burning;
+    this.burnAvg += (burning - this.burnAvg) * Math.min(1, dt / 3);
+    if (burning > 30 && burning > this.burnAvg * 1.02) target = Math.max(target, 0.4 + Math.min(0.4, burning / 1500));
+    this.music.follow(dt, target);
+  }
+
+  unlock() {
+    if (!this.mixer.unlock() || this.fire) return;
+    const { ctx, sfx } = this.mixer;
+    this.fire = synth.fireLoop(ctx, sfx);
+    this.city = synth.cityLoop(ctx, sfx);
+  }
+
+  // Pan and distance gain of a world x seen from the camera; null when out of earshot
+  _place(worldX, cameraX) {
+    const dx = worldX - (cameraX + VW / 2);
+    if (Math.abs(dx) > HEAR_RANGE) return null;
+    return { pan: dx / (VW / 2) * 0.8, level: 1 - 0.6 * Math.abs(dx) / HEAR_RANGE };
+  }
+
+  magnum(tier) {
+    if (this.mixer.ready) synth.magnum(this.mixer.ctx, this.mixer.sfx, tier);
+  }
+
+  shatter(worldX, cameraX) {
+    const at = this._place(worldX, cameraX);
+    if (this.mixer.ready && at) synth.shatter(this.mixer.ctx, this.mixer.sfx, at.pan);
+  }
+
+  /**
+   * @param {number} dt real seconds since the last frame
+   * @param {{ cameraX:number, paused:boolean, fireStats:{burning:number, burningX:number}, goons:any[], cars:any[] }} world
+   */
+  update(dt, { cameraX, paused, fireStats, goons, cars }) {
+    this.music.play(this.mixer.ready ? this.mixer.ctx : null, this.mixer.music);
+    if (!this.mixer.ready) return;
+    const { ctx, sfx } = this.mixer;
+    if (paused) {
+      this.fire.setLevel(0);
+      this.city.setLevel(0.15);
+      return;
+    }
+    this.city.setLevel(0.35);
+    const burn = Math.min(1, Math.sqrt(fireStats.burning / FIRE_FULL));
+    const fireAt = this._place(fireStats.burningX, cameraX);
+    this.fire.setLevel(fireAt ? 0.7 * burn * fireAt.level : 0, fireAt?.pan ?? 0);
+
+    for (const g of goons) {
+      const prev = this.screams.get(g);
+      this.screams.set(g, g.screamTimer);
+      if (g.state !== 'wounded' || !(g.screamTimer > (prev ?? 0))) continue;
+      const at = this._place(g.x + 8, cameraX);
+      if (at) synth.scream(ctx, sfx, at.pan, at.level);
+    }
+
+    for (const c of cars) {
+      if (c.variant === 'firetruck' || this.passed.has(c)) continue;
+      const sx = c.x + c.w / 2 - cameraX * PARALLAX; // foreground parallax lane
+      if ((sx - VW / 2) * c.dir >= 0) {
+        this.passed.add(c);
+        if (sx < VW * 1.5 && sx > -VW / 2) synth.whoosh(ctx, sfx, c.dir, Math.min(1, c.speed / 140));
+      }
+    }
+
+    this.hornT -= dt;
+    if (this.hornT <= 0) {
+      this.hornT = 10 + Math.random() * 20;
+      synth.distantHorn(ctx, sfx, Math.random() * 2 - 1);
+    }
+  }
+}
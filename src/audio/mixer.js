@@ -0,0 +1,66 @@
+/**
+ * WebAudio mixer: master, SFX and music buses with volumes kept in the `audio` settings
+ * section. The AudioContext is created on the first user gesture (browsers keep audio
+ * locked until then); until it exists every bus is null and callers skip their sound.
+ *
+ *   sources -> sfx ----\
+ *                       master -> compressor -> speakers
+ *   sources -> music --/
+ */
+import { loadSettings, saveSettingsSection } from '../core/settings.js';
+
+export const BUSES = ['master', 'sfx', 'music'];
+const DEFAULT_VOLUMES = { master: 0.8, sfx: 0.9, music: 0.6 };
+
+export class Mixer {
+  constructor(settings = loadSettings()) {
+    this.volumes = { ...DEFAULT_VOLUMES };
+    const saved = settings.audio;
+    if (saved && typeof saved === 'object') {
+      for (const b of BUSES) if (typeof saved[b] === 'number') this.volumes[b] = clamp01(saved[b]);
+    }
+    this.ctx = null;
+    this.master = null;
+    this.sfx = null;
+    this.music = null;
+  }
+
+  get ready() {
+    return !!this.ctx && this.ctx.state === 'running';
+  }
+
+  /** Create or resume the AudioContext; call from a user gesture. */
+  unlock() {
+    if (!this.ctx) {
+      const Ctx = globalThis.AudioContext || globalThis.webkitAudioContext;
+      if (!Ctx) return false;
+      this.ctx = new Ctx();
+      const limiter = this.ctx.createDynamicsCompressor();
+      limiter.threshold.value = -10;
+      limiter.ratio.value = 8;
+      limiter.connect(this.ctx.destination);
+      this.master = this.ctx.createGain();
+      this.master.connect(limiter);
+      this.sfx = this.ctx.createGain();
+      this.sfx.connect(this.master);
+      this.music = this.ctx.createGain();
+      this.music.connect(this.master);
+      for (const b of BUSES) this[b].gain.value = this.volumes[b];
+    }
+    if (this.ctx.state === 'suspended') this.ctx.resume()?.catch?.(() => {});
+    return true;
+  }
+
+  /** Set a bus volume 0..1 (saved). */
+  setVolume(bus, v) {
+    if (!BUSES.includes(bus)) return false;
+    this.volumes[bus] = clamp01(v);
+    if (this[bus]) this[bus].gain.setTargetAtTime(this.volumes[bus], this.ctx.currentTime, 0.02);
+    saveSettingsSection('audio', this.volumes);
+    return true;
+  }
+}
+
+function clamp01(v) {
+  return Math.max(0, Math.min(1, Number(v) || 0));
+}
@@ -0,0 +1,129 @@
+/**
+ * Procedural 70s cop-movie score: a 4-bar jazz-funk loop (bass, Rhodes-like keys, hi-hat)
+ * composed from a seed and played by a 16th-note step sequencer.
+ *
+ * Every note carries a gate 0..1 and plays only while the intensity is at least that
+ * high, so a calm street gets roots, long chords and offbeat hats, and a fight fills in
+ * the syncopated bass, chord stabs and 16th hats.
+ *
+ * The sequencer runs on the game clock: `follow(dt, target)` is called from the sim step,
+ * eases the intensity and queues the steps it crosses; `play` hands them to WebAudio each
+ * frame. Same seed + same run = same music, so replays sound like the original.
+ */
+import { makeRng } from '../core/rng.js';
+import * as synth from './synth.js';
+
+const BPM = 96;
+export const STEP_DUR = 60 / BPM / 4; // seconds per 16th
+const STEPS = 16;
+const BARS = 4;
+const RISE = 1.5;           // intensity per second while heating up (aggro spikes are short)
+const FALL = 0.06;          // and while cooling down
+const LATENCY = 0.06;       // s between a step being queued and heard
+
+const DORIAN = [0, 2, 3, 5, 7, 9, 10];
+const PROGRESSIONS = [[0, 0, 3, 4], [0, 3, 0, 4], [0, 5, 3, 4], [0, 0, 5, 3], [0, 3, 6, 4]];
+const BASS_RHYTHMS = [
+  'x..x..x.x..x.x..',
+  'x.xx...x..x.x..x',
+  'x..x.x..x.xx..x.',
+  'x...x.xx..x..xx.',
+];
+const STAB_RHYTHMS = [[3, 10], [2, 7, 14], [6, 11], [3, 6, 12]];
+
+// Scale degree (may run past the octave) to a semitone offset from the root
+function degree(d) {
+  return DORIAN[((d % 7) + 7) % 7] + 12 * Math.floor(d / 7);
+}
+
+/**
+ * Compose a loop from `seed`. Notes are listed per step (BARS * STEPS steps):
+ * bass [{ midi, len, vel, gate }], keys [{ notes, len, vel, gate }], hats [{ open, vel, gate }].
+ */
+export function composeLoop(seed) {
+  const r = makeRng((seed ^ 0x6d757369) >>> 0);
+  const pick = (list) => list[Math.floor(r() * list.length)];
+  const root = 38 + Math.floor(r() * 7); // D2..G#2
+  const prog = pick(PROGRESSIONS);
+  const total = BARS * STEPS;
+  const bass = Array.from({ length: total }, () => []);
+  const keys = Array.from({ length: total }, () => []);
+  const hats = Array.from({ length: total }, () => []);
+
+  for (let bar = 0; bar < BARS; bar++) {
+    const d = prog[bar];
+    const chordRoot = root + degree(d);
+    const rhythm = pick(BASS_RHYTHMS);
+    for (let s = 0; s < STEPS; s++) {
+      if (rhythm[s] !== 'x') continue;
+      const down = s === 0 || s === 8;
+      let midi = chordRoot;
+      if (!down) midi = root + pick([degree(d), degree(d) + 12, degree(d + 4), degree(d + 6)]);
+      if (s === 15 && r() < 0.6) midi = root + degree(prog[(bar + 1) % BARS]) - 1; // chromatic approach
+      bass[bar * STEPS + s].push({ midi, len: down ? 3 : 1 + Math.floor(r() * 2), vel: down ? 1 : 0.7 + 0.3 * r(), gate: down ? 0 : 0.2 + 0.6 * r() });
+    }
+    // Keys: rootless voicing (3rd, 5th, 7th, 9th) around middle C
+    const notes = [2, 4, 6, 8].map(k => root + 24 + degree(d + k));
+    keys[bar * STEPS].push({ notes, len: 12, vel: 0.6, gate: 0 });
+    for (const s of pick(STAB_RHYTHMS)) keys[bar * STEPS + s].push({ notes, len: 1, vel: 0.8, gate: 0.35 + 0.4 * r() });
+    for (let s = 0; s < STEPS; s++) {
+      const i = bar * STEPS + s;
+      if (s % 4 === 2) hats[i].push({ open: false, vel: 1, gate: 0 });
+      else if (s % 2 === 0) hats[i].push({ open: false, vel: 0.6, gate: 0.3 });
+      else hats[i].push({ open: false, vel: 0.35 + 0.2 * r(), gate: 0.55 + 0.35 * r() });
+    }
+    hats[bar * STEPS + 14][0] = { open: true, vel: 0.8, gate: 0.7 };
+  }
+  return { root, bass, keys, hats, steps: total };
+}
+
+export class MusicSequencer {
+  constructor(seed = 1) {
+    this.setSeed(seed);
+  }
+
+  /** New loop from `seed`, from the top (run start, replay start). */
+  setSeed(seed) {
+    this.loop = composeLoop(seed);
+    this.t = 0;
+    this.step = 0;
+    this.intensity = 0;
+    this.queue = []; // { step, at, level } crossed by the game clock, not yet played
+  }
+
+  /**
+   * Advance by `dt` of game time toward intensity `target` (0..1) and queue the steps
+   * that start in that time.
+   */
+  follow(dt, target) {
+    const rate = target > this.intensity ? RISE : FALL;
+    this.intensity += Math.max(-rate * dt, Math.min(rate * dt, target - this.intensity));
+    this.t += dt;
+    while (this.step * STEP_DUR <= this.t) {
+      this.queue.push({ step: this.step % this.loop.steps, at: this.step * STEP_DUR, level: this.intensity });
+      this.step++;
+    }
+    if (this.queue.length > 32) this.queue.splice(0, this.queue.length - 32); // audio was locked
+  }
+
+  /** Schedule the queued steps into `out` (the music bus); drops them when audio is off. */
+  play(ctx, out) {
+    const queue = this.queue;
+    this.queue = [];
+    if (!ctx) return;
+    const base = ctx.currentTime + LATENCY;
+    for (const q of queue) {
+      const when = base + Math.max(-LATENCY, q.at - this.t);
+      const lvl = q.level;
+      for (const n of this.loop.bass[q.step]) {
+        if (lvl >= n.gate) synth.bassNote(ctx, out, when, n.midi, n.len * STEP_DUR, n.vel * (0.6 + 0.4 * lvl));
+      }
+      for (const n of this.loop.keys[q.step]) {
+        if (lvl >= n.gate) synth.rhodes(ctx, out, when, n.notes, n.len * STEP_DUR, n.vel * (0.7 + 0.3 * lvl));
+      }
+      for (const n of this.loop.hats[q.step]) {
+        if (lvl >= n.gate) synth.hat(ctx, out, when, n.open, n.vel * (0.5 + 0.5 * lvl));
+      }
+    }
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * Procedural sound synthesis (no samples): each one-shot builds a short node graph from
+ * noise and oscillators, schedules its envelopes and lets the nodes end on their own.
+ * Loops (fire crackle, city bed) return a handle with `setLevel(level, pan)`.
+ *
+ * All functions take the AudioContext and the bus to play into; `pan` is -1..1.
+ */
+
+const noiseCache = new WeakMap();
+
+// 2 s of white noise, shared per context
+function noise(ctx) {
+  let buf = noiseCache.get(ctx);
+  if (!buf) {
+    buf = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+    const d = buf.getChannelData(0);
+    for (let i = 0; i < d.length; i++) d[i] = Math.random() * 2 - 1;
+    noiseCache.set(ctx, buf);
+  }
+  return buf;
+}
+
+function noiseSource(ctx, loop = false) {
+  const src = ctx.createBufferSource();
+  src.buffer = noise(ctx);
+  src.loop = loop;
+  if (!loop) src.playbackRate.value = 0.9 + Math.random() * 0.2;
+  return src;
+}
+
+function panned(ctx, out, pan = 0) {
+  if (!ctx.createStereoPanner) return out;
+  const p = ctx.createStereoPanner();
+  p.pan.value = Math.max(-1, Math.min(1, pan));
+  p.connect(out);
+  return p;
+}
+
+// Gain with an attack/exponential decay envelope starting at `t`
+function envelope(ctx, out, t, peak, attack, decay) {
+  const g = ctx.createGain();
+  g.gain.setValueAtTime(0.0001, t);
+  g.gain.exponentialRampToValueAtTime(peak, t + attack);
+  g.gain.exponentialRampToValueAtTime(0.0001, t + attack + decay);
+  g.connect(out);
+  return g;
+}
+
+function filter(ctx, type, freq, q = 1) {
+  const f = ctx.createBiquadFilter();
+  f.type = type;
+  f.frequency.value = freq;
+  f.Q.value = q;
+  return f;
+}
+
+/** The .44 report: sharp crack, chest thump and a street echo; `tier` 1..3 (damage tier). */
+export function magnum(ctx, out, tier = 1, pan = 0) {
+  const t = ctx.currentTime;
+  const bus = panned(ctx, out, pan);
+  const tail = 0.18 + 0.14 * tier;
+  // Crack
+  const crack = noiseSource(ctx);
+  const lp = filter(ctx, 'lowpass', 5200, 0.7);
+  lp.frequency.setValueAtTime(6000, t);
+  lp.frequency.exponentialRampToValueAtTime(500, t + tail);
+  crack.connect(lp).connect(envelope(ctx, bus, t, 0.55 + 0.15 * tier, 0.002, tail));
+  crack.start(t); crack.stop(t + tail + 0.05);
+  // Thump
+  const body = ctx.createOscillator();
+  body.frequency.setValueAtTime(150 - 15 * tier, t);
+  body.frequency.exponentialRampToValueAtTime(38, t + 0.2);
+  body.connect(envelope(ctx, bus, t, 0.5 + 0.2 * tier, 0.004, 0.22));
+  body.start(t); body.stop(t + 0.3);
+  // Echo off the buildings
+  const echo = noiseSource(ctx);
+  const bp = filter(ctx, 'bandpass', 700, 0.8);
+  echo.connect(bp).connect(envelope(ctx, bus, t + 0.09, 0.08 * tier, 0.02, 0.35 + 0.15 * tier));
+  echo.start(t + 0.09); echo.stop(t + 0.7 + 0.15 * tier);
+}
+
+/** Bottle shatter: glass tinkles over a dull break, then the whump of the spill catching. */
+export function shatter(ctx, out, pan = 0) {
+  const t = ctx.currentTime;
+  const bus = panned(ctx, out, pan);
+  const hit = noiseSource(ctx);
+  hit.connect(filter(ctx, 'highpass', 2500, 0.7)).connect(envelope(ctx, bus, t, 0.4, 0.001, 0.12));
+  hit.start(t); hit.stop(t + 0.2);
+  for (let i = 0; i < 7; i++) {
+    const at = t + 0.01 + Math.random() * 0.22;
+    const ping = ctx.createOscillator();
+    ping.type = 'triangle';
+    ping.frequency.value = 2400 + Math.random() * 3600;
+    ping.connect(envelope(ctx, bus, at, 0.05 + Math.random() * 0.06, 0.001, 0.05 + Math.random() * 0.1));
+    ping.start(at); ping.stop(at + 0.2);
+  }
+  const whump = noiseSource(ctx);
+  const lp = filter(ctx, 'lowpass', 200, 0.9);
+  lp.frequency.setValueAtTime(200, t + 0.05);
+  lp.frequency.exponentialRampToValueAtTime(900, t + 0.3);
+  whump.connect(lp).connect(envelope(ctx, bus, t + 0.05, 0.45, 0.12, 0.5));
+  whump.start(t + 0.05); whump.stop(t + 0.8);
+}
+
+/** A goon yelling "HELP!": two formant-filtered sawtooth syllables. */
+export function scream(ctx, out, pan = 0, level = 1) {
+  const t = ctx.currentTime;
+  const bus = panned(ctx, out, pan);
+  const base = 260 + Math.random() * 60;
+  const syllables = [[0, 0.16, 1], [0.19, 0.32, 1.25]]; // "hel", "P!" higher and longer
+  for (const [at, len, up] of syllables) {
+    const s = t + at;
+    const osc = ctx.createOscillator();
+    osc.type = 'sawtooth';
+    osc.frequency.setValueAtTime(base * up, s);
+    osc.frequency.linearRampToValueAtTime(base * up * 1.15, s + len * 0.4);
+    osc.frequency.linearRampToValueAtTime(base * up * 0.85, s + len);
+    const env = envelope(ctx, bus, s, 0.22 * level, 0.02, len);
+    for (const [f, q] of [[800, 6], [1250, 8]]) osc.connect(filter(ctx, 'bandpass', f, q)).connect(env);
+    osc.start(s); osc.stop(s + len + 0.05);
+  }
+}
+
+/** A car passing in front: filtered noise that swells, with the pan sweeping `dir` (-1/1). */
+export function whoosh(ctx, out, dir = 1, level = 1) {
+  const t = ctx.currentTime;
+  const len = 0.9;
+  const bus = panned(ctx, out, -0.8 * dir);
+  if (bus.pan) bus.pan.linearRampToValueAtTime(0.8 * dir, t + len);
+  const src = noiseSource(ctx);
+  const bp = filter(ctx, 'bandpass', 300, 1.2);
+  bp.frequency.setValueAtTime(280, t);
+  bp.frequency.exponentialRampToValueAtTime(1100, t + len * 0.5);
+  bp.frequency.exponentialRampToValueAtTime(320, t + len);
+  const g = ctx.createGain();
+  g.gain.setValueAtTime(0.0001, t);
+  g.gain.exponentialRampToValueAtTime(0.3 * level, t + len * 0.5);
+  g.gain.exponentialRampToValueAtTime(0.0001, t + len);
+  g.connect(bus);
+  src.connect(bp).connect(g);
+  src.start(t); src.stop(t + len + 0.05);
+}
+
+/** A far-off car horn for the city bed. */
+export function distantHorn(ctx, out, pan = 0) {
+  const t = ctx.currentTime;
+  const bus = panned(ctx, out, pan);
+  const env = envelope(ctx, bus, t, 0.025, 0.03, 0.4 + Math.random() * 0.4);
+  const lp = filter(ctx, 'lowpass', 900, 0.7);
+  lp.connect(env);
+  for (const f of [330, 415]) {
+    const o = ctx.createOscillator();
+    o.type = 'square';
+    o.frequency.value = f * (0.95 + Math.random() * 0.1);
+    o.connect(lp);
+    o.start(t); o.stop(t + 1);
+  }
+}
+
+const mtof = (m) => 440 * 2 ** ((m - 69) / 12);
+
+/** Music: a plucky electric bass note at `when` (sawtooth through a closing lowpass, sine sub). */
+export function bassNote(ctx, out, when, midi, len, vel = 1) {
+  const f = mtof(midi);
+  const env = envelope(ctx, out, when, 0.32 * vel, 0.005, len + 0.08);
+  const lp = filter(ctx, 'lowpass', f * 6, 4);
+  lp.frequency.setValueAtTime(f * 8, when);
+  lp.frequency.exponentialRampToValueAtTime(f * 1.5, when + len);
+  lp.connect(env);
+  const saw = ctx.createOscillator();
+  saw.type = 'sawtooth';
+  saw.frequency.value = f;
+  saw.connect(lp);
+  const sub = ctx.createOscillator();
+  sub.frequency.value = f;
+  sub.connect(lp);
+  for (const o of [saw, sub]) { o.start(when); o.stop(when + len + 0.12); }
+}
+
+/** Music: a Rhodes-like chord: FM bell attack over sine tines, with a slow tremolo. */
+export function rhodes(ctx, out, when, midis, len, vel = 1) {
+  const env = envelope(ctx, out, when, 0.09 * vel, 0.008, len + 0.3);
+  const trem = ctx.createGain();
+  trem.gain.value = 1;
+  const lfo = ctx.createOscillator();
+  lfo.frequency.value = 4.5;
+  const depth = ctx.createGain();
+  depth.gain.value = 0.15;
+  lfo.connect(depth).connect(trem.gain);
+  trem.connect(env);
+  const end = when + len + 0.35;
+  lfo.start(when); lfo.stop(end);
+  for (const m of midis) {
+    const f = mtof(m);
+    const car = ctx.createOscillator();
+    car.frequency.value = f;
+    const mod = ctx.createOscillator();
+    mod.frequency.value = f;
+    const index = ctx.createGain();
+    index.gain.setValueAtTime(f * 1.2, when);
+    index.gain.exponentialRampToValueAtTime(f * 0.05, when + 0.25);
+    mod.connect(index).connect(car.frequency);
+    car.connect(trem);
+    for (const o of [car, mod]) { o.start(when); o.stop(end); }
+  }
+}
+
+/** Music: closed or open hi-hat at `when`. */
+export function hat(ctx, out, when, open = false, vel = 1) {
+  const src = noiseSource(ctx);
+  const decay = open ? 0.22 : 0.04;
+  src.connect(filter(ctx, 'highpass', 7000, 0.8)).connect(envelope(ctx, out, when, 0.12 * vel, 0.001, decay));
+  src.start(when); src.stop(when + decay + 0.05);
+}
+
+// Looping layer: a source graph into a gain that `setLevel` glides
+function loopLayer(ctx, out, build) {
+  const g = ctx.createGain();
+  g.gain.value = 0;
+  const bus = panned(ctx, out, 0);
+  g.connect(bus);
+  build(g);
+  return {
+    setLevel(level, pan = 0) {
+      g.gain.setTargetAtTime(Math.max(0, level), ctx.currentTime, 0.25);
+      if (bus.pan) bus.pan.setTargetAtTime(Math.max(-1, Math.min(1, pan)), ctx.currentTime, 0.25);
+    },
+  };
+}
+
+/** Fire crackle: sparse pops over a low roar; the level follows how much is burning. */
+export function fireLoop(ctx, out) {
+  return loopLayer(ctx, out, (g) => {
+    // Pops: a buffer of random decaying clicks
+    const len = ctx.sampleRate * 3;
+    const buf = ctx.createBuffer(1, len, ctx.sampleRate);
+    const d = buf.getChannelData(0);
+    for (let n = 0; n < 90; n++) {
+      const at = Math.floor(Math.random() * (len - 2000));
+      const amp = 0.3 + Math.random() * 0.7;
+      const decay = 80 + Math.random() * 600;
+      for (let i = 0; i < 1500; i++) d[at + i] += (Math.random() * 2 - 1) * amp * Math.exp(-i / decay);
+    }
+    const pops = ctx.createBufferSource();
+    pops.buffer = buf;
+    pops.loop = true;
+    pops.connect(filter(ctx, 'highpass', 900, 0.5)).connect(g);
+    pops.start();
+    // Roar
+    const roar = noiseSource(ctx, true);
+    const roarGain = ctx.createGain();
+    roarGain.gain.value = 0.5;
+    roar.connect(filter(ctx, 'lowpass', 320, 0.8)).connect(roarGain).connect(g);
+    roar.start();
+  });
+}
+
+/** City ambience bed: distant traffic rumble and a faint high hiss of the street. */
+export function cityLoop(ctx, out) {
+  return loopLayer(ctx, out, (g) => {
+    const rumble = noiseSource(ctx, true);
+    rumble.playbackRate.value = 0.5;
+    rumble.connect(filter(ctx, 'lowpass', 180, 0.6)).connect(g);
+    rumble.start();
+    const hiss = noiseSource(ctx, true);
+    const hissGain = ctx.createGain();
+    hissGain.gain.value = 0.06;
+    hiss.connect(filter(ctx, 'bandpass', 3000, 0.5)).connect(hissGain).connect(g);
+    hiss.start();
+  });
+}
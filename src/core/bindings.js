@@ -0,0 +1,166 @@
+/**
+ * Action mapping: gameplay code asks for actions (MoveLeft, Fire, ...) instead of keys.
+ * Each action has up to two keys; bindings load from the `bindings` settings section and
+ * are saved back there when rebound.
+ *
+ * Keys are normalized KeyboardEvent.key values: printable keys lowercased ('a', ' '),
+ * named keys as-is ('ArrowLeft', 'Shift'). Gamepad buttons and the touch overlay arrive as
+ * virtual keys ('PadA', 'TouchFire'; see core/gamepad.js, ui/touch_controls.js) and use the
+ * fixed PAD_BINDINGS / TOUCH_BINDINGS on top.
+ */
+import { loadSettings, saveSettingsSection } from './settings.js';
+
+export const ACTIONS = [
+  'MoveLeft', 'MoveRight', 'Jump', 'Duck', 'Aim', 'Fire',
+  'Interact', 'Molotov', 'Journal', 'Pause', 'Restart',
+];
+
+export const DEFAULT_BINDINGS = {
+  MoveLeft: ['ArrowLeft', 'a'],
+  MoveRight: ['ArrowRight', 'd'],
+  Jump: ['ArrowUp', 'w'],
+  Duck: ['ArrowDown', 's'],
+  Aim: ['Shift'],
+  Fire: [' '],
+  Interact: ['e'],
+  Molotov: ['q'],
+  Journal: ['j'],
+  Pause: ['p'],
+  Restart: ['r'],
+};
+
+// Standard-mapping pad: stick/d-pad to move, LT aims, RB shoots, RT lights the Molotov and
+// its depth sets the throw charge
+export const PAD_BINDINGS = {
+  MoveLeft: ['PadLeft'],
+  MoveRight: ['PadRight'],
+  Jump: ['PadA'],
+  Duck: ['PadDown'],
+  Aim: ['PadLT'],
+  Fire: ['PadRB'],
+  Interact: ['PadX'],
+  Molotov: ['PadRT'],
+  Journal: ['PadY'],
+  Pause: ['PadStart'],
+  Restart: ['PadBack'],
+};
+
+// On-screen touch overlay: d-pad to move/jump/duck, the Aim button toggles, holding the
+// Molotov button lights and charges it (depth = how long it has been held)
+export const TOUCH_BINDINGS = {
+  MoveLeft: ['TouchLeft'],
+  MoveRight: ['TouchRight'],
+  Jump: ['TouchUp'],
+  Duck: ['TouchDown'],
+  Aim: ['TouchAim'],
+  Fire: ['TouchFire'],
+  Interact: ['TouchAct'],
+  Molotov: ['TouchMolotov'],
+  Journal: ['TouchJournal'],
+  Pause: ['TouchPause'],
+  Restart: ['TouchRestart'],
+};
+
+// Fixed bindings per input device, used for prompts ('keyboard' uses the rebindable map)
+const DEVICE_BINDINGS = { pad: PAD_BINDINGS, touch: TOUCH_BINDINGS };
+
+// Keys reserved for the game itself (save, replays, the controls screen)
+export const SYSTEM_KEYS = ['F1', 'F5', 'F6', 'F7', 'F9', 'Escape'];
+export const SLOTS = 2;
+
+export function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+const LABELS = {
+  ' ': 'Space', ArrowLeft: 'Left', ArrowRight: 'Right', ArrowUp: 'Up', ArrowDown: 'Down', Control: 'Ctrl',
+  TouchAct: 'Tap', TouchRestart: 'R',
+};
+
+/** Short on-screen name of a normalized key ('E', 'Space', 'Left'). */
+export function keyLabel(key) {
+  if (!key) return '-';
+  if (LABELS[key]) return LABELS[key];
+  if (key.startsWith('Pad')) return key.slice(3);
+  if (key.startsWith('Touch')) return key.slice(5);
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+export class Bindings {
+  constructor(settings = loadSettings()) {
+    this.map = {};
+    this.reset(false);
+    const saved = settings.bindings;
+    if (saved && typeof saved === 'object') {
+      for (const a of ACTIONS) {
+        if (Array.isArray(saved[a])) this.map[a] = saved[a].filter(k => typeof k === 'string').slice(0, SLOTS);
+      }
+    }
+  }
+
+  reset(persist = true) {
+    for (const a of ACTIONS) this.map[a] = [...DEFAULT_BINDINGS[a]];
+    if (persist) this.save();
+  }
+
+  save() {
+    return saveSettingsSection('bindings', this.map);
+  }
+
+  /** Actions with any key in `keys` (a set of held or just-pressed keys). */
+  actionsIn(keys) {
+    const out = new Set();
+    for (const a of ACTIONS) if (this.active(a, keys)) out.add(a);
+    return out;
+  }
+
+  /** Is any key of `action` in `set` (the held-keys or one-shot set)? */
+  active(action, set) {
+    for (const k of this.map[action]) if (set.has(k)) return true;
+    for (const device of Object.values(DEVICE_BINDINGS)) {
+      for (const k of device[action]) if (set.has(k)) return true;
+    }
+    return false;
+  }
+
+  /** Analog depth per action from per-key depths of the pad or touch keys (only actions that are down). */
+  analogIn(depths) {
+    const out = {};
+    for (const a of ACTIONS) {
+      for (const device of Object.values(DEVICE_BINDINGS)) {
+        for (const k of device[a]) if (k in depths) out[a] = Math.max(out[a] ?? 0, depths[k]);
+      }
+    }
+    return out;
+  }
+
+  /** Bind `key` to an action slot; the key is taken off whatever else had it. */
+  bind(action, slot, key) {
+    if (SYSTEM_KEYS.includes(key)) return false;
+    for (const a of ACTIONS) this.map[a] = this.map[a].filter(k => k !== key);
+    const keys = this.map[action];
+    if (slot < keys.length) keys[slot] = key;
+    else keys.push(key);
+    this.save();
+    return true;
+  }
+
+  unbind(action, slot) {
+    this.map[action].splice(slot, 1);
+    this.save();
+  }
+
+  isBound(key) {
+    return ACTIONS.some(a => this.map[a].includes(key));
+  }
+
+  /** Label of the first key bound to `action` (for prompts like "E Talk") on `device` ('keyboard' | 'pad' | 'touch'). */
+  label(action, device = 'keyboard') {
+    return keyLabel(DEVICE_BINDINGS[device] ? DEVICE_BINDINGS[device][action][0] : this.map[action][0]);
+  }
+
+  /** All keys of `action` as labels joined with '/' ("Left/A"). */
+  labels(action) {
+    return this.map[action].map(keyLabel).join('/') || '-';
+  }
+}
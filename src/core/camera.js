@@ -7,6 +7,7 @@ export class Camera {
     this.minX = minX;
     this.maxX = maxX;
     this.shake = 0;
+    this.shakeScale = 1; // accessibility: 0 turns screen shake off
   }
 
   follow(targetX, vw) {
@@ -27,9 +28,10 @@ export class Camera {
   }
 
   applyShakeTransform(ctx, rng) {
-    if (this.shake <= 0) return;
-    const sx = (rng() * 2 - 1) * this.shake;
-    const sy = (rng() * 2 - 1) * this.shake;
+    const shake = this.shake * this.shakeScale;
+    if (shake <= 0) return;
+    const sx = (rng() * 2 - 1) * shake;
+    const sy = (rng() * 2 - 1) * shake;
     ctx.translate(Math.round(sx), Math.round(sy));
   }
 }
\ No newline at end of file
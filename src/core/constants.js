@@ -5,7 +5,9 @@
 
 export const VW = 192;       // virtual width
 export const VH = 108;       // virtual height
-export const WORLD_W = VW * 5;
+// World width in px; set from the level being played (see levels/level_loader.js).
+// A live binding: modules read the current value whenever they use it.
+export let WORLD_W = VW * 5;
 export const PX = 16;
 export const GROUND_Y = VH - 22;
 
@@ -24,4 +26,9 @@ export const COLORS = {
   cover: '#2b2e35',
 };
 
+export function setWorldWidth(w) {
+  if (!Number.isFinite(w) || w < VW) throw new Error('world width must be at least ' + VW);
+  WORLD_W = Math.floor(w);
+}
+
 export const GRAVITY = 320; // px/s^2 for jump
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * Gamepad polling through the Gamepad API (standard mapping, first connected pad).
+ *
+ * Each poll turns the pad into virtual keys ('PadA', 'PadRT', 'PadLeft', ...) in the same
+ * held/one-shot key sets the keyboard fills, so the bindings map them onto actions like any
+ * other key. Analog depth (stick, triggers) of the virtual keys that are down is returned
+ * for the few actions that use it. Rumble plays where the browser supports it.
+ */
+const BUTTONS = {
+  0: 'PadA', 1: 'PadB', 2: 'PadX', 3: 'PadY', 4: 'PadLB', 5: 'PadRB', 6: 'PadLT', 7: 'PadRT',
+  8: 'PadBack', 9: 'PadStart', 12: 'PadUp', 13: 'PadDown', 14: 'PadLeft', 15: 'PadRight',
+};
+const STICK_DEAD = 0.25;   // stick deflection ignored around the centre
+const STICK_DUCK = 0.6;    // stick pushed down this far ducks
+const TRIGGER_ON = 0.12;   // trigger depth that counts as held
+
+export class GamepadInput {
+  constructor(nav = globalThis.navigator) {
+    this.nav = nav;
+    this.down = new Set();
+    this.analog = {};
+  }
+
+  _pad() {
+    const pads = this.nav?.getGamepads?.() || [];
+    for (const p of pads) if (p && p.connected) return p;
+    return null;
+  }
+
+  /**
+   * Read the pad into `keys` (held) and `pressed` (went down this poll).
+   * @returns {Record<string, number>} analog depth 0..1 of each virtual key that is down
+   */
+  poll(keys, pressed) {
+    const pad = this._pad();
+    const now = new Set();
+    const analog = {};
+    const hold = (name, v = 1) => { now.add(name); analog[name] = Math.max(analog[name] ?? 0, v); };
+    if (pad) {
+      pad.buttons.forEach((b, i) => {
+        const name = BUTTONS[i];
+        const v = typeof b.value === 'number' ? b.value : (b.pressed ? 1 : 0);
+        if (name && (b.pressed || v > TRIGGER_ON)) hold(name, Math.max(v, TRIGGER_ON));
+      });
+      // Left stick: horizontal speed scales past the dead zone
+      const lx = pad.axes[0] ?? 0, ly = pad.axes[1] ?? 0;
+      const sx = Math.min(1, (Math.abs(lx) - STICK_DEAD) / (1 - STICK_DEAD));
+      if (sx > 0) hold(lx < 0 ? 'PadLeft' : 'PadRight', sx);
+      if (ly > STICK_DUCK) hold('PadDown');
+      if (ly < -STICK_DUCK) hold('PadUp');
+    }
+    for (const k of now) {
+      if (!this.down.has(k)) { keys.add(k); pressed.add(k); }
+    }
+    for (const k of this.down) if (!now.has(k)) keys.delete(k);
+    this.down = now;
+    this.analog = analog;
+    return analog;
+  }
+
+  /** Dual-motor rumble; magnitudes 0..1. No-op without a pad or actuator. */
+  rumble(strong, weak, ms) {
+    const act = this._pad()?.vibrationActuator;
+    if (!act?.playEffect) return;
+    act.playEffect('dual-rumble', { duration: ms, strongMagnitude: strong, weakMagnitude: weak })?.catch?.(() => {});
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Player settings persisted in localStorage as one JSON object of sections
+ * (e.g. { bindings: {...} }). Missing or unreadable settings load as {}.
+ */
+const SETTINGS_KEY = 'dirtyharry.settings';
+
+export function loadSettings(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(SETTINGS_KEY);
+    const data = raw ? JSON.parse(raw) : {};
+    return data && typeof data === 'object' ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Write one section back, keeping the others. Returns false if storage is unavailable. */
+export function saveSettingsSection(name, value, storage = globalThis.localStorage) {
+  try {
+    const all = loadSettings(storage);
+    all[name] = value;
+    storage.setItem(SETTINGS_KEY, JSON.stringify(all));
+    return true;
+  } catch {
+    return false;
+  }
+}
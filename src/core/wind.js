@@ -0,0 +1,26 @@
+/**
+ * Global wind: a single world parameter shared by garment sway (Harry's jacket,
+ * goon/NPC/boss coats) and the fire sim's advection pass.
+ *
+ * x is a normalized strength (about -1..1, positive blows to the right);
+ * cellsPerSec() converts it to the environment grid's velocity units.
+ */
+export class Wind {
+  constructor({ base = 0, gust = 1, freq = 0.35, speed = 8 } = {}) {
+    this.base = base;   // steady component
+    this.gust = gust;   // amplitude of the slow oscillation
+    this.freq = freq;   // rad/s of the oscillation
+    this.speed = speed; // grid cells per second at |x| = 1
+    this.x = base;
+  }
+
+  update(t) {
+    this.x = this.base + Math.sin(t * this.freq) * this.gust;
+  }
+
+  cellsPerSec() {
+    return this.x * this.speed;
+  }
+}
+
+export const wind = new Wind();
@@ -1,18 +1,46 @@
 /**
- * Entity factories and static world items (covers, POIs, telephone booth).
+ * Entity factories and static world items (covers, POIs, telephone booth, volatile hazards,
+ * hydrants), built from a level's specs.
  */
-import { WORLD_W, GROUND_Y } from '../core/constants.js';
+import { GROUND_Y } from '../core/constants.js';
 
-export function makeGoon(x, y) {
+export function makeGoon(x, y, profile = 'smoker') {
+  const p = GOON_PROFILES[profile] ?? GOON_PROFILES.smoker;
   return {
     x, y, w: 16, h: 16, dir: -1,
     state: 'smoke_hold',
     phase: 0,
-    hp: 3,
-    maxHp: 3,
+    profile,
+    hp: p.hp,
+    maxHp: p.hp,
+    fearRange: p.fearRange,
     woundedArm: null,
     alive: true,
     coverTarget: null,
+    coverSlot: 0,
+    // Perception (systems/perception.js)
+    awareness: 0,
+    alertLevel: 'unaware',
+    lastKnownX: null,
+    investigate: false,
+    alertFlash: 0,
+    calloutT: 0,
+    found: false,          // once down: another goon has already raised the alarm over him
+    // Stealth (systems/stealth.js): how Harry is taking him down, and how far along
+    takedownKind: null,
+    takedownT: 0,
+    // Arrest (systems/arrest.js): hands up -> cuffed; questioned with the 'goon' dialogue
+    surrenderT: 0,
+    dialogue: 'goon',
+    clueGiven: false,
+    // Firefight (GoonSystem): provoked, state timer, time out of range, rounds left in the volley
+    combat: false,
+    stateT: 0,
+    calmT: 0,
+    shots: 0,
+    shotT: 0,
+    clip: p.clip,
+    ammo: p.clip,
     screamTimer: 0,
     headBox: {x: x+5, y: y+2, w: 6, h: 5},
     leftArmBox: {x: x+1, y: y+8, w: 4, h: 2},
@@ -21,48 +49,74 @@ export function makeGoon(x, y) {
   };
 }
 
-export function spawnInitialGoons(rng) {
-  const list = [
-    makeGoon(110, GROUND_Y - 16),
-    makeGoon(150, GROUND_Y - 16),
-    makeGoon(170, GROUND_Y - 16),
-  ];
-  list.forEach((g, i) => { g.dir = i % 2 ? -1 : 1; g.state = 'smoke_hold'; g.phase = rng(); });
-  return list;
+// Behaviour profiles a level can give a goon
+export const GOON_PROFILES = {
+  smoker: { hp: 3, fearRange: 80, clip: 4 },    // smokes; backs off when a gun is pointed at him
+  tough: { hp: 5, fearRange: 0, clip: 6 },      // takes more lead and stands his ground
+  skittish: { hp: 2, fearRange: 130, clip: 3 }, // spooks from further away
+};
+
+// Level specs (see levels/level_loader.js) to live entities. Everything stands on the
+// street, so specs carry x (and w/h for props); y comes from GROUND_Y.
+
+export function spawnGoons(specs, rng) {
+  return specs.map(s => {
+    const g = makeGoon(s.x, GROUND_Y - 16, s.profile);
+    g.dir = s.dir;
+    g.phase = rng();
+    return g;
+  });
+}
+
+export function spawnNPCs(specs) {
+  return specs.map(s => ({
+    type: s.type, dialogue: s.dialogue, clue: s.clue,
+    x: s.x, y: GROUND_Y - 16, dir: s.dir, state: 'idle', fear: 0, talkCooldown: 0, clueGiven: false, bulletImmune: false, helped: false,
+  }));
+}
+
+// `material` is the Materials key the cover is rasterized as in the fire grid;
+// `integrity` is the share of it still standing (updated by fireSystem.syncTerrain).
+export function makeCovers(specs) {
+  return specs.map(s => ({ x: s.x, y: GROUND_Y - s.h, w: s.w, h: s.h, material: s.material, integrity: 1 }));
 }
 
-export function spawnNPCs() {
-  return [
-    { type: 'mother', x: 60, y: GROUND_Y - 16, dir: 1, state: 'idle', fear: 0, talkCooldown: 0, clueGiven: false, bulletImmune: false },
-    { type: 'oldman', x: 240, y: GROUND_Y - 16, dir: -1, state: 'idle', fear: 0, talkCooldown: 0, clueGiven: false, bulletImmune: false },
-    { type: 'kid', x: 360, y: GROUND_Y - 16, dir: 1, state: 'idle', fear: 0, talkCooldown: 0, clueGiven: false, bulletImmune: false },
-    { type: 'hotgirl', x: 480, y: GROUND_Y - 16, dir: -1, state: 'idle', fear: 0, talkCooldown: 0, clueGiven: false, bulletImmune: false },
-  ];
+// Burnable street clutter, rasterized into the fire grid like covers (no cover value).
+export function makeDebris(specs) {
+  return specs.map(s => ({ kind: s.kind, x: s.x, y: GROUND_Y - s.h, w: s.w, h: s.h, material: s.material, integrity: 1 }));
 }
 
-export function makeCovers() {
-  return [
-    {x: 120, y: GROUND_Y - 8, w: 14, h: 8},
-    {x: 260, y: GROUND_Y - 8, w: 14, h: 8},
-    {x: 420, y: GROUND_Y - 8, w: 14, h: 8},
-    {x: 640, y: GROUND_Y - 8, w: 14, h: 8},
-  ];
+// Volatile props. `tank` is the rect (relative to x/y) painted into the fire grid as
+// TANK/PROPANE cells; the prop is wrecked once those cells have detonated.
+export function makeHazards(specs) {
+  return specs.map(s => ({
+    kind: s.kind, x: s.x, y: GROUND_Y - s.h, w: s.w, h: s.h,
+    ...(s.color ? { color: s.color } : {}), tank: { ...s.tank }, wrecked: false,
+  }));
 }
 
-export function makeTelephoneBooth() {
+// Fire hydrants. A bullet knocks the cap off (`open`); `flow` is the remaining water
+// pressure (1 = full), run down by the FireDepartment.
+export function makeHydrants(specs) {
+  return specs.map(s => ({ x: s.x, y: GROUND_Y - 8, w: 5, h: 8, open: false, flow: 0 }));
+}
+
+export function makeTelephoneBooth(spec) {
   return {
-    x: WORLD_W - 52,
+    x: spec.x,
     y: GROUND_Y - 28,
     w: 14,
     h: 28,
     doorOpen: 0,
+    cracks: 0, // share of the glass pane cracked by heat
   };
 }
 
-export function makePOIs() {
-  return [
-    { x: 200, y: GROUND_Y - 6, w: 6, h: 4, title: 'Scratch marks', note: 'Strange scratch marks near cover.', taken: false },
-    { x: 320, y: GROUND_Y - 6, w: 6, h: 4, title: 'Initialed coin', note: 'A coin on the ground with initials.', taken: false },
-    { x: 520, y: GROUND_Y - 6, w: 6, h: 4, title: 'Fresh cigarette', note: 'Fresh cigarette butt—someone waited here.', taken: false },
-  ];
-}
\ No newline at end of file
+// Glass pane of the booth (shared by the renderer and the fire grid rasterizer)
+export function boothGlassRect(booth) {
+  return { x: booth.x + 3, y: booth.y + 8, w: booth.w - 6, h: booth.h - 12 };
+}
+
+export function makePOIs(specs) {
+  return specs.map(s => ({ x: s.x, y: GROUND_Y - 6, w: 6, h: 4, title: s.title, note: s.note, clue: s.clue, taken: false }));
+}
@@ -10,35 +10,50 @@
  *
  * Notes:
  * - This file intentionally contains the minimal glue to keep responsibilities
- *   in feature modules under src/core, src/systems, src/weapons, src/status, src/ui, src/entities, src/render.
+ *   in feature modules under src/core, src/levels, src/systems, src/audio, src/weapons, src/status, src/ui, src/entities, src/render.
  * - It preserves the gameplay and visuals of the previous monolith while making
  *   each feature testable and swappable.
  */
 
-import { VW, VH, WORLD_W, GROUND_Y, PX, INTERNAL_SCALE, COLORS, GRAVITY } from './core/constants.js';
+import { VW, VH, WORLD_W, GROUND_Y, PX, INTERNAL_SCALE, COLORS, GRAVITY, setWorldWidth } from './core/constants.js';
 import { makeRng } from './core/rng.js';
 import { aabb } from './core/aabb.js';
 import { Camera } from './core/camera.js';
+import { wind } from './core/wind.js';
 
 // Sprites and draw helpers (already in your repo)
 import { drawPlayer, drawMuzzleFlash } from './sprites.js';
 
-// Entity factories and world props
-import { spawnInitialGoons, spawnNPCs, makeCovers, makeTelephoneBooth, makePOIs } from './entities/spawn.js';
+// Levels, entity factories and world props
+import { DEFAULT_LEVEL, loadLevel, loadCampaign, buildLevel, missingClues, cluesComplete } from './levels/level_loader.js';
+import { spawnGoons, spawnNPCs, makeHazards, makeHydrants } from './entities/spawn.js';
 
 // Systems
 import { Particles } from './systems/particles.js';
 import { Dialogue } from './systems/dialogue.js';
-import { getOpeningLine, getNpcReply } from './systems/dialogue_trees.js';
+import { getOpeningLine, getNpcReply, isScripted, setLevelDialogues } from './systems/dialogue_trees.js';
 import { Background } from './systems/background.js';
 import { ForegroundTraffic } from './systems/traffic.js';
 import { Journal } from './systems/journal.js';
 import { GoonSystem } from './systems/goon_ai.js';
+import { takedownTarget } from './systems/stealth.js';
+import { arrestTarget, suspectInReach } from './systems/arrest.js';
+import { adjustReputation, cooperates, standing } from './systems/reputation.js';
 import { NPCSystem } from './systems/npc_ai.js';
 import { BossSystem } from './systems/boss.js';
 import { CombatSystem } from './systems/combat.js';
 import { fireSystem, handleMolotovShatter } from './systems/fire_integration.js';
 import { FixedStepBackgroundUpdater } from './systems/background_update.js';
+import { applyBlast } from './systems/explosions.js';
+import { FireDepartment } from './systems/fire_department.js';
+import { Weather } from './systems/weather.js';
+import { QUICK_SLOT, writeSave, readSave, peekSave, serializeGame, restoreGame } from './systems/save_game.js';
+import { Campaign, CAMPAIGN_SLOT, runStats } from './systems/campaign.js';
+import { Bindings, SYSTEM_KEYS, normalizeKey } from './core/bindings.js';
+import { GamepadInput } from './core/gamepad.js';
+import { loadSettings, saveSettingsSection } from './core/settings.js';
+import { GameAudio } from './audio/game_audio.js';
+import { REPLAY_DT, ReplayRecorder, ReplayPlayer, stateChecksum, storeReplay, loadStoredReplay } from './systems/replay.js';
 
 // Status and weapons
 import { applyBurningStatus, updateBurning, drawBurningOverlay } from './status/burning.js';
@@ -48,8 +63,16 @@ import { simulateTrajectory, drawTrajectory } from './ui/trajectory_preview.js';
 
 // UI / overlays
 import { Narrative, drawHUD } from './ui/hud.js';
-import { drawInteractionHints } from './ui/interaction_hints.js';
+import { drawInteractionHints, interactionHint } from './ui/interaction_hints.js';
+import { ControlsPanel } from './ui/controls_panel.js';
+import { TouchControls } from './ui/touch_controls.js';
+import { LevelEditor } from './ui/level_editor.js';
+import { drawCaseSummary } from './ui/case_summary.js';
+import { Menus, ACCESS_DEFAULTS, FLASH_LEVELS, TEXT_SPEEDS } from './ui/menus.js';
 import { drawBoothDoorOverlay } from './render/booth_overlay.js';
+import { drawHazards } from './render/hazards.js';
+import { drawDebris } from './render/debris.js';
+import { drawHydrants, drawSpray, drawPuddles } from './render/water.js';
 
 /* -------------------- Config: Molotov + Throw Preview -------------------- */
 const MOLOTOV_CONFIG = {
@@ -69,6 +92,36 @@ const MOLOTOV_CONFIG = {
   groundY: GROUND_Y,
 };
 
+/* --------------------------------- Level --------------------------------- */
+// The game plays the campaign's cases in order, picking up from its save between cases;
+// ?level=<id> in the URL (src/levels/<id>.json) plays that one level on its own instead.
+// Weather can still be changed mid-run with __DH.setWeather.
+// The banner comes first so trouble on boot (a missing level, a bad save) shows in it.
+const narrative = new Narrative();
+async function bootLevel(id) {
+  try {
+    return await loadLevel(id);
+  } catch (err) {
+    if (id === DEFAULT_LEVEL) throw err;
+    narrative.set(err.message + '; loading ' + DEFAULT_LEVEL);
+    return loadLevel(DEFAULT_LEVEL);
+  }
+}
+const levelParam = new URLSearchParams(globalThis.location?.search ?? '').get('level');
+const campaign = new Campaign(await loadCampaign(), { maxHp: 3, molotovs: MOLOTOV_CONFIG.inventoryStart, reputation: 0 });
+let inCampaign = !levelParam;
+let campaignSave = inCampaign ? peekSave(CAMPAIGN_SLOT) : null;
+try {
+  if (campaignSave?.campaign) campaign.restore(campaignSave.campaign);
+} catch (err) {
+  narrative.set('Campaign save ignored: ' + err.message);
+  campaignSave = null;
+}
+let level = await bootLevel(levelParam || campaign.case.level);
+setWorldWidth(level.worldWidth);
+fireSystem.resize(level.worldWidth);
+setLevelDialogues(level.dialogues);
+
 /* ------------------------------ Canvas setup ----------------------------- */
 const canvas = document.getElementById('game');
 const ctx = canvas.getContext('2d');
@@ -84,62 +137,185 @@ window.addEventListener('resize', resize);
 resize();
 
 /* --------------------------------- Input -------------------------------- */
-const keys = new Set();    // continuous
+// Gameplay reads actions (MoveLeft, Fire, ...) resolved through the rebindable bindings
+const bindings = new Bindings();
+const controlsPanel = new ControlsPanel(bindings);
+const gamepad = new GamepadInput(); // polled each frame into the same key sets
+// On-screen buttons; on by default on touch devices, `touch` setting overrides
+const touch = new TouchControls(canvas, { chargeMs: MOLOTOV_CONFIG.maxChargeTime, enabled: loadSettings().touch });
+const keys = new Set();    // continuous (normalized keys, plus the pad's and touch virtual keys)
 const pressed = new Set(); // one-shot
+let deviceDepths = {};     // analog depth of the pad/touch keys held in the last poll
+let inputDevice = 'keyboard'; // used last: 'keyboard' | 'pad' | 'touch', for the key prompts
+// Actions for the current sim step; `analog` is the 0..1 depth of held pad/touch actions
+const input = { held: new Set(), pressed: new Set(), analog: {} };
 let lastActivityTime = 0;  // for idle hints
+// Level editor (__DH.toggleEditor); holds the sim while open and rebuilds the world on each edit
+const editor = new LevelEditor(canvas, {
+  onChange: (lv) => applyLevel(lv),
+  onPaint: (op) => fireSystem.paintLevel([op]),
+  onExport: (json) => downloadJSON(`${json.id}.json`, json),
+  onPlay: (lv) => { leaveCampaign(); applyLevel(lv); editor.close(); paused = false; narrative.set(level.intro || 'Playing ' + level.name); },
+});
+
+// Title, pause, options and game-over screens, drawn in the canvas. Everything but game
+// over holds the game while open; they take keys, pad buttons and taps before gameplay.
+let access = { ...ACCESS_DEFAULTS, ...loadSettings().access }; // accessibility options
+const menus = new Menus(canvas, {
+  canContinue: () => inCampaign && !!peekSave(CAMPAIGN_SLOT),
+  continueGame: () => continueCampaign(),
+  newGame: () => (inCampaign ? newCampaign() : restart()),
+  newGameLabel: () => (inCampaign ? 'New game' : 'Play ' + level.name),
+  restart: () => restart(),
+  restartLabel: () => (inCampaign ? 'Restart case' : 'Restart'),
+  openControls: () => { controlsPanel.toggle(); keys.clear(); pressed.clear(); },
+  getVolume: (bus) => gameAudio.mixer.volumes[bus],
+  setVolume: (bus, v) => gameAudio.mixer.setVolume(bus, v),
+  getAccess: () => access,
+  setAccess: (change) => { access = { ...access, ...change }; saveSettingsSection('access', access); applyAccess(); },
+  touchEnabled: () => touch.enabled,
+  setTouch: (on) => { touch.setEnabled(on); saveSettingsSection('touch', !!on); },
+  runStats: () => ({
+    title: inCampaign ? `Case ${campaign.index + 1}: ${campaign.case.title}` : level.name,
+    ...runStats({ pois, npcs, goons, t: simT, startedAt: inCampaign ? campaign.startedAt : runStartT }),
+  }),
+  harry: () => ({ x: player.x - camera.x + 8, y: player.y - 2 }),
+  device: () => inputDevice,
+});
+
+function applyAccess() {
+  camera.shakeScale = access.shake ? 1 : 0;
+  weather.flashScale = FLASH_LEVELS[access.flashes] ?? 1;
+  narrative.speed = TEXT_SPEEDS[access.textSpeed] ?? TEXT_SPEEDS.normal;
+}
 
 window.addEventListener('keydown', (e) => {
+  const k = normalizeKey(e.key);
+  inputDevice = 'keyboard'; // prompts show keyboard keys again
   // Prevent scrolling on game keys
-  if (['ArrowUp','ArrowDown','ArrowLeft','ArrowRight',' ','e','E','j','J','q','Q','Shift','w','W','a','A','s','S','d','D'].includes(e.key)) e.preventDefault();
-  const k = e.key.length === 1 ? e.key.toLowerCase() : e.key; // keep 'Shift' case
+  if (controlsPanel.open || bindings.isBound(k) || SYSTEM_KEYS.includes(k)) e.preventDefault();
+  if (controlsPanel.open) {
+    controlsPanel.handleKey(k);
+    updateControlsHelp();
+    return;
+  }
+  if (editor.active) {
+    e.preventDefault();
+    editor.handleKey(k);
+    return;
+  }
+  // Game over leaves the game running, so save/load and record/replay still work over it
+  const passKey = k === 'F1' || (!menus.holds && SYSTEM_KEYS.includes(k) && k !== 'Escape');
+  if (menus.active && !passKey) {
+    e.preventDefault();
+    menus.handleKey(k);
+    return;
+  }
+  if (k === 'Escape' && !playback && player.alive) {
+    menus.open('pause');
+    return;
+  }
+  // Keys for the game itself act outside the sim, so they never end up in a recording
+  if (SYSTEM_KEYS.includes(k)) {
+    if (e.repeat) return;
+    if (k === 'F1') { controlsPanel.toggle(); keys.clear(); pressed.clear(); }
+    else if (k === 'F5') quickSave();
+    else if (k === 'F9') quickLoad();
+    else if (k === 'F6') toggleRecording();
+    else if (k === 'F7') togglePlayback();
+    return;
+  }
   keys.add(k);
   pressed.add(k);
-  lastActivityTime = performance.now() / 1000;
 });
 window.addEventListener('keyup', (e) => {
-  const k = e.key.length === 1 ? e.key.toLowerCase() : e.key;
-  keys.delete(k);
+  keys.delete(normalizeKey(e.key));
+});
+
+/* --------------------------------- Audio -------------------------------- */
+// Procedural sound through the master/SFX/music mixer; browsers only start audio after a
+// user gesture, so the first key, click or touch unlocks it
+const gameAudio = new GameAudio();
+for (const type of ['keydown', 'pointerdown', 'touchend']) window.addEventListener(type, () => gameAudio.unlock());
+
+// Key help under the canvas, kept in step with the bindings
+function updateControlsHelp() {
+  const el = typeof document !== 'undefined' && document.getElementById('controls-help');
+  if (!el) return;
+  const b = (a) => bindings.labels(a);
+  el.textContent = [
+    `Move: ${b('MoveLeft')} ${b('MoveRight')}`, `Jump: ${b('Jump')}`, `Duck: ${b('Duck')}`, `Aim: ${b('Aim')}`,
+    `Shoot: ${b('Fire')}`, `Molotov: ${b('Molotov')}`, `Interrogate: ${b('Interact')}`, `Journal: ${b('Journal')}`,
+    `Pause: ${b('Pause')} Esc`, `Restart: ${b('Restart')}`, 'Controls: F1', 'Gamepad and touch supported', 'Save/Load: F5/F9', 'Record/Replay: F6/F7',
+  ].join('  |  ');
+}
+updateControlsHelp();
+
+// Drop a replay file on the canvas to play it back
+canvas.addEventListener('dragover', (e) => e.preventDefault());
+canvas.addEventListener('drop', (e) => {
+  e.preventDefault();
+  const file = e.dataTransfer?.files?.[0];
+  if (file) file.text().then((text) => (editor.active ? editor.load(text) : startPlayback(text)));
 });
 
 /* ----------------------------- Random & Camera ---------------------------- */
-const rng = makeRng(123456789);
+const SESSION_SEED = 123456789;
+const rng = makeRng(SESSION_SEED); // visuals: background, particles, traffic, rain streaks, shake
+// Gameplay (AI, boss, burning jitter) and the fire sim draw from their own streams so
+// visuals can't perturb them; replays reseed both.
+let simRngImpl = null;
+const simRng = () => simRngImpl();
+function reseedSim(seed) {
+  simRngImpl = makeRng(seed ^ 0x5eed5eed);
+  fireSystem.reseed(seed);
+  gameAudio.restartMusic(seed); // the score is seeded too, so replays sound the same
+}
+reseedSim(SESSION_SEED);
 const camera = new Camera(0, 0, Math.max(0, WORLD_W - VW));
 
 /* ------------------------------ Systems init ----------------------------- */
 const dialogue = new Dialogue();
 const journal = new Journal();
-const narrative = new Narrative();
-narrative.set("Somewhere in L.A., dangerous man is on loose");
+if (!inCampaign) narrative.set(level.intro); // campaign cases open with their title (restart)
 
-const covers = makeCovers();
-const telephoneBooth = makeTelephoneBooth();
-const pois = makePOIs();
+const built = buildLevel(level, simRng);
+const { covers, pois, debris, hazards, hydrants } = built;
+const telephoneBooth = built.booth;
+fireSystem.placeTerrain({ covers, debris, booth: telephoneBooth });
+fireSystem.placeHazards(hazards);
+fireSystem.paintLevel(level.paint);
 
-const background = new Background(rng, covers, telephoneBooth);
+const background = new Background(rng, covers, telephoneBooth, level.skylineSeed);
 const backgroundStepper = new FixedStepBackgroundUpdater(background); // annotated "background_update" module
 
 const traffic = new ForegroundTraffic(rng);
 const particles = new Particles(rng);
+const fireDept = new FireDepartment(fireSystem, traffic);
+const weather = new Weather(rng, fireSystem, level.weather);
 
-const bossSystem = new BossSystem(dialogue);
-const goonSystem = new GoonSystem(rng, dialogue, particles, covers);
-const npcSystem = new NPCSystem(dialogue);
+const bossSystem = new BossSystem(dialogue, simRng);
 const combat = new CombatSystem(particles, camera, dialogue);
+const goonSystem = new GoonSystem(simRng, dialogue, particles, covers, combat);
+const npcSystem = new NPCSystem(dialogue, simRng);
 
 /* ------------------------------ Entities init ---------------------------- */
-const goons = spawnInitialGoons(rng);
-const npcs = spawnNPCs();
+const { goons, npcs } = built;
 goonSystem.setGoons(goons);
 npcSystem.setNPCs(npcs);
+npcSystem.setShelters(covers);
 
 /* --------------------------------- Player -------------------------------- */
 const player = {
-  x: 24, y: GROUND_Y - 16, w: 16, h: 16, dir: 1,
+  x: level.player.x, y: GROUND_Y - 16, w: 16, h: 16, dir: 1,
   speed: 40, aiming: false, fireCooldown: 0, anim: 0,
   breathT: 0, breathAmp: 0, jacketSway: 0, jacketSwayV: 0, lastStepSign: 0,
-  alive: true, hp: 3, maxHp: 3,
+  alive: true, hp: campaign.start.maxHp, maxHp: campaign.start.maxHp,
   vy: 0, onGround: true, crouch: false, recoil: 0,
   twirlT: 0, twirlActive: false, twirlCooldown: 0,
+  busyT: 0,       // s left in a takedown (Harry holds on and does nothing else)
+  reputation: campaign.start.reputation, // -100..100, see systems/reputation.js
+  hidden: false,  // ducked behind cover from the goons facing him
 
   // Molotov state
   molotovCount: MOLOTOV_CONFIG.inventoryStart,
@@ -160,8 +336,13 @@ const firePatches = [];
 let paused = false;
 let playerIframes = 0;
 let last = 0;
+let simT = 0;              // game clock (s); advances only while the sim steps
 let idleHintCooldown = 0;
 let victory = false;
+let exitReached = false;   // levels won at the booth end without a boss fight
+let caseSummary = null;    // case-closed screen (campaign) once the level is won
+let levelLoading = false;  // the sim holds while the next case's level loads
+let runStartT = 0;         // game clock when the current run (re)started, for the stats
 
 /* ------------------------------- Boss setup ------------------------------ */
 // Boss spawns when clues complete or when forced; we mimic gating logic from monolith.
@@ -182,10 +363,30 @@ function addNote(note) {
   narrative.set('New lead: ' + short);
 }
 
-function cluesComplete() {
-  const allPoi = pois.every(p => p.taken);
-  const allNpc = npcs.every(n => n.clueGiven || n.state === 'down');
-  return allPoi && allNpc;
+/** Move Harry's reputation (REPUTATION_EVENTS key); the street's verdict shows when it shifts. */
+function repute(event) {
+  const now = adjustReputation(player, event);
+  if (now) narrative.set(now.news);
+}
+
+// Who Harry's rounds hit (CombatSystem world.onHit)
+function onHarryHit(kind, e, was) {
+  if (kind === 'npc') repute('civilianKilled');
+  else if (was.state === 'scared' || was.state === 'surrender') repute('excessiveForce');
+  else if (kind === 'goon' && !was.combat) repute('firstShot');
+}
+
+function hurtPlayer(amount) {
+  if (!player.alive || playerIframes > 0) return;
+  playerIframes = 0.6;
+  particles.spawnBlood(player.x + 8, player.y + 5);
+  player.hp = Math.max(0, player.hp - amount);
+  if (player.hp <= 0) player.alive = false;
+}
+
+// Win conditions come from the level
+function levelWon() {
+  return level.win.defeatBoss ? bossSystem.victory : exitReached;
 }
 
 /* ------------------------------- Interactions ---------------------------- */
@@ -194,7 +395,7 @@ function startInterrogation(npc) {
   const npcX = npc.x + 2, npcY = npc.y - 2;
 
   // Hotgirl scripted exchange
-  if (npc.type === 'hotgirl') {
+  if (isScripted(npc)) {
     const lines = getNpcReply(npc, true);
     for (const line of lines) {
       dialogue.say(line.text, line.speaker === 'harry' ? harryX : npcX, line.speaker === 'harry' ? harryY : npcY, 1.6, { speaker: line.speaker, entity: npc, tag: line.tag });
@@ -203,14 +404,18 @@ function startInterrogation(npc) {
     return;
   }
 
-  // Generic opener + reply
-  dialogue.say(getOpeningLine(), harryX, harryY, 1.6, { speaker: 'harry', tag: 'opener' });
+  // Generic opener, how the street sees Harry, then the reply
+  const street = standing(player.reputation);
+  dialogue.say(getOpeningLine(street, simRng), harryX, harryY, 1.6, { speaker: 'harry', tag: 'opener' });
+  if (street.greeting) dialogue.say(street.greeting, npcX, npcY, 1.4, { speaker: 'npc', entity: npc, tag: 'greeting' });
 
-  // Cooperative if calm/idle or coerced by aim/position
+  // Cooperative by reputation (calm or frightened witnesses) or coerced by aim/position
   const dx = (npc.x + 8) - (player.x + 8);
   const inSight = (player.dir === 1 && dx > 0) || (player.dir === -1 && dx < 0);
-  const calmish = (npc.state === 'calm' || npc.state === 'idle');
-  const cooperativeNow = calmish || (npc.state === 'afraid') || (player.aiming && Math.abs(dx) < 70 && inSight);
+  const calmish = (npc.state === 'calm' || npc.state === 'idle' || npc.state === 'shelter');
+  const cooperativeNow = cooperates(player.reputation, {
+    calm: calmish, afraid: npc.state === 'afraid', coerced: player.aiming && Math.abs(dx) < 70 && inSight,
+  });
 
   const replies = getNpcReply(npc, cooperativeNow);
   for (const r of replies) {
@@ -219,44 +424,131 @@ function startInterrogation(npc) {
   }
 }
 
+/** A cuffed goon talks: the level's goon lead from the first one, a shrug from the rest. */
+function questionSuspect(g) {
+  dialogue.say('Harry: Who are you working for?', player.x + 2, player.y - 2, 1.6, { speaker: 'harry', tag: 'opener' });
+  const talked = g.clueGiven;
+  for (const r of getNpcReply(g, true)) {
+    dialogue.say(r.text, g.x + 2, g.y - 2, 1.8, { speaker: r.speaker, entity: g, tag: r.tag });
+    if (r.clue && !talked) addNote(r.text);
+  }
+  // The lead is out; the rest have nothing to add
+  for (const o of goons) o.clueGiven = true;
+}
+
 /* ---------------------------------- Loop --------------------------------- */
 function loop(ts) {
   const t = ts / 1000;
   const dt = Math.min(0.033, last ? t - last : 0.016);
   last = t;
 
-  if (lastActivityTime === 0) lastActivityTime = t;
-
-  if (!paused) update(dt, t);
+  menus.update(dt);
+  if (editor.active) {
+    camera.x = editor.cameraX;
+  } else if (menus.active && !controlsPanel.open) {
+    // Pad buttons navigate the menu instead of reaching the game (taps go to the menu directly)
+    gamepad.poll(keys, pressed);
+    if (gamepad.down.size) inputDevice = 'pad';
+    for (const k of pressed) if (k.startsWith('Pad')) menus.handleKey(k);
+    pressed.clear();
+    deviceDepths = {};
+  } else if (!controlsPanel.open) {
+    deviceDepths = { ...gamepad.poll(keys, pressed), ...touch.poll(keys, pressed) };
+    if (gamepad.down.size) inputDevice = 'pad';
+    if (touch.fresh) inputDevice = 'touch';
+  }
+  if (recorder || playback) {
+    // Recording and playback step the sim at a fixed rate, independent of the display
+    replayAccum = Math.min(replayAccum + dt * replaySpeed, REPLAY_DT * 8 * replaySpeed);
+    while (replayAccum >= REPLAY_DT && (recorder || playback)) {
+      replayAccum -= REPLAY_DT;
+      tick(REPLAY_DT);
+    }
+  } else if (!editor.active && !levelLoading && !menus.holds) {
+    tick(dt);
+  }
+  // Death brings up the game-over screen (not in replays, which end on their own)
+  if (!player.alive && !playback && !menus.active && !editor.active) menus.open('gameover');
+  else if (player.alive && menus.name === 'gameover') menus.close();
+  gameAudio.update(dt, {
+    cameraX: camera.x, paused: paused || controlsPanel.open || editor.active || menus.holds,
+    fireStats: fireSystem.engine.stats, goons, cars: traffic.cars,
+  });
   render(t);
   requestAnimationFrame(loop);
 }
 
+// One sim step; while recording the step's input is captured, in playback it is replaced
+function tick(dt) {
+  if (controlsPanel.open || menus.holds) return; // the controls screen and menus hold the game
+  if (playback) {
+    const f = playback.next();
+    if (!f) { endPlayback(); return; }
+    dt = f.dt;
+    input.held = new Set(f.held);
+    input.pressed = new Set(f.pressed);
+    input.analog = f.analog;
+  } else {
+    input.held = bindings.actionsIn(keys);
+    input.pressed = bindings.actionsIn(pressed);
+    // Pause opens the pause menu, which holds the game outside the sim: it is never recorded
+    if (input.pressed.has('Pause') && player.alive) {
+      pressed.clear();
+      menus.open('pause');
+      return;
+    }
+    // Analog depths in hundredths, so a replay feeds the sim exactly what it recorded
+    input.analog = {};
+    for (const [a, v] of Object.entries(bindings.analogIn(deviceDepths))) input.analog[a] = Math.round(v * 100) / 100;
+    if (recorder) recorder.record(dt, input.held, input.pressed, input.analog);
+  }
+  pressed.clear();
+  if (input.pressed.has('Pause')) paused = !paused;
+  if (!paused) {
+    simT += dt;
+    update(dt, simT);
+  }
+  if (recorder && (!player.alive || victory)) exportRecording();
+  if (playback?.done) endPlayback();
+}
+
 /* --------------------------------- Update -------------------------------- */
 function update(dt, t) {
-  // Keys (continuous)
-  let left = keys.has('arrowleft') || keys.has('a');
-  let right = keys.has('arrowright') || keys.has('d');
-  let jumpKey = keys.has('arrowup') || keys.has('w');
-  let down = keys.has('arrowdown') || keys.has('s');
-  let aim = keys.has('Shift') || keys.has('shift');
-  let shoot = pressed.has(' ');
-  let interact = pressed.has('e');
-  let toggleJournal = pressed.has('j');
-
-  // Molotov input
-  const molotovEquip = pressed.has('q');
-  const molotovChargeHeld = keys.has(' '); // hold to charge throw when lit
+  // Shared world wind (garments + fire advection) and weather (rain into the fire grid)
+  wind.update(t);
+  weather.update(dt, camera.x, VW);
+  background.overcast = weather.overcast;
+  npcSystem.setRain(weather.level);
+  // Score on the game clock (reads the world only)
+  gameAudio.followMusic(dt, { goons, boss: bossSystem, fireStats: fireSystem.engine.stats });
+
+  // Actions (held + one-shot)
+  let left = input.held.has('MoveLeft');
+  let right = input.held.has('MoveRight');
+  let jumpKey = input.held.has('Jump');
+  let down = input.held.has('Duck');
+  let aim = input.held.has('Aim');
+  let shoot = input.pressed.has('Fire');
+  let interact = input.pressed.has('Interact');
+  let toggleJournal = input.pressed.has('Journal');
+
+  // Molotov input: hold Fire to charge once lit; on a pad the trigger that lit it charges
+  // by how deep it is squeezed, on touch the held Molotov button by how long it is held
+  const molotovEquip = input.pressed.has('Molotov');
+  const molotovTrigger = input.analog.Molotov ?? null;
+  const molotovChargeHeld = input.held.has('Fire') || molotovTrigger !== null;
 
   // If a boss pre-fight is spawned but intro isn't done, gate approach and show hints
-  if (!bossSystem.boss && player.x > WORLD_W - 90) {
-    if (cluesComplete()) {
-      bossSystem.spawn(telephoneBooth);
+  if (!bossSystem.boss && !exitReached && player.x > WORLD_W - 90) {
+    if (cluesComplete(level, pois, npcs)) {
+      if (level.win.defeatBoss) bossSystem.spawn(telephoneBooth, level.boss);
+      else exitReached = true;
     } else if (!dialogue.active()) {
       say('Need more evidence.', player.x + 2, player.y - 6, 1.4, { speaker: 'harry', tag: 'gate' });
+      const m = missingClues(level, pois, npcs);
       const missing = [
-        ...(!pois.every(p => p.taken) ? [`${pois.filter(p=>!p.taken).length} clues on the ground`] : []),
-        ...npcs.filter(n => !n.clueGiven && n.state !== 'down').map(n => 'talk to ' + n.type),
+        ...(m.pois.length ? [`${m.pois.length} clues on the ground`] : []),
+        ...m.npcs.map(n => 'talk to ' + n.type),
       ];
       say('Missing: ' + (missing.length ? missing.join('; ') : 'none'), player.x + 2, player.y - 2, 2.0, { speaker: 'system', tag: 'gate-info' });
     }
@@ -274,15 +566,24 @@ function update(dt, t) {
     bossSystem.updateCutscene(dt, player, camera, telephoneBooth);
   }
 
+  // Mid-takedown Harry holds on until the goon goes limp
+  if (player.busyT > 0) {
+    player.busyT -= dt;
+    left = right = jumpKey = down = aim = false;
+    shoot = interact = false;
+  }
+
   player.aiming = aim;
 
   // Horizontal movement
   let vx = 0;
-  if (left) { vx -= player.speed; player.dir = -1; }
-  if (right) { vx += player.speed; player.dir = 1; }
+  // Analog stick scales the walk speed (keys are full speed)
+  if (left) { vx -= player.speed * (input.analog.MoveLeft ?? 1); player.dir = -1; }
+  if (right) { vx += player.speed * (input.analog.MoveRight ?? 1); player.dir = 1; }
   if (player.crouch) vx *= 0.6;
 
   // Jump / Duck
+  const wasAirborne = !player.onGround;
   player.crouch = down && player.onGround;
   if (jumpKey && player.onGround && !player.crouch) {
     player.vy = -150;
@@ -300,6 +601,7 @@ function update(dt, t) {
     player.y = groundTop;
     player.vy = 0;
     player.onGround = true;
+    if (wasAirborne) goonSystem.hear(player.x + 8, 'landing');
   } else {
     player.onGround = false;
   }
@@ -307,6 +609,7 @@ function update(dt, t) {
   // Clamp world (and cutscene lock again)
   clampPlayerToWorld(player);
   if (bossSystem.cutscene.active) player.x = Math.max(bossSystem.cutscene.lockLeftX, player.x);
+  player.hidden = goonSystem.hides(player);
 
   // Anim + idle breathing
   const moving = Math.abs(vx) > 0.01 && player.onGround;
@@ -318,8 +621,7 @@ function update(dt, t) {
   if (idleForBreath) player.breathT += dt;
 
   // Jacket spring
-  const wind = Math.sin(t * 0.35) * 0.6;
-  const targetSway = (vx / Math.max(1, player.speed)) * 2.0 + wind;
+  const targetSway = (vx / Math.max(1, player.speed)) * 2.0 + wind.x * 0.6;
   const k = 40, c = 10;
   const dxS = targetSway - player.jacketSway;
   const aS = k * dxS - c * player.jacketSwayV;
@@ -329,6 +631,8 @@ function update(dt, t) {
   const stepSign = Math.sign(Math.sin(player.anim * Math.PI * 2));
   if (moving && player.onGround && stepSign !== 0 && stepSign !== player.lastStepSign) {
     player.jacketSwayV += (-stepSign) * 26;
+    // Footfalls carry a little; crouch-walking barely at all
+    goonSystem.hear(player.x + 8, player.crouch ? 'sneak' : 'steps');
   }
   player.lastStepSign = stepSign;
 
@@ -338,16 +642,16 @@ function update(dt, t) {
   if (player.twirlActive) {
     player.twirlT += dt / 0.9;
     if (!canTwirl) { player.twirlActive = false; player.twirlT = 0; player.twirlCooldown = 1.5; }
-    else if (player.twirlT >= 1) { player.twirlActive = false; player.twirlT = 0; player.twirlCooldown = 2.5 + rng()*2.0; }
+    else if (player.twirlT >= 1) { player.twirlActive = false; player.twirlT = 0; player.twirlCooldown = 2.5 + simRng()*2.0; }
   } else if (canTwirl && player.twirlCooldown <= 0) {
-    if (rng() < 0.015) { player.twirlActive = true; player.twirlT = 0; }
+    if (simRng() < 0.015) { player.twirlActive = true; player.twirlT = 0; }
   } else if (!canTwirl) {
     if (player.twirlCooldown < 1.2) player.twirlCooldown = 1.2;
   }
 
   // Molotov controller
-  molotovCtl.handleInput({ equipPressed: molotovEquip, chargeHeld: molotovChargeHeld, inventory: player.molotovCount });
-  const molEvt = molotovCtl.update(dt, performance.now());
+  molotovCtl.handleInput({ equipPressed: molotovEquip, chargeHeld: molotovChargeHeld, chargeLevel: molotovTrigger, inventory: player.molotovCount });
+  const molEvt = molotovCtl.update(dt, t * 1000);
   // Keep a mirror for HUD and trajectory
   player.molotovState = molotovCtl.state;
   player.charge = molotovCtl.charge;
@@ -367,6 +671,13 @@ function update(dt, t) {
     shoot = false;
   }
 
+  // Takedown from behind an unaware goon: Interact chokes him out, Fire pistol-whips him
+  const takedownMark = takedownTarget(player, goons);
+  if (takedownMark && (interact || shoot)) {
+    goonSystem.takedown(takedownMark, interact ? 'choke' : 'whip', player);
+    interact = shoot = false;
+  }
+
   // Fire magnum
   if (player.fireCooldown > 0) player.fireCooldown -= dt;
   if (shoot && player.fireCooldown <= 0) {
@@ -376,29 +687,22 @@ function update(dt, t) {
     combat.fireMagnum(muzzleX, muzzleY, player.dir, damage);
     const recoilTier = damage === 3 ? 2.6 : (damage === 2 ? 1.6 : 0.6);
     player.recoil = recoilTier;
+    gamepad.rumble(0.25 * recoilTier, 0.4, 60 + 30 * recoilTier);
+    gameAudio.magnum(damage);
     particles.spawnSmoke(muzzleX, muzzleY, player.dir);
     const baseCd = 0.3;
     player.fireCooldown = baseCd * (damage === 3 ? 3 : (damage === 2 ? 2 : 1));
     npcSystem.notifyGunshot(t);
 
-    // Wake nearby goons
-    for (const g of goons) {
-      if (!g.alive || g.state === 'dying' || g.state === 'dead') continue;
-      const dx = (g.x + 8) - (player.x + 8);
-      const dist = Math.abs(dx);
-      if (dist < 80 && g.state !== 'wounded') {
-        g.state = 'run';
-        g.dir = dx < 0 ? 1 : -1;
-        g.aggroTimer = 0.2 + rng() * 0.3;
-      }
-    }
+    // The louder the round, the further down the street goons hear it
+    goonSystem.hear(muzzleX, 'gunshot', damage);
   }
 
   // Journal toggle
   if (toggleJournal) journal.toggle();
 
   // Activity ping
-  if (Math.abs(vx) > 0.01 || Math.abs(player.vy) > 0.01 || aim || shoot || interact || toggleJournal) {
+  if (input.pressed.size || Math.abs(vx) > 0.01 || Math.abs(player.vy) > 0.01 || aim || shoot || interact || toggleJournal) {
     lastActivityTime = t;
   }
 
@@ -415,28 +719,16 @@ function update(dt, t) {
   // Update boss fight (arena lock and firing)
   bossSystem.update(dt, t, player, camera);
 
-  // Goons fire back when aggro timer elapses
-  for (const g of goons) {
-    if (g.aggroTimer !== undefined && g.aggroTimer !== null) {
-      g.aggroTimer -= dt;
-      if (g.aggroTimer <= 0) {
-        const shotDir = ((player.x + 8) > (g.x + 8)) ? 1 : -1;
-        const mx = shotDir === 1 ? g.x + 16 : g.x - 2;
-        const my = g.y + 9;
-        combat.goonFire(mx, my, shotDir);
-        particles.spawnSmoke(mx, my, g.dir);
-        g.aggroTimer = null;
-      }
-    }
-  }
-
   // Update Molotov projectiles (physics + collision)
   for (let i = molotovProjectiles.length - 1; i >= 0; i--) {
     const m = molotovProjectiles[i];
     if (!m.active) { molotovProjectiles.splice(i,1); continue; }
     const event = m.update(dt, { goons, npcs, aabb });
     if (event?.shatter) {
+      if (event.hitEntity && npcs.includes(event.hitEntity) && !event.hitEntity.burning) repute('bystanderBurned');
       handleMolotovShatter(m, event.hitEntity, MOLOTOV_CONFIG, { firePatches }, particles);
+      gameAudio.shatter(m.x, camera.x);
+      goonSystem.hear(m.x, 'shatter');
       molotovProjectiles.splice(i, 1);
     }
   }
@@ -448,6 +740,7 @@ function update(dt, t) {
     // Damage callback: apply burning and -1 HP per tick to goons; civilians only burn state (no HP here)
     f.update(dt, { candidates: [...goons, ...npcs, player] }, (ent) => {
       if (!ent) return;
+      if (npcs.includes(ent) && !ent.burning) repute('bystanderBurned');
       applyBurningStatus(ent, MOLOTOV_CONFIG.burnDuration);
       if (typeof ent.hp === 'number') {
         ent.hp = Math.max(0, ent.hp - 1);
@@ -458,14 +751,14 @@ function update(dt, t) {
 
   // Burning status jitters (suggested movement impulses)
   for (const g of goons) {
-    const j = updateBurning(g, dt);
+    const j = updateBurning(g, dt, simRng);
     if (j?.impulseX) {
       g.x += j.impulseX * dt;
       g.x = Math.max(0, Math.min(WORLD_W - 16, g.x));
     }
   }
   for (const n of npcs) {
-    const j = updateBurning(n, dt);
+    const j = updateBurning(n, dt, simRng);
     if (j?.impulseX) {
       n.x += j.impulseX * dt;
       n.x = Math.max(0, Math.min(WORLD_W - 16, n.x));
@@ -473,7 +766,7 @@ function update(dt, t) {
   }
   // Player jitter when burning
   {
-    const j = updateBurning(player, dt);
+    const j = updateBurning(player, dt, simRng);
     if (j?.impulseX) {
       player.x += j.impulseX * dt;
       clampPlayerToWorld(player);
@@ -482,8 +775,25 @@ function update(dt, t) {
 
   // Step fire system globally (env + per-entity pixel agents)
   fireSystem.step(dt, { goons, npcs, player });
+  fireSystem.syncTerrain({ covers, debris, booth: telephoneBooth, particles });
+
+  // Tank/bottle detonations reported by the fire grid
+  for (const blast of fireSystem.drainBlasts()) {
+    applyBlast(blast, { goons, npcs, player, hazards, particles, camera }, hurtPlayer);
+    npcSystem.notifyGunshot(t);
+    goonSystem.hear(blast.x, 'blast');
+  }
+
+  // Burst hydrants and the fire truck hose the street
+  fireDept.update(dt, {
+    hydrants,
+    cameraX: camera.x,
+    VW,
+    entities: [...goons.filter(g => g.alive), ...npcs.filter(n => n.state !== 'down'), player],
+  });
 
   // Update systems
+  const bossHpBefore = bossSystem.boss?.hp;
   combat.update(dt, {
     boss: bossSystem.boss,
     bossActive: bossSystem.active,
@@ -491,12 +801,17 @@ function update(dt, t) {
     npcs,
     player,
     playerIframes,
+    hydrants,
+    covers,
+    onHit: onHarryHit,
   });
   if (typeof window !== 'undefined') {} // placeholder to avoid lints
   if (typeof playerIframes === 'number') {
     // no-op, value may be mutated in combat
   }
 
+  if (bossSystem.boss && bossSystem.boss.hp < bossHpBefore) gamepad.rumble(0.3, 0.7, 120);
+
   goonSystem.update(dt, player, t);
   npcSystem.update(dt, t, player);
 
@@ -511,6 +826,7 @@ function update(dt, t) {
       if (aabb(box, pbox)) {
         bossSystem.bullets.splice(i,1);
         playerIframes = 0.6;
+        gamepad.rumble(1, 0.6, 220);
         particles.spawnBlood(pbox.x + pbox.w/2, pbox.y + 3);
         if (player.alive) {
           player.hp = Math.max(0, player.hp - 1);
@@ -533,6 +849,26 @@ function update(dt, t) {
     camera.follow(player.x + player.w/2, VW);
   }
 
+  // Arrests: cuff a boss who gave up, order a cowed goon's hands up, question the cuffed
+  if (interact) {
+    const cowed = arrestTarget(player, goons);
+    const suspect = suspectInReach(player, goons);
+    if (bossSystem.canArrest(player)) {
+      dialogue.say("Harry: You're under arrest, punk.", player.x + 2, player.y - 2, 1.8, { speaker: 'harry', tag: 'arrest' });
+      bossSystem.arrest();
+      repute('bossArrested');
+      interact = false;
+    } else if (cowed) {
+      dialogue.say('Harry: Hands up!', player.x + 2, player.y - 2, 1.2, { speaker: 'harry', tag: 'arrest' });
+      goonSystem.arrest(cowed, player);
+      repute('arrest');
+      interact = false;
+    } else if (suspect) {
+      questionSuspect(suspect);
+      interact = false;
+    }
+  }
+
   // Interactions (talk or POI pickup)
   if (interact) {
     // Try nearest NPC
@@ -563,6 +899,7 @@ function update(dt, t) {
         nearestNPC.panicTimer = 0;
       } else if (nearestNPC.state === 'afraid' || nearestNPC.state === 'flee') {
         dialogue.say('...okay, okay.', nearestNPC.x + 2, nearestNPC.y - 2, 1.2, { speaker: 'npc', entity: nearestNPC, tag: 'calmed' });
+        if (!nearestNPC.helped) { nearestNPC.helped = true; repute('helped'); }
         nearestNPC.state = 'calm';
         nearestNPC.fear = Math.max(0, (nearestNPC.fear||0) - 0.6);
         nearestNPC.panicTimer = 0;
@@ -585,20 +922,17 @@ function update(dt, t) {
 
   // Player death early exit logic (allow restart)
   if (!player.alive) {
-    if (keys.has('r')) restart();
-    pressed.clear();
+    if (input.held.has('Restart')) restart();
     return;
   }
 
-  // Victory if boss dead
-  victory = bossSystem.victory;
+  // Victory when the level's win conditions are met; in the campaign that closes the case
+  victory = levelWon();
+  if (victory && inCampaign && !caseSummary) caseSummary = campaign.summarize({ player, journal, pois, npcs, goons, t, bossEnding: bossSystem.ending });
+  if (caseSummary && input.pressed.has('Interact')) nextCase();
 
-  // Pause / Restart
-  if (pressed.has('p')) paused = !paused;
-  if (pressed.has('r')) restart();
-
-  // One-shot clear
-  pressed.clear();
+  // Restart (Pause is handled per step in tick(), so it works while paused)
+  if (input.pressed.has('Restart')) restart();
 
   // Iframes decay and recoil decay
   if (playerIframes > 0) playerIframes = Math.max(0, playerIframes - dt);
@@ -621,10 +955,18 @@ function render(t) {
 
   // Background
   background.draw(ctx, camera.x);
+  weather.drawSky(ctx, VW);
+  weather.drawRain(ctx);
 
   // Optional: visualize environment fire/heat (toggle inside fireSystem)
   fireSystem.draw(ctx, camera.x);
 
+  // Parked cars and other volatile props
+  drawDebris(ctx, debris, camera.x, VW);
+  drawHazards(ctx, hazards, camera.x, VW);
+  drawHydrants(ctx, hydrants, camera.x, VW, t);
+  drawPuddles(ctx, fireSystem.engine.grid, camera.x, VW, background.windowReflections(camera.x));
+
   // Fire patches (visual kept minimal; env handles flames)
   for (const f of firePatches) f.draw?.(ctx, camera.x, t);
 
@@ -642,6 +984,8 @@ function render(t) {
   // Player
   if (playerIframes > 0) {
     ctx.globalAlpha = 0.6 + 0.4*Math.sin(t*40);
+  } else if (player.hidden) {
+    ctx.globalAlpha = 0.6; // tucked into the shadow of cover
   }
   // Trajectory preview while charging Molotov
   if (player.molotovState === 'charging') {
@@ -653,7 +997,7 @@ function render(t) {
     drawTrajectory(ctx, points, camera.x, { color: '#ffff00', radius: 1 });
   }
   // Draw the player sprite
-  const movingH = Math.abs((keys.has('arrowleft')||keys.has('a')?-1:0) + (keys.has('arrowright')||keys.has('d')?1:0))>0 && player.onGround;
+  const movingH = Math.abs((input.held.has('MoveLeft')?-1:0) + (input.held.has('MoveRight')?1:0))>0 && player.onGround;
   const breathPeriod = 3.8;
   const breathPhase = (player.breathT % breathPeriod) / breathPeriod;
   drawPlayer(ctx, Math.round(player.x - camera.x), Math.round(player.y), 1, player.dir, player.anim, player.aiming, {
@@ -680,7 +1024,8 @@ function render(t) {
   // Burning overlays on NPCs
   for (const n of npcs) { if (n.burning) drawBurningOverlay(ctx, n, t, camera.x); }
 
-  // Foreground traffic silhouettes
+  // Hose and hydrant spray, then foreground traffic silhouettes (fire truck included)
+  drawSpray(ctx, fireDept.drops, camera.x, VW);
   traffic.draw(ctx, camera.x);
 
   // Foreground booth door overlay
@@ -701,7 +1046,7 @@ function render(t) {
   }
 
   // Interaction hints near player (E Talk / Intimidate / Investigate)
-  drawInteractionHints(ctx, player, npcs, pois, camera.x, dialogue.active());
+  drawInteractionHints(ctx, player, npcs, pois, camera.x, dialogue.active(), bindings.label('Interact', inputDevice), goons, bossSystem);
 
   // Dialogue bubble
   dialogue.draw(ctx, camera.x);
@@ -713,8 +1058,8 @@ function render(t) {
     narrative
   });
 
-  // Death/Victory overlays
-  if (!player.alive) {
+  // Death/Victory overlays (the game-over menu replaces the death one)
+  if (!player.alive && !menus.active) {
     ctx.save();
     ctx.globalAlpha = 0.85;
     ctx.fillStyle = 'rgba(0,0,0,0.6)';
@@ -724,9 +1069,12 @@ function render(t) {
     ctx.font = '8px monospace';
     ctx.fillText('You died', Math.floor(VW/2 - ctx.measureText('You died').width/2), Math.floor(VH/2 - 6));
     ctx.font = '6px monospace';
-    ctx.fillText('Press R to restart', Math.floor(VW/2 - ctx.measureText('Press R to restart').width/2), Math.floor(VH/2 + 6));
+    const sub = `Press ${bindings.label('Restart', inputDevice)} to restart`;
+    ctx.fillText(sub, Math.floor(VW/2 - ctx.measureText(sub).width/2), Math.floor(VH/2 + 6));
   }
-  if (victory) {
+  if (caseSummary) {
+    drawCaseSummary(ctx, caseSummary, { continueKey: bindings.label('Interact', inputDevice), restartKey: bindings.label('Restart', inputDevice) });
+  } else if (victory) {
     ctx.save();
     ctx.globalAlpha = 0.9;
     ctx.fillStyle = 'rgba(0,0,0,0.7)';
@@ -737,48 +1085,324 @@ function render(t) {
     ctx.font = '10px monospace';
     ctx.fillText(crown, Math.floor(VW/2 - ctx.measureText(crown).width/2), Math.floor(VH/2 - 10));
     ctx.font = '6px monospace';
-    const sub2 = 'Boss defeated. Press R to play again';
+    const ending = bossSystem.ending === 'arrest' ? 'Boss arrested.' : 'Boss defeated.';
+    const verdict = standing(player.reputation).ending;
+    const sub2 = `${level.win.defeatBoss ? ending : 'Case closed.'} Press ${bindings.label('Restart', inputDevice)} to play again`;
     ctx.fillText(sub2, Math.floor(VW/2 - ctx.measureText(sub2).width/2), Math.floor(VH/2 + 6));
+    ctx.fillStyle = '#9aa3c7';
+    ctx.fillText(verdict, Math.floor(VW/2 - ctx.measureText(verdict).width/2), Math.floor(VH/2 + 16));
   }
 
+  // Touch buttons; the context button names what Interact would do
+  if (editor.active) editor.draw(ctx);
+  else if (!menus.active) touch.draw(ctx, interactionHint(player, npcs, pois, dialogue.active(), goons, bossSystem));
+
+  menus.draw(ctx);
+
+  // Controls screen on top of everything
+  controlsPanel.draw(ctx);
+
   ctx.restore();
 }
 
 /* -------------------------------- Restart -------------------------------- */
 function restart() {
   // Reset player
-  player.x = 40; player.y = 120; player.dir = 1; player.fireCooldown = 0; player.anim = 0; player.aiming=false;
+  player.x = level.player.x; player.y = 120; player.dir = 1; player.fireCooldown = 0; player.anim = 0; player.aiming=false;
   playerIframes = 0; camera.x = 0;
-  player.alive = true; player.hp = player.maxHp;
+  runStartT = simT;
+  // Campaign cases start with what was carried over
+  const stock = inCampaign ? campaign.carry : campaign.start;
+  player.alive = true; player.maxHp = stock.maxHp; player.hp = player.maxHp;
   player.recoil = 0; player.crouch = false; player.vy = 0; player.onGround = true;
-  player.molotovCount = MOLOTOV_CONFIG.inventoryStart; player.molotovState = 'inactive'; player.charge = 0;
+  player.busyT = 0; player.hidden = false;
+  player.molotovCount = stock.molotovs; player.molotovState = 'inactive'; player.charge = 0;
+  player.reputation = stock.reputation ?? 0;
+  molotovCtl.reset();
   molotovProjectiles.length = 0; firePatches.length = 0;
 
   // Dialogue, journal, narrative
   dialogue.clear();
-  narrative.set("Somewhere in L.A., dangerous man is on loose");
+  if (inCampaign) narrative.set(`Case ${campaign.index + 1}: ${campaign.case.title}`);
+  narrative.set(level.intro);
+  exitReached = false;
+  caseSummary = null;
 
   // Boss and cutscene
   bossSystem.reset();
 
   // Goons/NPCs
   goons.length = 0;
-  spawnInitialGoons(rng).forEach(g => goons.push(g));
+  spawnGoons(level.goons, simRng).forEach(g => goons.push(g));
   goonSystem.setGoons(goons);
 
   npcs.length = 0;
-  spawnNPCs().forEach(n => npcs.push(n));
+  spawnNPCs(level.npcs).forEach(n => npcs.push(n));
   npcSystem.setNPCs(npcs);
 
-  // World props
+  // World props, on a grid cleared of the last run's fuel and fire
   telephoneBooth.doorOpen = 0;
+  fireSystem.clear();
+  fireSystem.placeTerrain({ covers, debris, booth: telephoneBooth });
+  fireSystem.syncTerrain({ covers, debris, booth: telephoneBooth });
+  hazards.length = 0;
+  makeHazards(level.hazards).forEach(h => hazards.push(h));
+  fireSystem.placeHazards(hazards);
+  fireSystem.paintLevel(level.paint);
+  hydrants.length = 0;
+  makeHydrants(level.hydrants).forEach(h => hydrants.push(h));
+  fireDept.reset();
 
   // Bullets/particles systems
   combat.playerBullets.length = 0; combat.enemyBullets.length = 0;
   particles.list.length = 0;
 }
 
+/* ------------------------------ Level switch ----------------------------- */
+// Swap in another level (the editor's, the next one) and start it from the top. The
+// entity lists and the booth are updated in place, since the systems hold on to them.
+function applyLevel(next) {
+  level = next;
+  saveWorld.level = next;
+  setWorldWidth(next.worldWidth);
+  fireSystem.resize(next.worldWidth);
+  setLevelDialogues(next.dialogues);
+  camera.maxX = Math.max(0, WORLD_W - VW);
+  const fresh = buildLevel(next, simRng);
+  for (const name of ['covers', 'debris', 'pois']) saveWorld[name].splice(0, Infinity, ...fresh[name]);
+  Object.assign(telephoneBooth, fresh.booth);
+  npcSystem.setShelters(covers);
+  background.setSkyline(next.skylineSeed);
+  weather.setMode(next.weather, true);
+  journal.notes.length = 0;
+  traffic.cars.length = 0;
+  restart();
+  if (editor.active) camera.x = editor.cameraX;
+}
+
+/* -------------------------------- Campaign ------------------------------- */
+// A case starts from the level's top with the carried stock (applyLevel restarts the run);
+// the campaign saves here, between levels
+function startCase() {
+  campaign.startedAt = simT;
+  const res = writeSave(CAMPAIGN_SLOT, saveWorld);
+  if (!res.ok) narrative.set('Campaign not saved: ' + res.error);
+}
+
+async function enterCase() {
+  levelLoading = true;
+  try {
+    applyLevel(await loadLevel(campaign.case.level));
+    startCase();
+  } catch (err) {
+    narrative.set('Case file missing: ' + err.message);
+  } finally {
+    levelLoading = false;
+  }
+}
+
+// Bank the closed case and go on to the next one, or start over after the last
+async function nextCase() {
+  if (levelLoading || !caseSummary) return;
+  if (!campaign.advance(caseSummary)) campaign.reset();
+  await enterCase();
+}
+
+async function newCampaign() {
+  if (levelLoading) return;
+  inCampaign = true;
+  saveWorld.campaign = campaign;
+  journal.archive = campaign.archive;
+  campaign.reset();
+  await enterCase();
+}
+
+// Levels played from the editor stand alone
+function leaveCampaign() {
+  inCampaign = false;
+  saveWorld.campaign = null;
+  journal.archive = [];
+}
+
+/* ------------------------------- Save / Load ----------------------------- */
+// Everything save_game.js reads and writes; the lists and props are updated in place
+const saveWorld = {
+  level, campaign: inCampaign ? campaign : null, player, goons, npcs, pois, journal, boss: bossSystem,
+  covers, debris, hazards, hydrants, booth: telephoneBooth,
+  fire: fireSystem, weather, camera,
+};
+
+// Nothing in flight survives a load (or a replay start)
+function clearTransient() {
+  playerIframes = 0; idleHintCooldown = 0; lastActivityTime = simT;
+  molotovCtl.reset();
+  molotovProjectiles.length = 0; firePatches.length = 0;
+  combat.playerBullets.length = 0; combat.enemyBullets.length = 0;
+  particles.list.length = 0;
+  traffic.cars.length = 0;
+  dialogue.clear();
+  fireDept.reset();
+  npcSystem.lastGunshotTime = -1000;
+  exitReached = false;
+  caseSummary = null;
+  victory = levelWon();
+}
+
+function quickSave() {
+  if (recorder || playback) { narrative.set('Saving is off during replays.'); return; }
+  const res = writeSave(QUICK_SLOT, saveWorld);
+  narrative.set(res.ok ? 'Game saved.' : 'Save failed: ' + res.error);
+}
+
+function quickLoad() {
+  if (recorder || playback) { narrative.set('Loading is off during replays.'); return; }
+  if (levelLoading) { narrative.set('Still loading the level.'); return; }
+  return loadSlot(QUICK_SLOT);
+}
+
+// Continue from the title: back to the start of the case the campaign save was made at
+async function continueCampaign() {
+  if (levelLoading) return;
+  inCampaign = true;
+  saveWorld.campaign = campaign;
+  journal.archive = campaign.archive;
+  if (await loadSlot(CAMPAIGN_SLOT, false)) narrative.set(`Case ${campaign.index + 1}: ${campaign.case.title}`);
+}
+
+// A save from another level (an earlier case) loads that level first
+async function loadSlot(slot, announce = true) {
+  const data = peekSave(slot);
+  if (data?.level && data.level !== level.id) {
+    levelLoading = true;
+    try {
+      applyLevel(await loadLevel(data.level));
+    } catch (err) {
+      narrative.set('Load failed: ' + err.message);
+      return false;
+    } finally {
+      levelLoading = false;
+    }
+  }
+  const res = readSave(slot, saveWorld);
+  if (!res.ok) { narrative.set('Load failed: ' + res.error); return false; }
+  clearTransient();
+  if (announce) narrative.set('Game loaded.');
+  return true;
+}
+
+/* --------------------------------- Replays ------------------------------- */
+// A recording starts from a save of the current run; recording and playback both restore
+// it and reseed the sim, so they begin from identical state.
+let recorder = null;
+let playback = null;
+let replayAccum = 0;
+let replaySpeed = 1;
+let replayResult = null;
+
+function beginReplayRun({ seed, t0, save }) {
+  restoreGame(saveWorld, save);
+  simT = t0;
+  reseedSim(seed);
+  clearTransient();
+  paused = false;
+  replayAccum = 0;
+}
+
+function startRecording() {
+  if (recorder || playback || !player.alive) return;
+  const start = { seed: Math.floor(rng() * 2 ** 32), t0: simT, save: serializeGame(saveWorld) };
+  beginReplayRun(start);
+  recorder = new ReplayRecorder(start);
+  narrative.set('Recording replay (F6 to stop).');
+}
+
+/** Finish the recording, keep it as the last replay and return its data. */
+function stopRecording() {
+  if (!recorder) return null;
+  const outcome = !player.alive ? 'death' : (victory ? 'victory' : null);
+  const data = recorder.finish(outcome, stateChecksum(serializeGame(saveWorld)));
+  recorder = null;
+  const res = storeReplay(data);
+  narrative.set(`Replay recorded: ${data.frames.length} steps` + (res.ok ? '.' : ' (not stored: ' + res.error + ')'));
+  return data;
+}
+
+// Stop and hand the replay file to the player (to attach to a bug report)
+function exportRecording() {
+  downloadJSON(`dirtyharry-replay-${Date.now()}.json`, stopRecording());
+}
+
+function toggleRecording() {
+  if (recorder) exportRecording();
+  else startRecording();
+}
+
+/** Play back a replay (object or JSON text) at `speed` x real time. */
+function startPlayback(src, speed = 1) {
+  if (recorder) stopRecording();
+  try {
+    const data = typeof src === 'string' ? JSON.parse(src) : src;
+    const p = new ReplayPlayer(data);
+    beginReplayRun(data);
+    playback = p;
+    replaySpeed = Math.max(0.25, speed);
+    replayResult = null;
+    narrative.set('Playing replay (F7 to stop).');
+    return true;
+  } catch (err) {
+    narrative.set('Replay failed: ' + err.message);
+    return false;
+  }
+}
+
+function endPlayback() {
+  if (!playback) return;
+  const data = playback.data;
+  const finished = playback.done;
+  playback = null;
+  replaySpeed = 1;
+  keys.clear(); pressed.clear(); input.held.clear(); input.pressed.clear();
+  const outcome = !player.alive ? 'death' : (victory ? 'victory' : null);
+  const checksum = stateChecksum(serializeGame(saveWorld));
+  replayResult = { finished, outcome, expectedOutcome: data.outcome, checksum, expectedChecksum: data.checksum, inSync: finished && checksum === data.checksum };
+  narrative.set(!finished ? 'Replay stopped.' : replayResult.inSync ? 'Replay finished in sync.' : 'Replay desynced from the recording!');
+}
+
+function togglePlayback() {
+  if (playback) { endPlayback(); return; }
+  const data = loadStoredReplay();
+  if (data) startPlayback(data);
+  else narrative.set('No replay recorded yet (F6).');
+}
+
+function downloadJSON(name, data) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url; a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 /* --------------------------------- Boot ---------------------------------- */
+applyAccess();
+if (inCampaign) {
+  journal.archive = campaign.archive;
+  let resumed = false;
+  if (campaignSave) {
+    try {
+      restoreGame(saveWorld, campaignSave);
+      clearTransient();
+      narrative.set(`Case ${campaign.index + 1}: ${campaign.case.title}`);
+      resumed = true;
+    } catch (err) {
+      narrative.set('Campaign save ignored: ' + err.message);
+      campaign.reset();
+    }
+  }
+  // Nothing is saved until New game is chosen on the title
+  if (!resumed) restart();
+}
+menus.open('title');
 requestAnimationFrame(loop);
 
 /* ---------------------------- Debug/test hooks --------------------------- */
@@ -788,6 +1412,8 @@ if (typeof window !== 'undefined') {
     setPlayerDir: (d) => { player.dir = d >= 0 ? 1 : -1; },
     getNPCs: () => npcs.map(n => ({ type: n.type, state: n.state, x: n.x, y: n.y, bulletImmune: !!n.bulletImmune })),
     getPlayer: () => ({ x: player.x, y: player.y, dir: player.dir, crouch: player.crouch, aiming: player.aiming }),
+    getReputation: () => ({ score: player.reputation, standing: standing(player.reputation).name }),
+    setReputation: (score) => { player.reputation = Math.max(-100, Math.min(100, Number(score) || 0)); },
     aim: (on = true) => {
       const key = 'Shift';
       const evt = new KeyboardEvent(on ? 'keydown' : 'keyup', { key });
@@ -801,10 +1427,47 @@ if (typeof window !== 'undefined') {
     debugUnlockBoss: () => {
       pois.forEach(p => p.taken = true);
       npcs.forEach(n => { if (n.state !== 'down') n.clueGiven = true; });
-      if (!bossSystem.boss) bossSystem.spawn(telephoneBooth);
+      if (!bossSystem.boss && level.win.defeatBoss) bossSystem.spawn(telephoneBooth, level.boss);
+    },
+    toggleEditor: (on = !editor.active) => {
+      if (on && !editor.active) {
+        if (recorder) stopRecording();
+        if (playback) endPlayback();
+        menus.close();
+        editor.open(level, camera.x);
+      } else if (!on) editor.close();
+      return editor.active;
     },
+    getEditorLevel: () => (editor.active ? JSON.parse(JSON.stringify(editor.level)) : null),
+    loadEditorLevel: (src) => editor.active && editor.load(src),
+    editorSet: (key, value) => editor.active && editor.set(key, value),
+    playEditorLevel: () => { if (editor.active) editor.handleKey('p'); return !editor.active; },
+    getMenu: () => menus.name,
+    menuKey: (key) => menus.handleKey(key),
+    getCampaign: () => (inCampaign ? {
+      case: campaign.index + 1, of: campaign.cases.length, title: campaign.case.title,
+      carry: { ...campaign.carry }, closed: campaign.archive.map(c => c.title), summary: caseSummary,
+    } : null),
+    nextCase: () => nextCase(),
+    newCampaign: () => newCampaign(),
+    getLevel: () => ({ id: level.id, name: level.name, worldWidth: level.worldWidth, win: { ...level.win } }),
     getBoss: () => bossSystem.boss ? ({ x: bossSystem.boss.x, y: bossSystem.boss.y, alive: bossSystem.boss.alive, dir: bossSystem.boss.dir, state: bossSystem.boss.state }) : null,
     getBooth: () => ({ doorOpen: telephoneBooth.doorOpen }),
     toggleFireEnvDebug: (on = null) => { fireSystem.showEnv = (on === null) ? !fireSystem.showEnv : !!on; },
+    setWind: (base = 0, gust = wind.gust) => { wind.base = base; wind.gust = gust; },
+    burstHydrant: (i = 0) => { const h = hydrants[i]; if (h && !h.open) { h.open = true; h.flow = 1; } },
+    setWeather: (mode = 'clear') => { weather.setMode(mode); return weather.mode; },
+    callFireTruck: (x = player.x) => traffic.dispatchFireTruck(x, camera.x, VW, fireDept.config.truckSpray) !== null,
+    quickSave: () => quickSave(),
+    quickLoad: () => quickLoad(),
+    getSave: () => serializeGame(saveWorld),
+    startRecording: () => startRecording(),
+    stopRecording: () => stopRecording(),
+    playReplay: (data, speed = 1) => startPlayback(data, speed),
+    getReplayResult: () => replayResult,
+    setVolume: (bus, v) => gameAudio.mixer.setVolume(bus, v),
+    getVolumes: () => ({ ...gameAudio.mixer.volumes }),
+    setTouchControls: (on = true) => { touch.setEnabled(on); saveSettingsSection('touch', !!on); return touch.enabled; },
+    detonateHazard: (i = 0) => { const h = hazards[i]; if (h) fireSystem.engine.detonate(h.x + h.tank.dx, h.y + h.tank.dy); },
   };
 }
\ No newline at end of file
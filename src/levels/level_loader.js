@@ -0,0 +1,208 @@
+/**
+ * Levels as data: a level is a JSON file in this folder (`<id>.json`, see street.json)
+ * describing the world width, skyline seed, weather, who stands where and what wins it.
+ * `loadLevel` fetches and checks one, `buildLevel` turns it into the live entity lists.
+ *
+ * Format 1 (everything stands on the street, so positions are x only):
+ *   id, name, intro (narrative line), worldWidth, skylineSeed, weather, player { x },
+ *   goons [{ x, dir, profile }], npcs [{ type, x, dir, dialogue, clue }],
+ *   covers [{ x, w, h, material }], debris [{ kind, x, w, h, material }],
+ *   hazards [{ kind, x, w, h, color?, tank { dx, dy, w, h } }], hydrants [{ x }],
+ *   pois [{ x, title, note, clue }], booth { x }, boss { x?, hp } | null,
+ *   paint? [{ op: 'rect', mat, x, y, w, h } | { op: 'circle', mat, x, y, r }] (+ temp?, burning?),
+ *   dialogues? { id: { clue, rude?, done? } | { script: [...] } } ('goon' is what cuffed goons say),
+ *   win { clues: 'all' | [clue ids], defeatBoss }
+ *
+ * Win: the required clues (all of them by default) open the way at the booth end; with a
+ * boss, beating him wins, without one (or with defeatBoss false) reaching it does.
+ *
+ * Paint ops are fire-grid cells laid down after the terrain (fuel puddles, standing water),
+ * in grid cells = world pixels, y from the top of the view; `mat` is a Materials key.
+ */
+import { VW, VH } from '../core/constants.js';
+import { Materials } from '../sim/materials.js';
+import { WEATHER_MODES } from '../systems/weather.js';
+import { GOON_PROFILES, spawnGoons, spawnNPCs, makeCovers, makeDebris, makeHazards, makeHydrants, makePOIs, makeTelephoneBooth } from '../entities/spawn.js';
+
+export const LEVEL_FORMAT = 1;
+export const DEFAULT_LEVEL = 'street';
+
+// What the renderers know how to draw
+export const NPC_TYPES = ['mother', 'oldman', 'kid', 'hotgirl'];
+const DEBRIS_KINDS = ['newspapers', 'tires', 'dumpster'];
+const HAZARD_KINDS = ['car', 'gascan', 'propane'];
+const BOSS_HP = 12;
+
+/** Fetch `<id>.json` next to this module and check it. */
+export async function loadLevel(id, fetchImpl = globalThis.fetch) {
+  if (!/^[\w-]+$/.test(id)) throw new Error(`bad level id "${id}"`);
+  const res = await fetchImpl(new URL(`./${id}.json`, import.meta.url));
+  if (!res.ok) throw new Error(`level "${id}" not found (${res.status})`);
+  return parseLevel(await res.json());
+}
+
+/** Check a level object and fill in defaults; throws with the offending path. */
+export function parseLevel(data) {
+  const fail = (path, what) => { throw new Error(`level ${data?.id ?? '?'}: ${path} ${what}`); };
+  if (!data || typeof data !== 'object') fail('', 'is not an object');
+  if (data.format !== LEVEL_FORMAT) fail('format', `must be ${LEVEL_FORMAT}`);
+
+  const worldWidth = data.worldWidth ?? VW * 5;
+  const num = (v, path, min = -Infinity, max = Infinity) => {
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < min || v > max) fail(path, `must be a number in ${min}..${max}`);
+    return v;
+  };
+  const str = (v, path) => (typeof v === 'string' && v ? v : fail(path, 'must be a non-empty string'));
+  const oneOf = (v, list, path) => (list.includes(v) ? v : fail(path, `must be one of ${list.join(', ')}`));
+  const list = (v, path) => (v === undefined ? [] : Array.isArray(v) ? v : fail(path, 'must be a list'));
+  const dir = (v, path) => (v === undefined ? 1 : oneOf(v, [-1, 1], path));
+  const x = (v, path, w = 0) => num(v, path, 0, worldWidth - w);
+
+  num(worldWidth, 'worldWidth', VW);
+  const level = {
+    format: LEVEL_FORMAT,
+    id: str(data.id, 'id'),
+    name: data.name ?? data.id,
+    intro: data.intro ?? '',
+    worldWidth,
+    skylineSeed: data.skylineSeed === undefined ? 1 : num(data.skylineSeed, 'skylineSeed', 0, 2 ** 32 - 1),
+    weather: oneOf(data.weather ?? 'clear', Object.keys(WEATHER_MODES), 'weather'),
+    player: { x: x(data.player?.x ?? 24, 'player.x', 16) },
+    goons: list(data.goons, 'goons').map((g, i) => ({
+      x: x(g.x, `goons[${i}].x`, 16), dir: dir(g.dir, `goons[${i}].dir`),
+      profile: oneOf(g.profile ?? 'smoker', Object.keys(GOON_PROFILES), `goons[${i}].profile`),
+    })),
+    npcs: list(data.npcs, 'npcs').map((n, i) => ({
+      type: oneOf(n.type, NPC_TYPES, `npcs[${i}].type`), x: x(n.x, `npcs[${i}].x`, 16), dir: dir(n.dir, `npcs[${i}].dir`),
+      dialogue: n.dialogue === undefined ? n.type : str(n.dialogue, `npcs[${i}].dialogue`),
+      clue: n.clue === undefined || n.clue === null ? null : str(n.clue, `npcs[${i}].clue`),
+    })),
+    covers: list(data.covers, 'covers').map((c, i) => ({
+      x: x(c.x, `covers[${i}].x`), w: num(c.w ?? 14, `covers[${i}].w`, 1, 64), h: num(c.h ?? 8, `covers[${i}].h`, 1, 40),
+      material: oneOf(c.material ?? 'STONE', Object.keys(Materials), `covers[${i}].material`),
+    })),
+    debris: list(data.debris, 'debris').map((d, i) => ({
+      kind: oneOf(d.kind, DEBRIS_KINDS, `debris[${i}].kind`), x: x(d.x, `debris[${i}].x`),
+      w: num(d.w, `debris[${i}].w`, 1, 64), h: num(d.h, `debris[${i}].h`, 1, 40),
+      material: oneOf(d.material, Object.keys(Materials), `debris[${i}].material`),
+    })),
+    hazards: list(data.hazards, 'hazards').map((h, i) => {
+      const p = `hazards[${i}]`;
+      const w = num(h.w, `${p}.w`, 1, 64), hh = num(h.h, `${p}.h`, 1, 40);
+      const t = h.tank || fail(`${p}.tank`, 'is missing');
+      return {
+        kind: oneOf(h.kind, HAZARD_KINDS, `${p}.kind`), x: x(h.x, `${p}.x`, w), w, h: hh,
+        ...(h.color ? { color: str(h.color, `${p}.color`) } : {}),
+        tank: {
+          dx: num(t.dx, `${p}.tank.dx`, 0, w - 1), dy: num(t.dy, `${p}.tank.dy`, 0, hh - 1),
+          w: num(t.w, `${p}.tank.w`, 1, w), h: num(t.h, `${p}.tank.h`, 1, hh),
+        },
+      };
+    }),
+    hydrants: list(data.hydrants, 'hydrants').map((h, i) => ({ x: x(h.x, `hydrants[${i}].x`, 5) })),
+    pois: list(data.pois, 'pois').map((p, i) => ({
+      x: x(p.x, `pois[${i}].x`, 6), title: str(p.title, `pois[${i}].title`), note: str(p.note, `pois[${i}].note`),
+      clue: p.clue === undefined ? `poi-${i}` : str(p.clue, `pois[${i}].clue`),
+    })),
+    booth: { x: x(data.booth?.x ?? worldWidth - 52, 'booth.x', 14) },
+    boss: data.boss === null ? null : {
+      x: data.boss?.x === undefined ? null : x(data.boss.x, 'boss.x', 16),
+      hp: num(data.boss?.hp ?? BOSS_HP, 'boss.hp', 1, 99),
+    },
+    paint: list(data.paint, 'paint').map((o, i) => {
+      const p = `paint[${i}]`;
+      const op = {
+        op: oneOf(o.op, ['rect', 'circle'], `${p}.op`), mat: oneOf(o.mat, Object.keys(Materials), `${p}.mat`),
+        x: x(o.x, `${p}.x`), y: num(o.y, `${p}.y`, 0, VH - 1),
+      };
+      if (op.op === 'rect') Object.assign(op, { w: num(o.w, `${p}.w`, 1, worldWidth), h: num(o.h, `${p}.h`, 1, VH) });
+      else op.r = num(o.r, `${p}.r`, 0, 32);
+      if (o.temp !== undefined) op.temp = num(o.temp, `${p}.temp`, 0, 3000);
+      if (o.burning) op.burning = true;
+      return op;
+    }),
+    dialogues: data.dialogues ?? {},
+    win: {
+      clues: data.win?.clues ?? 'all',
+      defeatBoss: data.win?.defeatBoss ?? true,
+    },
+  };
+
+  if (typeof level.dialogues !== 'object') fail('dialogues', 'must be an object');
+  for (const [id, d] of Object.entries(level.dialogues)) {
+    if (d?.script) list(d.script, `dialogues.${id}.script`).forEach((l, i) => str(l.text, `dialogues.${id}.script[${i}].text`));
+    else str(d?.clue, `dialogues.${id}.clue`);
+  }
+  const clueIds = [...level.npcs.map(n => n.clue), ...level.pois.map(p => p.clue)].filter(Boolean);
+  if (level.win.clues !== 'all') {
+    list(level.win.clues, 'win.clues').forEach((c, i) => { if (!clueIds.includes(c)) fail(`win.clues[${i}]`, `names no clue in the level ("${c}")`); });
+  }
+  if (level.boss === null) level.win.defeatBoss = false;
+  return level;
+}
+
+/**
+ * The campaign: campaign.json lists the cases in play order, each on one level, with the
+ * reward carried into the next ({ maxHp, molotovs } added on closing it).
+ */
+export async function loadCampaign(fetchImpl = globalThis.fetch) {
+  const res = await fetchImpl(new URL('./campaign.json', import.meta.url));
+  if (!res.ok) throw new Error(`campaign not found (${res.status})`);
+  return parseCampaign(await res.json());
+}
+
+export function parseCampaign(data) {
+  const fail = (path, what) => { throw new Error(`campaign: ${path} ${what}`); };
+  if (data?.format !== LEVEL_FORMAT) fail('format', `must be ${LEVEL_FORMAT}`);
+  if (!Array.isArray(data.cases) || !data.cases.length) fail('cases', 'must be a non-empty list');
+  return {
+    cases: data.cases.map((c, i) => {
+      const p = `cases[${i}]`;
+      for (const k of ['id', 'title', 'level']) if (typeof c[k] !== 'string' || !c[k]) fail(`${p}.${k}`, 'must be a non-empty string');
+      const reward = { maxHp: c.reward?.maxHp ?? 0, molotovs: c.reward?.molotovs ?? 0 };
+      for (const k of ['maxHp', 'molotovs']) if (!Number.isInteger(reward[k]) || reward[k] < 0) fail(`${p}.reward.${k}`, 'must be a whole number >= 0');
+      return { id: c.id, title: c.title, level: c.level, reward };
+    }),
+  };
+}
+
+/** A parsed level back to file form (what the editor exports); drops filled-in defaults that mean "unset". */
+export function levelToJSON(level) {
+  const { boss, ...rest } = level;
+  const out = { ...rest, boss: boss && (boss.x === null ? { hp: boss.hp } : { ...boss }) };
+  if (!out.paint.length) delete out.paint;
+  if (!Object.keys(out.dialogues).length) delete out.dialogues;
+  return JSON.parse(JSON.stringify(out));
+}
+
+/** Fresh entity lists for a level (run start and restart). `rng` is the gameplay stream. */
+export function buildLevel(level, rng) {
+  return {
+    goons: spawnGoons(level.goons, rng),
+    npcs: spawnNPCs(level.npcs),
+    covers: makeCovers(level.covers),
+    debris: makeDebris(level.debris),
+    hazards: makeHazards(level.hazards),
+    hydrants: makeHydrants(level.hydrants),
+    pois: makePOIs(level.pois),
+    booth: makeTelephoneBooth(level.booth),
+  };
+}
+
+/**
+ * Required clues not found yet, as the POIs still on the ground and the NPCs still to talk
+ * to. An NPC who is down counts as done (nobody left to ask).
+ */
+export function missingClues(level, pois, npcs) {
+  const need = level.win.clues === 'all' ? null : new Set(level.win.clues);
+  const required = (clue) => !!clue && (!need || need.has(clue));
+  return {
+    pois: pois.filter(p => required(p.clue) && !p.taken),
+    npcs: npcs.filter(n => required(n.clue) && !n.clueGiven && n.state !== 'down'),
+  };
+}
+
+export function cluesComplete(level, pois, npcs) {
+  const m = missingClues(level, pois, npcs);
+  return m.pois.length === 0 && m.npcs.length === 0;
+}
@@ -4,11 +4,11 @@
  * Responsibilities:
  * - Manage states: 'inactive' -> 'preparing' -> 'lit' -> 'charging' -> 'cooldown'
  * - Expose events/callbacks for throw and cancel
- * - Track charge (0..1) based on hold time
+ * - Track charge (0..1) based on hold time, or on an analog trigger's pressure when given
  *
  * Integration:
  * - Instantiate per player, pass a config object and callbacks
- * - Call handleInput({equipPressed:boolean, chargeHeld:boolean})
+ * - Call handleInput({equipPressed:boolean, chargeHeld:boolean, chargeLevel?:number})
  * - Call update(dt, nowMs), and if it returns an event, handle it
  * - Read current charge via controller.charge for UI bars and trajectory
  *
@@ -34,20 +34,32 @@ export class MolotovController {
     this.cfg = cfg;
   }
 
+  /** Drop any bottle in hand (restart, loaded save, replay start). */
+  reset() {
+    this.state = 'inactive';
+    this.charge = 0;
+    this._chargeStartMs = 0;
+    this._cooldown = 0;
+    this._equipPressLatched = false;
+  }
+
   /**
    * One-shot buttons like Q should be latched externally and provided here.
-   * @param {{equipPressed:boolean, chargeHeld:boolean, inventory:number}} input
+   * `chargeLevel` (0..1, e.g. a gamepad trigger) sets the charge directly; the throw uses
+   * the deepest squeeze, since the trigger eases off on release.
+   * @param {{equipPressed:boolean, chargeHeld:boolean, chargeLevel?:number|null, inventory:number}} input
    */
   handleInput(input) {
     this._equipPressed = !!input.equipPressed;
     this._chargeHeld = !!input.chargeHeld;
+    this._chargeLevel = typeof input.chargeLevel === 'number' ? input.chargeLevel : null;
     this._inventory = input.inventory ?? 0;
   }
 
   /**
    * Advance the state machine. Returns an event when something notable happens.
    * @param {number} dt seconds
-   * @param {number} nowMs performance.now()
+   * @param {number} nowMs game clock in ms (performance.now() by default)
    * @returns {null | {type:'throw', charge:number} | {type:'cancel'} }
    */
   update(dt, nowMs = performance.now()) {
@@ -84,8 +96,12 @@ export class MolotovController {
 
       case 'charging':
         if (this._chargeHeld) {
-          const tMs = nowMs - this._chargeStartMs;
-          this.charge = Math.max(0, Math.min(1, tMs / (this.cfg.maxChargeTimeMs ?? 1200)));
+          if (this._chargeLevel !== null) {
+            this.charge = Math.max(this.charge, Math.min(1, this._chargeLevel));
+          } else {
+            const tMs = nowMs - this._chargeStartMs;
+            this.charge = Math.max(0, Math.min(1, tMs / (this.cfg.maxChargeTimeMs ?? 1200)));
+          }
         } else {
           // Throw on release
           const power = this.charge;
@@ -0,0 +1,36 @@
+/**
+ * Burnable street clutter (newspaper bundles, tire stacks, dumpster), drawn behind characters.
+ * Height follows the share still standing in the fire grid; hot metal glows.
+ */
+export function drawDebris(ctx, debris, cameraX, VW) {
+  for (const d of debris) {
+    const x = Math.round(d.x - cameraX);
+    if (x + d.w < -2 || x > VW + 2) continue;
+    const h = Math.round(d.h * (d.integrity ?? 1));
+    if (h <= 0) continue;
+    const top = d.y + d.h - h;
+    if (d.kind === 'newspapers') {
+      ctx.fillStyle = '#cfc8b0'; ctx.fillRect(x, top, d.w, h);
+      ctx.fillStyle = '#8a8472';
+      for (let y = top + 1; y < d.y + d.h; y += 2) ctx.fillRect(x, y, d.w, 1);
+      ctx.fillStyle = '#5a3f27'; ctx.fillRect(x + 3, top, 1, h);
+    } else if (d.kind === 'tires') {
+      ctx.fillStyle = '#161618'; ctx.fillRect(x, top, d.w, h);
+      ctx.fillStyle = '#3a3b40';
+      for (let y = top + 1; y < d.y + d.h; y += 2) ctx.fillRect(x + 1, y, d.w - 2, 1);
+    } else if (d.kind === 'dumpster') {
+      ctx.fillStyle = '#2f4a3a'; ctx.fillRect(x, top, d.w, h);
+      ctx.fillStyle = '#22352a'; ctx.fillRect(x, top, d.w, 2);
+      ctx.fillStyle = '#1a261f';
+      for (let i = 3; i < d.w - 2; i += 4) ctx.fillRect(x + i, top + 3, 1, h - 4);
+      if ((d.heat || 0) > 700) {
+        // Incandescent steel: dull red toward orange as it heats
+        const k = Math.min(1, ((d.heat || 0) - 700) / 600);
+        ctx.globalAlpha = 0.25 + 0.5 * k;
+        ctx.fillStyle = k > 0.6 ? '#ff9a3a' : '#b8321a';
+        ctx.fillRect(x, top, d.w, h);
+        ctx.globalAlpha = 1;
+      }
+    }
+  }
+}
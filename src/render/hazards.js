@@ -0,0 +1,48 @@
+/**
+ * Volatile street props (parked cars, gas cans, propane bottles), drawn behind characters.
+ * Wrecked cars stay as charred shells; cans and bottles are gone once they blow.
+ */
+export function drawHazards(ctx, hazards, cameraX, VW) {
+  for (const h of hazards) {
+    const x = Math.round(h.x - cameraX), y = Math.round(h.y);
+    if (x + h.w < -2 || x > VW + 2) continue;
+    if (h.kind === 'car') drawParkedCar(ctx, h, x, y);
+    else if (h.wrecked) continue;
+    else if (h.kind === 'gascan') {
+      ctx.fillStyle = '#8c1c16'; ctx.fillRect(x, y + 1, h.w, h.h - 1);
+      ctx.fillStyle = '#b8322a'; ctx.fillRect(x + 1, y + 2, 1, h.h - 3);
+      ctx.fillStyle = '#2a2a2a'; ctx.fillRect(x + h.w - 2, y, 1, 1);
+    } else if (h.kind === 'propane') {
+      ctx.fillStyle = '#c9c4b0'; ctx.fillRect(x, y + 2, h.w, h.h - 2);
+      ctx.fillStyle = '#e8e4d4'; ctx.fillRect(x + 1, y + 3, 1, h.h - 4);
+      ctx.fillStyle = '#6c727a'; ctx.fillRect(x + 1, y, 2, 2);
+    }
+  }
+}
+
+function drawParkedCar(ctx, c, x, y) {
+  const body = c.wrecked ? '#1a1614' : c.color;
+  const cab = c.wrecked ? '#0d0b0a' : '#121724';
+  const cabH = Math.max(4, Math.round(c.h * 0.4));
+  ctx.fillStyle = body;
+  ctx.fillRect(x, y + cabH - 1, c.w, c.h - cabH - 1);
+  ctx.fillRect(x + Math.round(c.w * 0.25), y, Math.round(c.w * 0.45), cabH);
+  ctx.fillStyle = cab;
+  ctx.fillRect(x + Math.round(c.w * 0.25) + 2, y + 1, Math.round(c.w * 0.45) - 4, cabH - 2);
+  ctx.fillStyle = '#0a0a0a';
+  ctx.fillRect(x + 4, y + c.h - 3, 5, 3);
+  ctx.fillRect(x + c.w - 9, y + c.h - 3, 5, 3);
+  if (c.wrecked) {
+    // Scorched paint and a few glowing embers
+    ctx.fillStyle = '#2b211c';
+    for (let i = 3; i < c.w - 3; i += 5) ctx.fillRect(x + i, y + cabH, 2, 1);
+    ctx.fillStyle = '#ff7a2a';
+    ctx.fillRect(x + c.tank.dx + 1, y + c.tank.dy, 1, 1);
+    ctx.fillRect(x + c.tank.dx + 4, y + c.tank.dy + 1, 1, 1);
+  } else {
+    ctx.fillStyle = '#fff3b4';
+    ctx.fillRect(x + c.w - 1, y + cabH, 1, 1);
+    ctx.fillStyle = '#c8281e';
+    ctx.fillRect(x, y + cabH, 1, 1);
+  }
+}
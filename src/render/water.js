@@ -0,0 +1,53 @@
+/**
+ * Water on the street: hydrants, spray droplets in flight and the WATER cells of the fire
+ * grid (puddles, with anything floating on them drawn by the grid as usual).
+ */
+import { Materials as Mat } from '../sim/materials.js';
+
+export function drawHydrants(ctx, hydrants, cameraX, VW, t) {
+  for (const h of hydrants) {
+    const x = Math.round(h.x - cameraX), y = Math.round(h.y);
+    if (x + h.w < -2 || x > VW + 2) continue;
+    ctx.fillStyle = '#9c2418';
+    ctx.fillRect(x, y + 2, h.w, h.h - 2);
+    ctx.fillRect(x - 1, y + 4, h.w + 2, 1);
+    ctx.fillStyle = '#c23a2a';
+    ctx.fillRect(x + 1, y + 3, 1, h.h - 4);
+    if (!h.open) {
+      ctx.fillStyle = '#9c2418';
+      ctx.fillRect(x + 1, y, h.w - 2, 2);
+    } else if (h.flow > 0.05) {
+      // Frothing jet above the burst cap
+      ctx.fillStyle = 'rgba(190,215,255,0.8)';
+      const jet = Math.round(3 + 5 * h.flow + Math.sin(t * 30) * 1.5);
+      ctx.fillRect(x + 1, y - jet, h.w - 2, jet);
+    }
+  }
+}
+
+export function drawSpray(ctx, drops, cameraX, VW) {
+  ctx.fillStyle = 'rgba(170,200,255,0.85)';
+  for (const d of drops) {
+    const x = Math.round(d.x - cameraX);
+    if (x < -1 || x > VW) continue;
+    ctx.fillRect(x, Math.round(d.y), 1, 1);
+  }
+}
+
+// Puddles: every WATER cell in view, with a lighter rim where the surface meets the air.
+// `reflections` (optional, per screen column) marks lit skyline windows mirrored in the water.
+export function drawPuddles(ctx, grid, cameraX, VW, reflections = null) {
+  const x0 = Math.max(0, Math.floor(cameraX)), x1 = Math.min(grid.w, x0 + VW + 1);
+  ctx.save();
+  for (let y = 0; y < grid.h; y++) {
+    for (let x = x0; x < x1; x++) {
+      if (grid.material[grid.index(x, y)] !== Mat.WATER) continue;
+      const sx = Math.round(x - cameraX);
+      const surface = y === 0 || grid.material[grid.index(x, y - 1)] !== Mat.WATER;
+      if (reflections?.[sx]) ctx.fillStyle = surface ? 'rgba(140,132,80,0.9)' : 'rgba(77,73,48,0.8)';
+      else ctx.fillStyle = surface ? 'rgba(150,180,230,0.7)' : 'rgba(51,85,170,0.6)';
+      ctx.fillRect(sx, y, 1, 1);
+    }
+  }
+  ctx.restore();
+}
@@ -1,86 +1,205 @@
-import { Grid } from './grid.js';
+import { Grid, CHUNK_SHIFT, CHUNK_SIZE } from './grid.js';
 import { Materials as Mat, MaterialProps } from './materials.js';
-import { tryIgnite, combust, waterQuench } from './reactions.js';
+import { tryIgnite, tryDetonate, combust, waterQuench } from './reactions.js';
+import { makeRng } from '../core/rng.js';
+
+const AMBIENT = 293; // ~20°C
+// Cells warmer than ambient by more than this keep their chunk awake.
+const HOT_DELTA = 15;
+// Velocity field: gas velocities relax toward the ambient wind (1/s); hot gas gets an
+// upward lift (cells/s per K above ambient, capped) so heat and smoke rise off flames.
+const WIND_RELAX = 3;
+const BUOYANCY = 0.02;
+const MAX_LIFT = 12;
+// Fraction of a flame's released heat handed downwind per cell/s of wind.
+const FLAME_LEAN = 0.04;
+// Blasts: radius grows with the square root of the charge (stored fuel x volatile).
+// Pressure decays per second and pushes gas down its gradient (cells/s per unit).
+const BLAST_BASE_R = 6;
+const BLAST_R_PER_CHARGE = 4;
+const BLAST_MAX_R = 40;
+const BLAST_HEAT = 900;
+const BLAST_THROW = 12; // cells a liquid cell at the core is thrown
+const MAX_CLUSTER = 512;
+const FLAME_CONTACT = 120; // K/s per burning neighbour on a flammable solid
+const COOKOFF_RATE = 0.25; // internal pressure/s per burning neighbour on a volatile shell
+const PRESSURE_DECAY = 4;
+const PRESSURE_PUSH = 300;
+const WATER_QUENCH_TEMP = 360; // a burning cell water falls through is cooled to this (K)
 
 export class FireEngine {
-  constructor(width, height) {
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {() => number} rng uniform [0,1) source; every random decision in the
+   *   sim goes through it so a scenario replays bit-for-bit from the same seed.
+   */
+  constructor(width, height, rng = makeRng()) {
     this.grid = new Grid(width, height);
+    this.rng = rng;
     this.dt = 1.0;
     this.nb4 = [[1,0],[-1,0],[0,1],[0,-1]];
     this.nb8 = [...this.nb4, [1,1],[1,-1],[-1,1],[-1,-1]];
     this._coolTick = 0;
     this._cleanTick = 0;
+    // Active-region stepping: only chunks flagged in grid.awake (and their neighbours)
+    // are swept. Set fullSweep to force whole-grid passes, e.g. for benchmarking.
+    this.fullSweep = false;
+    // Ambient wind in cells/s, written by the game each frame (see core/wind.js).
+    this.wind = { x: 0, y: 0 };
+    // Blast events since the last drainEvents(): { type: 'blast', x, y, radius, strength }
+    this.events = [];
+    // burning / burningX: burning cell count and their mean column after the last step
+    this.stats = { activeChunks: 0, totalChunks: this.grid.cw * this.grid.ch, burning: 0, burningX: 0 };
+  }
+
+  // Restart the random stream; call before replaying a recorded scenario.
+  reseed(seed) {
+    this.rng = makeRng(seed);
+    return this.rng;
+  }
+
+  // After the grid was overwritten wholesale (a loaded save, a replay start): drop the
+  // sweep phases and pending events, and recount the burning stats from the new cells.
+  resetTransient() {
+    this._coolTick = 0;
+    this._cleanTick = 0;
+    this.events.length = 0;
+    const g = this.grid;
+    let burning = 0, sumX = 0;
+    for (let i = 0; i < g.burning.length; i++) {
+      if (g.burning[i]) { burning++; sumX += i % g.w; }
+    }
+    this.stats.burning = burning;
+    this.stats.burningX = burning ? sumX / burning : 0;
+  }
+
+  drainEvents() {
+    const out = this.events;
+    this.events = [];
+    return out;
   }
 
   step(dt = this.dt) {
     const g = this.grid;
+    const rng = this.rng;
+    const spans = this._activeSpans();
 
     // Heat diffusion
     for (let y = 0; y < g.h; y++) {
-      for (let x = (y & 1); x < g.w; x += 2) {
-        const i = g.index(x, y);
-        const pA = MaterialProps[g.material[i]] || {};
-        for (const [dx, dy] of this.nb4) {
-          const nx = x + dx, ny = y + dy;
-          if (!g.inBounds(nx, ny)) continue;
-          const j = g.index(nx, ny);
-          const pB = MaterialProps[g.material[j]] || {};
-          const k = Math.min(1, ((pA.conductivity || 0) + (pB.conductivity || 0)) * 0.5);
-          const dT = g.temp[i] - g.temp[j];
-          const ca = Math.max(0.1, pA.heatCapacity || 1), cb = Math.max(0.1, pB.heatCapacity || 1);
-          const flow = dT * k * 0.25;
-          g.temp[i] -= flow / ca;
-          g.temp[j] += flow / cb;
+      const row = spans[y >> CHUNK_SHIFT];
+      for (let s = 0; s < row.length; s += 2) {
+        for (let x = row[s] + (y & 1); x < row[s + 1]; x += 2) {
+          const i = g.index(x, y);
+          const pA = MaterialProps[g.material[i]] || {};
+          for (const [dx, dy] of this.nb4) {
+            const nx = x + dx, ny = y + dy;
+            if (!g.inBounds(nx, ny)) continue;
+            const j = g.index(nx, ny);
+            const pB = MaterialProps[g.material[j]] || {};
+            const k = Math.min(1, ((pA.conductivity || 0) + (pB.conductivity || 0)) * 0.5);
+            const dT = g.temp[i] - g.temp[j];
+            const ca = Math.max(0.1, pA.heatCapacity || 1), cb = Math.max(0.1, pB.heatCapacity || 1);
+            const flow = dT * k * 0.25;
+            g.temp[i] -= flow / ca;
+            g.temp[j] += flow / cb;
+          }
         }
       }
     }
 
+    // Wind: velocity field, heat advection and gas drift
+    this._advect(spans, dt);
+
     // Water quench + phases
     for (let y = 0; y < g.h; y++) {
-      for (let x = 0; x < g.w; x++) {
-        const i = g.index(x, y);
-        const m = g.material[i];
-        if (m === Mat.WATER) waterQuench(g, x, y);
-        if (m === Mat.STEAM && g.temp[i] < 360 && Math.random() < 0.02) {
-          g.material[i] = Mat.WATER;
-          g.temp[i] = 330;
-        }
-        if (m === Mat.SMOKE && Math.random() < 0.004) {
-          g.material[i] = Mat.AIR;
+      const row = spans[y >> CHUNK_SHIFT];
+      for (let s = 0; s < row.length; s += 2) {
+        for (let x = row[s]; x < row[s + 1]; x++) {
+          const i = g.index(x, y);
+          const m = g.material[i];
+          if (m === Mat.WATER) waterQuench(g, x, y, rng);
+          if (m === Mat.STEAM && g.temp[i] < 360 && rng() < 0.02) {
+            g.material[i] = Mat.WATER;
+            g.temp[i] = 330;
+          }
+          const pm = MaterialProps[m];
+          if (pm?.crackTemp !== undefined && g.temp[i] > pm.crackTemp && rng() < 0.05) {
+            g.material[i] = pm.cracksTo;
+          }
+          // Asphalt softens to tar under lasting heat and sets again once it cools
+          if (pm?.meltTemp !== undefined && g.temp[i] > pm.meltTemp && (!pm.meltRate || rng() < pm.meltRate * dt)) {
+            g.material[i] = pm.meltsTo;
+          } else if (pm?.setTemp !== undefined && g.temp[i] < pm.setTemp && !g.burning[i]) {
+            g.material[i] = pm.setsTo;
+          }
+          if (m === Mat.SMOKE && rng() < 0.004) {
+            g.material[i] = Mat.AIR;
+          }
+          if (m === Mat.SOOT && rng() < 0.0015) {
+            g.material[i] = Mat.AIR;
+          }
         }
       }
     }
 
     // Ignition + combustion
     for (let y = 0; y < g.h; y++) {
-      for (let x = 0; x < g.w; x++) {
-        const i = g.index(x, y);
-        const mat = g.material[i];
-        const props = MaterialProps[mat] || {};
-        let nbFlames = 0;
-        for (const [dx, dy] of this.nb8) {
-          const nx = x + dx, ny = y + dy;
-          if (!g.inBounds(nx, ny)) continue;
-          if (g.burning[g.index(nx, ny)]) nbFlames++;
-        }
-        if (tryIgnite(mat, g.temp[i], !!g.burning[i], nbFlames)) {
-          if (props.flammability > 0 && g.fuel[i] <= 0) g.fuel[i] = Math.min(1, props.fuelCapacity || 0.5);
-          g.burning[i] = 1;
-        }
-        if (g.burning[i]) {
-          const res = combust({ temp: g.temp[i], fuel: g.fuel[i], burning: !!g.burning[i] }, props, dt);
-          g.temp[i] += res.heat;
-          g.fuel[i] = Math.max(0, g.fuel[i] - res.fuelUsed);
-          if (res.smoke > 0 && Math.random() < Math.min(0.9, res.smoke * 2)) {
-            const up = y - 1;
-            if (up >= 0) {
-              const j = g.index(x, up);
-              if (g.material[j] === Mat.AIR) { g.material[j] = Mat.SMOKE; g.temp[j] = Math.max(g.temp[j], 330); }
-            }
+      const row = spans[y >> CHUNK_SHIFT];
+      for (let s = 0; s < row.length; s += 2) {
+        for (let x = row[s]; x < row[s + 1]; x++) {
+          const i = g.index(x, y);
+          const mat = g.material[i];
+          const props = MaterialProps[mat] || {};
+          let nbFlames = 0;
+          for (const [dx, dy] of this.nb8) {
+            const nx = x + dx, ny = y + dy;
+            if (!g.inBounds(nx, ny)) continue;
+            if (g.burning[g.index(nx, ny)]) nbFlames++;
           }
-          if (g.fuel[i] <= 0) {
-            g.burning[i] = 0;
-            g.temp[i] = Math.max(293, Math.min(g.temp[i], 330));
+          if (props.volatile) {
+            // Flames licking the shell build up internal pressure (cook-off)
+            if (nbFlames) g.pressure[i] += nbFlames * COOKOFF_RATE * dt;
+            if (tryDetonate(mat, g.temp[i], g.pressure[i], rng)) this.detonate(x, y);
+            continue;
+          }
+          // Flames licking a flammable solid heat it directly (conduction alone is too slow)
+          if (nbFlames && props.solid && props.flammability > 0 && !g.burning[i]) {
+            g.temp[i] += nbFlames * FLAME_CONTACT * dt;
+          }
+          if (tryIgnite(mat, g.temp[i], !!g.burning[i], nbFlames, rng)) {
+            if (props.flammability > 0 && g.fuel[i] <= 0) g.fuel[i] = Math.min(1, props.fuelCapacity || 0.5);
+            g.burning[i] = 1;
+          }
+          if (g.burning[i]) {
+            const res = combust({ temp: g.temp[i], fuel: g.fuel[i], burning: !!g.burning[i] }, props, dt);
+            g.temp[i] += res.heat;
+            g.fuel[i] = Math.max(0, g.fuel[i] - res.fuelUsed);
+            // Flames lean with the wind: part of the released heat goes downwind
+            const lean = Math.min(0.5, Math.abs(this.wind.x) * FLAME_LEAN);
+            const lx = x + Math.sign(this.wind.x);
+            if (lean > 0 && res.heat > 0 && lx >= 0 && lx < g.w) {
+              g.temp[i] -= res.heat * lean;
+              g.temp[g.index(lx, y)] += res.heat * lean;
+              g.wake(lx, y);
+            }
+            if (res.smoke > 0 && rng() < Math.min(0.9, res.smoke * 2)) {
+              const up = y - 1;
+              const smokeMat = props.smokeMat ?? Mat.SMOKE;
+              if (up >= 0) {
+                for (const sx of props.thickSmoke ? [0, -1, 1] : [0]) {
+                  const px = x + sx;
+                  if (px < 0 || px >= g.w) continue;
+                  const j = g.index(px, up);
+                  if (g.material[j] === Mat.AIR) { g.material[j] = smokeMat; g.temp[j] = Math.max(g.temp[j], 330); g.wake(px, up); }
+                }
+              }
+            }
+            if (g.fuel[i] <= 0) {
+              g.burning[i] = 0;
+              g.temp[i] = Math.max(293, Math.min(g.temp[i], 330));
+              if (props.burnsTo !== undefined) g.material[i] = props.burnsTo;
+            }
           }
         }
       }
@@ -88,53 +207,68 @@ export class FireEngine {
 
     // Gas buoyancy and liquid settling (simple falling-sand style)
     for (let y = 0; y < g.h; y++) {
-      for (let x = 0; x < g.w; x++) {
-        const i = g.index(x, y);
-        const m = g.material[i];
-        const p = MaterialProps[m] || {};
-        if (p.gas) {
-          const up = y - 1;
-          if (up >= 0) {
-            const j = g.index(x, up);
-            if ((g.material[j] === Mat.AIR) || (MaterialProps[g.material[j]]?.density || 1) > (p.density || 0)) {
-              g.swap(i, j);
-            }
-          }
-        } else if (p.liquid) {
-          const dn = y + 1;
-          if (dn < g.h) {
-            const j = g.index(x, dn);
-            const pj = MaterialProps[g.material[j]] || {};
-            if (g.material[j] === Mat.AIR || (pj.density || 0) < (p.density || 0) - 0.05) {
-              g.swap(i, j);
-              continue;
+      const row = spans[y >> CHUNK_SHIFT];
+      for (let s = 0; s < row.length; s += 2) {
+        for (let x = row[s]; x < row[s + 1]; x++) {
+          const i = g.index(x, y);
+          const m = g.material[i];
+          const p = MaterialProps[m] || {};
+          if (p.gas) {
+            const up = y - 1;
+            if (up >= 0) {
+              const j = g.index(x, up);
+              const pj = MaterialProps[g.material[j]] || {};
+              // Rise through denser fluids only; solids (props, tanks, shards) stay put
+              if ((g.material[j] === Mat.AIR) || (!pj.solid && (pj.density || 1) > (p.density || 0))) {
+                g.swap(i, j);
+                if (m !== Mat.AIR) g.wake(x, up);
+              }
             }
-            // Try diagonal flow (down-left or down-right) to simulate spill
-            const dirFirst = Math.random() < 0.5 ? -1 : 1;
-            for (const sx of [dirFirst, -dirFirst]) {
-              const nx = x + sx, ny = y + 1;
-              if (nx >= 0 && nx < g.w && ny < g.h) {
-                const jj = g.index(nx, ny);
-                const pj2 = MaterialProps[g.material[jj]] || {};
-                if (g.material[jj] === Mat.AIR || (pj2.density || 0) < (p.density || 0) - 0.05) {
-                  g.swap(i, jj);
-                  break;
+          } else if (p.liquid) {
+            if (p.viscosity && rng() < p.viscosity) continue;
+            const dn = y + 1;
+            if (dn < g.h) {
+              const j = g.index(x, dn);
+              const pj = MaterialProps[g.material[j]] || {};
+              if (g.material[j] === Mat.AIR || (!pj.solid && (pj.density || 0) < (p.density || 0) - 0.05)) {
+                // Water falling through a burning spill (rain, spray) puts that flame out
+                if (m === Mat.WATER && g.burning[j]) {
+                  g.burning[j] = 0;
+                  g.temp[j] = Math.min(g.temp[j], WATER_QUENCH_TEMP);
                 }
+                g.swap(i, j);
+                g.wake(x, dn);
+                continue;
               }
-            }
-            // Rare sideways creep if fully blocked below
-            if (Math.random() < 0.2) {
-              const sx = Math.random() < 0.5 ? -1 : 1;
-              const nx = x + sx;
-              if (nx >= 0 && nx < g.w) {
-                const jj = g.index(nx, y);
-                const pj3 = MaterialProps[g.material[jj]] || {};
-                if (g.material[jj] === Mat.AIR || (pj3.density || 0) < (p.density || 0) - 0.05) {
-                  g.swap(i, jj);
+              // Try diagonal flow (down-left or down-right) to simulate spill
+              const dirFirst = rng() < 0.5 ? -1 : 1;
+              for (const sx of [dirFirst, -dirFirst]) {
+                const nx = x + sx, ny = y + 1;
+                if (nx >= 0 && nx < g.w && ny < g.h) {
+                  const jj = g.index(nx, ny);
+                  const pj2 = MaterialProps[g.material[jj]] || {};
+                  if (g.material[jj] === Mat.AIR || (!pj2.solid && (pj2.density || 0) < (p.density || 0) - 0.05)) {
+                    g.swap(i, jj);
+                    g.wake(nx, ny);
+                    break;
+                  }
+                }
+              }
+              // Rare sideways creep if fully blocked below
+              if (rng() < 0.2) {
+                const sx = rng() < 0.5 ? -1 : 1;
+                const nx = x + sx;
+                if (nx >= 0 && nx < g.w) {
+                  const jj = g.index(nx, y);
+                  const pj3 = MaterialProps[g.material[jj]] || {};
+                  if (g.material[jj] === Mat.AIR || (!pj3.solid && (pj3.density || 0) < (p.density || 0) - 0.05)) {
+                    g.swap(i, jj);
+                    g.wake(nx, y);
+                  }
                 }
               }
-            }
 
+            }
           }
         }
       }
@@ -144,14 +278,17 @@ export class FireEngine {
     this._cleanTick = (this._cleanTick + 1) % 3;
     if (this._cleanTick === 0) {
       for (let y = 1; y < g.h - 1; y++) {
-        for (let x = 0; x < g.w; x++) {
-          const i = g.index(x, y);
-          if (!g.burning[i]) continue;
-          const up = g.index(x, y-1), dn = g.index(x, y+1);
-          if (g.material[up] === Mat.AIR && g.material[dn] === Mat.AIR) {
-            g.burning[i] = 0;
-            g.fuel[i] = Math.min(g.fuel[i], 0.01);
-            g.temp[i] = Math.max(293, Math.min(g.temp[i], 315));
+        const row = spans[y >> CHUNK_SHIFT];
+        for (let s = 0; s < row.length; s += 2) {
+          for (let x = row[s]; x < row[s + 1]; x++) {
+            const i = g.index(x, y);
+            if (!g.burning[i]) continue;
+            const up = g.index(x, y-1), dn = g.index(x, y+1);
+            if (g.material[up] === Mat.AIR && g.material[dn] === Mat.AIR) {
+              g.burning[i] = 0;
+              g.fuel[i] = Math.min(g.fuel[i], 0.01);
+              g.temp[i] = Math.max(293, Math.min(g.temp[i], 315));
+            }
           }
         }
       }
@@ -160,21 +297,252 @@ export class FireEngine {
     // Ambient cooling and cleanup — throttled
     this._coolTick = (this._coolTick + 1) % 2;
     if (this._coolTick === 0) {
-      const ambient = 293; // ~20°C
       for (let y = 0; y < g.h; y++) {
-        for (let x = 0; x < g.w; x++) {
+        const row = spans[y >> CHUNK_SHIFT];
+        for (let s = 0; s < row.length; s += 2) {
+          for (let x = row[s]; x < row[s + 1]; x++) {
+            const i = g.index(x, y);
+            if (g.burning[i]) continue;
+            const m = g.material[i];
+            if (m === Mat.AIR && g.temp[i] <= AMBIENT + 0.5) continue; // early skip
+            const p = MaterialProps[m] || {};
+            const rate = p.gas ? 2.2 : (p.liquid ? 1.1 : 0.55);
+            g.temp[i] += (AMBIENT - g.temp[i]) * Math.min(1, rate * dt);
+            if (Math.abs(g.temp[i] - AMBIENT) < 0.25) g.temp[i] = AMBIENT;
+            if (m === Mat.FUEL && g.fuel[i] <= 0) g.material[i] = Mat.AIR;
+            if (m === Mat.SMOKE && g.temp[i] <= 300) g.material[i] = Mat.AIR;
+          }
+        }
+      }
+    }
+
+    this._markLive(spans);
+  }
+
+  // Relax gas velocities toward wind + thermal lift, carry heat along the flow with
+  // upwind differencing, then drift smoke/steam one cell at a time downwind.
+  _advect(spans, dt) {
+    const g = this.grid;
+    const rng = this.rng;
+    const next = this._advectTemp || (this._advectTemp = new Float32Array(g.w * g.h));
+    const relax = Math.min(1, WIND_RELAX * dt);
+    for (let y = 0; y < g.h; y++) {
+      const row = spans[y >> CHUNK_SHIFT];
+      for (let s = 0; s < row.length; s += 2) {
+        for (let x = row[s]; x < row[s + 1]; x++) {
+          const i = g.index(x, y);
+          next[i] = g.temp[i];
+          if (!MaterialProps[g.material[i]]?.gas) { g.vx[i] = 0; g.vy[i] = 0; continue; }
+          const lift = Math.min(MAX_LIFT, Math.max(0, g.temp[i] - AMBIENT) * BUOYANCY);
+          g.vx[i] += (this.wind.x - g.vx[i]) * relax;
+          g.vy[i] += (this.wind.y - lift - g.vy[i]) * relax;
+          // Blast pressure pushes gas outward
+          const pl = x > 0 ? g.pressure[i - 1] : 0, pr = x < g.w - 1 ? g.pressure[i + 1] : 0;
+          const pu = y > 0 ? g.pressure[i - g.w] : 0, pd = y < g.h - 1 ? g.pressure[i + g.w] : 0;
+          if (pl || pr || pu || pd) {
+            g.vx[i] += (pl - pr) * PRESSURE_PUSH * dt;
+            g.vy[i] += (pu - pd) * PRESSURE_PUSH * dt;
+          }
+          const ux = x - Math.sign(g.vx[i]), uy = y - Math.sign(g.vy[i]);
+          const cx = Math.min(0.45, Math.abs(g.vx[i]) * dt), cy = Math.min(0.45, Math.abs(g.vy[i]) * dt);
+          if (cx > 0 && ux >= 0 && ux < g.w) {
+            const j = g.index(ux, y);
+            if (MaterialProps[g.material[j]]?.gas) next[i] -= cx * (g.temp[i] - g.temp[j]);
+          }
+          if (cy > 0 && uy >= 0 && uy < g.h) {
+            const j = g.index(x, uy);
+            if (MaterialProps[g.material[j]]?.gas) next[i] -= cy * (g.temp[i] - g.temp[j]);
+          }
+        }
+      }
+    }
+    for (let y = 0; y < g.h; y++) {
+      const row = spans[y >> CHUNK_SHIFT];
+      for (let s = 0; s < row.length; s += 2) {
+        for (let x = row[s]; x < row[s + 1]; x++) {
+          const i = g.index(x, y);
+          g.temp[i] = next[i];
+          if (g.pressure[i] > 0 && !MaterialProps[g.material[i]]?.volatile) {
+            g.pressure[i] *= Math.max(0, 1 - PRESSURE_DECAY * dt);
+            if (g.pressure[i] < 0.01) g.pressure[i] = 0;
+          }
+        }
+      }
+    }
+
+    // Drift: walk each row against the wind so a plume moves at most one cell per step
+    const dir = Math.sign(this.wind.x);
+    if (dir === 0) return;
+    for (let y = 0; y < g.h; y++) {
+      const row = spans[y >> CHUNK_SHIFT];
+      for (let s = dir > 0 ? row.length - 2 : 0; s >= 0 && s < row.length; s += dir > 0 ? -2 : 2) {
+        const first = dir > 0 ? row[s + 1] - 1 : row[s];
+        const last = dir > 0 ? row[s] : row[s + 1] - 1;
+        for (let x = first; dir > 0 ? x >= last : x <= last; x -= dir) {
+          const i = g.index(x, y);
+          const m = g.material[i];
+          if (m === Mat.AIR || !MaterialProps[m]?.gas) continue;
+          if (rng() >= Math.min(1, Math.abs(g.vx[i]) * dt)) continue;
+          const nx = x + (Math.sign(g.vx[i]) || dir);
+          if (nx < 0 || nx >= g.w) continue;
+          const j = g.index(nx, y);
+          if (g.material[j] !== Mat.AIR) continue;
+          g.swap(i, j);
+          g.wake(nx, y);
+        }
+      }
+    }
+  }
+
+  /**
+   * Consume the connected volatile cluster at (x, y) and turn its charge into a blast:
+   * a pressure impulse in grid.pressure, a fireball, heat that can chain into nearby
+   * containers, and liquid/fuel cells thrown outward. Queues and returns the event.
+   */
+  detonate(x, y) {
+    const g = this.grid;
+    const rng = this.rng;
+    const start = g.index(x, y);
+    if (!MaterialProps[g.material[start]]?.volatile) return null;
+
+    // Flood-fill the container (4-connected) and empty it
+    const stack = [start];
+    const seen = new Set(stack);
+    let charge = 0, sx = 0, sy = 0, count = 0;
+    while (stack.length && count < MAX_CLUSTER) {
+      const i = stack.pop();
+      const cx = i % g.w, cy = (i / g.w) | 0;
+      charge += g.fuel[i] * MaterialProps[g.material[i]].volatile;
+      sx += cx; sy += cy; count++;
+      g.material[i] = Mat.AIR;
+      g.fuel[i] = 0;
+      g.burning[i] = 0;
+      g.temp[i] = AMBIENT + BLAST_HEAT;
+      for (const [dx, dy] of this.nb4) {
+        const nx = cx + dx, ny = cy + dy;
+        if (!g.inBounds(nx, ny)) continue;
+        const j = g.index(nx, ny);
+        if (seen.has(j) || !MaterialProps[g.material[j]]?.volatile) continue;
+        seen.add(j);
+        stack.push(j);
+      }
+    }
+    const bx = sx / count, by = sy / count;
+    const radius = Math.min(BLAST_MAX_R, BLAST_BASE_R + BLAST_R_PER_CHARGE * Math.sqrt(charge));
+    const R = Math.ceil(radius);
+    const x0 = Math.max(0, Math.floor(bx) - R), x1 = Math.min(g.w - 1, Math.ceil(bx) + R);
+    const y0 = Math.max(0, Math.floor(by) - R), y1 = Math.min(g.h - 1, Math.ceil(by) + R);
+
+    const liquids = [];
+    for (let yy = y0; yy <= y1; yy++) {
+      for (let xx = x0; xx <= x1; xx++) {
+        const d = Math.hypot(xx - bx, yy - by);
+        if (d > radius) continue;
+        const f = 1 - d / radius;
+        const j = g.index(xx, yy);
+        const p = MaterialProps[g.material[j]] || {};
+        g.pressure[j] += charge * f;
+        if (p.gas) g.temp[j] = Math.max(g.temp[j], AMBIENT + BLAST_HEAT * f * f);
+        else if (p.liquid) liquids.push({ j, xx, yy, d, f });
+        else if (p.volatile || p.flammability > 0) g.temp[j] += BLAST_HEAT * f;
+      }
+    }
+
+    // Throw liquids outward (and a little up), farthest first so the core has room
+    liquids.sort((a, b) => b.d - a.d);
+    for (const c of liquids) {
+      let ux = c.xx - bx, uy = c.yy - by;
+      if (c.d < 0.5) { ux = rng() - 0.5; uy = -1; }
+      uy -= 0.5;
+      const len = Math.hypot(ux, uy) || 1;
+      ux /= len; uy /= len;
+      const steps = Math.round(BLAST_THROW * c.f);
+      let dest = -1;
+      for (let k = 1; k <= steps; k++) {
+        const nx = Math.round(c.xx + ux * k), ny = Math.round(c.yy + uy * k);
+        if (!g.inBounds(nx, ny) || g.material[g.index(nx, ny)] !== Mat.AIR) break;
+        dest = g.index(nx, ny);
+      }
+      if (g.material[c.j] === Mat.FUEL) {
+        g.temp[c.j] = Math.max(g.temp[c.j], 620);
+        if (rng() < 0.2 + 0.6 * c.f) g.burning[c.j] = 1;
+      }
+      if (dest >= 0) g.swap(c.j, dest);
+    }
+    g.wakeRect(x0 - BLAST_THROW, y0 - BLAST_THROW, x1 + BLAST_THROW, y1 + BLAST_THROW);
+
+    const ev = { type: 'blast', x: bx, y: by, radius, strength: charge };
+    this.events.push(ev);
+    return ev;
+  }
+
+  // Build per-chunk-row x spans [x0, x1, x0, x1, ...] covering every awake chunk plus
+  // its 8 neighbours (heat, gas and liquid cross chunk borders). Consumes grid.awake.
+  _activeSpans() {
+    const g = this.grid;
+    const { cw, ch, awake } = g;
+    const proc = this._proc || (this._proc = new Uint8Array(cw * ch));
+    if (this.fullSweep) {
+      proc.fill(1);
+    } else {
+      proc.fill(0);
+      for (let cy = 0; cy < ch; cy++) {
+        for (let cx = 0; cx < cw; cx++) {
+          if (!awake[cy * cw + cx]) continue;
+          for (let oy = Math.max(0, cy - 1); oy <= Math.min(ch - 1, cy + 1); oy++) {
+            for (let ox = Math.max(0, cx - 1); ox <= Math.min(cw - 1, cx + 1); ox++) proc[oy * cw + ox] = 1;
+          }
+        }
+      }
+    }
+    awake.fill(0);
+
+    const spans = [];
+    let active = 0;
+    for (let cy = 0; cy < ch; cy++) {
+      const row = [];
+      for (let cx = 0; cx < cw; cx++) {
+        if (!proc[cy * cw + cx]) continue;
+        active++;
+        const x0 = cx << CHUNK_SHIFT, x1 = Math.min(g.w, x0 + CHUNK_SIZE);
+        if (row.length && row[row.length - 1] === x0) row[row.length - 1] = x1; // merge neighbours
+        else row.push(x0, x1);
+      }
+      spans.push(row);
+    }
+    this.stats.activeChunks = active;
+    return spans;
+  }
+
+  // Flag chunks that still need stepping: burning or hot cells, gas plumes and liquid
+  // that can still fall. Resting, cold cells let their chunk sleep. Burning cells always
+  // keep their chunk live, so the burning stats gathered here cover the whole grid.
+  _markLive(spans) {
+    const g = this.grid;
+    let burning = 0, sumX = 0;
+    for (let y = 0; y < g.h; y++) {
+      const row = spans[y >> CHUNK_SHIFT];
+      for (let s = 0; s < row.length; s += 2) {
+        for (let x = row[s]; x < row[s + 1]; x++) {
           const i = g.index(x, y);
-          if (g.burning[i]) continue;
           const m = g.material[i];
-          if (m === Mat.AIR && g.temp[i] <= ambient + 0.5) continue; // early skip
           const p = MaterialProps[m] || {};
-          const rate = p.gas ? 2.2 : (p.liquid ? 1.1 : 0.55);
-          g.temp[i] += (ambient - g.temp[i]) * Math.min(1, rate * dt);
-          if (Math.abs(g.temp[i] - ambient) < 0.25) g.temp[i] = ambient;
-          if (m === Mat.FUEL && g.fuel[i] <= 0) g.material[i] = Mat.AIR;
-          if (m === Mat.SMOKE && g.temp[i] <= 300) g.material[i] = Mat.AIR;
+          let live = g.burning[i] || g.temp[i] > AMBIENT + HOT_DELTA || (p.gas && m !== Mat.AIR) || g.pressure[i] > 0;
+          if (!live && p.liquid && y + 1 < g.h) {
+            for (let sx = -1; sx <= 1 && !live; sx++) {
+              const nx = x + sx;
+              if (nx < 0 || nx >= g.w) continue;
+              const below = g.material[g.index(nx, y + 1)];
+              const pb = MaterialProps[below] || {};
+              live = below === Mat.AIR || (!pb.solid && (pb.density || 0) < (p.density || 0) - 0.05);
+            }
+          }
+          if (live) g.wake(x, y);
+          if (g.burning[i]) { burning++; sumX += x; }
         }
       }
     }
+    this.stats.burning = burning;
+    this.stats.burningX = burning ? sumX / burning : 0;
   }
-}
\ No newline at end of file
+}
@@ -3,9 +3,12 @@ import { tryIgnite, combust } from './reactions.js';
 
 // Per-entity per-pixel fire/heat simulation.
 // width/height should match your sprite granularity (16x16 in this game).
+// rng is required: pass the FireEngine's, so entity burns replay with the grid.
 export class EntityFireAgent {
-  constructor(entity, mask, width = 16, height = 16) {
+  constructor(entity, mask, width, height, rng) {
+    if (typeof rng !== 'function') throw new Error('EntityFireAgent needs the fire sim rng');
     this.e = entity;
+    this.rng = rng;
     this.w = width; this.h = height;
     // mask: Uint8Array of size w*h with Materials indices (CLOTH, SKIN, HAIR, BONE)
     this.mask = mask;
@@ -44,7 +47,7 @@ export class EntityFireAgent {
     env.temp[gi] += flow / cb;
 
     // If burning cell adjacent to AIR, bleed smoke into env
-    if (this.burning[localIndex] && env.material[gi] === Mat.AIR && Math.random() < 0.2) {
+    if (this.burning[localIndex] && env.material[gi] === Mat.AIR && this.rng() < 0.2) {
       env.material[gi] = Mat.SMOKE;
       env.temp[gi] = Math.max(env.temp[gi], 330);
     }
@@ -53,7 +56,7 @@ export class EntityFireAgent {
       if (env.material[gi] === Mat.FUEL) {
         env.burning[gi] = 1;
         env.temp[gi] = Math.max(env.temp[gi], 620);
-      } else if (env.material[gi] === Mat.AIR && Math.random() < 0.05) {
+      } else if (env.material[gi] === Mat.AIR && this.rng() < 0.05) {
         // create a tiny droplet of fuel only if there is a surface directly below,
         // so droplets don't float in mid-air
         const by = yw + 1;
@@ -73,8 +76,10 @@ export class EntityFireAgent {
       if (this.temp[localIndex] < (MaterialProps[matA]?.sustainTemp || Infinity)) {
         this.burning[localIndex] = 0;
       }
-      if (env.temp[gi] > 373 && Math.random() < 0.3) env.material[gi] = Mat.STEAM;
+      if (env.temp[gi] > 373 && this.rng() < 0.3) env.material[gi] = Mat.STEAM;
     }
+    // Burning pixels heat, smoke or wet the cell under them; keep that chunk stepping.
+    if (this.burning[localIndex] || env.material[gi] !== matB) env.wake(xw, yw);
   }
 
   step(dt, env, worldX, worldY) {
@@ -130,7 +135,7 @@ export class EntityFireAgent {
           const j = ny * this.w + nx;
           if (this.burning[j]) nbFlames++;
         }
-        if (tryIgnite(mat, this.temp[i], !!this.burning[i], nbFlames)) {
+        if (tryIgnite(mat, this.temp[i], !!this.burning[i], nbFlames, this.rng)) {
           if (this.fuel[i] <= 0) this.fuel[i] = Math.min(1, p.fuelCapacity || 0.4);
           this.burning[i] = 1;
         }
@@ -143,15 +148,15 @@ export class EntityFireAgent {
           const upY = y > 0 ? (y - 1) : y;
           const downY = y < this.h - 1 ? (y + 1) : y;
           const advectUp = Math.max(0, -vyBody) * 0.002 + 0.05; // upward tendency
-          if (Math.random() < advectUp && upY !== y) {
+          if (this.rng() < advectUp && upY !== y) {
             const j = upY * this.w + x;
             if (!this.burning[j] && this.fuel[j] > 0) this.burning[j] = 1;
           }
           // Slight horizontal smear based on body velocity (standing wind effect)
-          const dx = Math.sign(vxBody) || (Math.random()<0.5? -1:1);
+          const dx = Math.sign(vxBody) || (this.rng()<0.5? -1:1);
           const nx = Math.max(0, Math.min(this.w - 1, x + dx));
           const j2 = y * this.w + nx;
-          if (Math.random() < 0.03) {
+          if (this.rng() < 0.03) {
             if (!this.burning[j2] && this.fuel[j2] > 0 && this.temp[j2] > (p.ignitionTemp * 0.8)) this.burning[j2] = 1;
           }
         } else {
@@ -208,6 +213,15 @@ export class EntityFireAgent {
     }
   }
 
+  // Water splashed on the body: cool every pixel and put out those below their sustain temp
+  douse(amount = 1) {
+    const n = this.w * this.h;
+    for (let i = 0; i < n; i++) {
+      this.temp[i] = Math.max(310, this.temp[i] - 80 * amount);
+      if (this.burning[i] && this.temp[i] < (MaterialProps[this.mask[i]]?.sustainTemp || Infinity)) this.burning[i] = 0;
+    }
+  }
+
   // Optional: per-pixel alpha map for overlay
   getBurnMap() {
     const n = this.w * this.h;
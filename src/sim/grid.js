@@ -1,5 +1,9 @@
 import { Materials as Mat } from './materials.js';
 
+// Side of the square chunks used for active-region tracking (power of two).
+export const CHUNK_SHIFT = 4;
+export const CHUNK_SIZE = 1 << CHUNK_SHIFT;
+
 export class Grid {
   constructor(w, h) {
     this.w = w; this.h = h;
@@ -17,14 +21,35 @@ export class Grid {
       this.fuel[i] = 0;
       this.burning[i] = 0;
     }
+    // Chunks flagged for the next engine step. Everything starts awake so the first
+    // step sees cells painted straight into the arrays; cold chunks then fall asleep.
+    this.cw = Math.ceil(w / CHUNK_SIZE);
+    this.ch = Math.ceil(h / CHUNK_SIZE);
+    this.awake = new Uint8Array(this.cw * this.ch).fill(1);
   }
   index(x, y) { return y * this.w + x; }
   inBounds(x, y) { return x >= 0 && y >= 0 && x < this.w && y < this.h; }
 
+  // Writers that touch the typed arrays directly must wake the cells they change,
+  // otherwise the engine may skip them until a neighbour chunk becomes active.
+  wake(x, y) {
+    if (!this.inBounds(x, y)) return;
+    this.awake[(y >> CHUNK_SHIFT) * this.cw + (x >> CHUNK_SHIFT)] = 1;
+  }
+  wakeRect(x0, y0, x1, y1) {
+    const cx0 = Math.max(0, Math.floor(x0) >> CHUNK_SHIFT), cx1 = Math.min(this.cw - 1, Math.floor(x1) >> CHUNK_SHIFT);
+    const cy0 = Math.max(0, Math.floor(y0) >> CHUNK_SHIFT), cy1 = Math.min(this.ch - 1, Math.floor(y1) >> CHUNK_SHIFT);
+    for (let cy = cy0; cy <= cy1; cy++) {
+      for (let cx = cx0; cx <= cx1; cx++) this.awake[cy * this.cw + cx] = 1;
+    }
+  }
+  wakeAll() { this.awake.fill(1); }
+
   addHeat(x, y, dT) {
     if (!this.inBounds(x, y)) return;
     const i = this.index(x, y);
     this.temp[i] += dT;
+    this.wake(x, y);
   }
   setCell(x, y, mat, temp = 293, fuel = 0, burning = 0) {
     if (!this.inBounds(x, y)) return;
@@ -33,6 +58,7 @@ export class Grid {
     this.temp[i] = temp;
     this.fuel[i] = fuel;
     this.burning[i] = burning ? 1 : 0;
+    this.wake(x, y);
   }
   swap(i, j) {
     [this.material[i], this.material[j]] = [this.material[j], this.material[i]];
@@ -43,4 +69,4 @@ export class Grid {
     [this.vy[i], this.vy[j]] = [this.vy[j], this.vy[i]];
     [this.pressure[i], this.pressure[j]] = [this.pressure[j], this.pressure[i]];
   }
-}
\ No newline at end of file
+}
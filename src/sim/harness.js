@@ -0,0 +1,118 @@
+// Headless scenario harness for the sim package (no DOM): paint a Grid from a small
+// declarative spec, step a FireEngine and summarize/render the result.
+import { FireEngine } from './engine.js';
+import { Materials as Mat, MaterialProps, colorFor } from './materials.js';
+
+// Upper edges (K) of the temperature histogram buckets; the last bucket is open-ended.
+export const TEMP_BINS = [300, 373, 450, 600, 800, 1000];
+
+const ASCII_RAMP = ' .:-=+*#%@';
+
+/**
+ * Scenario spec:
+ * {
+ *   name, w, h, seed, steps, dt?, wind?: { x, y } (cells/s),
+ *   paint: [
+ *     { op: 'rect',   mat: 'STONE', x, y, w, h, temp?, fuel?, burning? },
+ *     { op: 'circle', mat: 'FUEL',  x, y, r,    temp?, fuel?, burning? },
+ *   ]
+ * }
+ * `mat` is a Materials key. Fuel defaults to the material's fuelCapacity.
+ */
+export function paintScenario(grid, paint = []) {
+  for (const op of paint) {
+    const mat = Mat[op.mat];
+    if (mat === undefined) throw new Error(`Unknown material '${op.mat}'`);
+    const temp = op.temp ?? 293;
+    const fuel = op.fuel ?? (MaterialProps[mat]?.fuelCapacity || 0);
+    const burning = !!op.burning;
+    if (op.op === 'rect') {
+      for (let y = op.y; y < op.y + op.h; y++) {
+        for (let x = op.x; x < op.x + op.w; x++) grid.setCell(x, y, mat, temp, fuel, burning);
+      }
+    } else if (op.op === 'circle') {
+      const r2 = op.r * op.r;
+      for (let y = op.y - op.r; y <= op.y + op.r; y++) {
+        for (let x = op.x - op.r; x <= op.x + op.r; x++) {
+          const dx = x - op.x, dy = y - op.y;
+          if (dx*dx + dy*dy <= r2) grid.setCell(x, y, mat, temp, fuel, burning);
+        }
+      }
+    } else {
+      throw new Error(`Unknown paint op '${op.op}'`);
+    }
+  }
+}
+
+export function runScenario(spec) {
+  const engine = new FireEngine(spec.w, spec.h);
+  engine.reseed(spec.seed ?? 1);
+  engine.wind.x = spec.wind?.x ?? 0;
+  engine.wind.y = spec.wind?.y ?? 0;
+  paintScenario(engine.grid, spec.paint);
+  const dt = spec.dt ?? 1 / 60;
+  for (let i = 0; i < spec.steps; i++) engine.step(dt);
+  return engine;
+}
+
+// Per-material cell counts, burning count and a temperature histogram. Plain JSON so
+// it can be stored as a golden file and compared exactly (the sim is seeded).
+export function summarize(grid) {
+  const materials = {};
+  const hist = new Array(TEMP_BINS.length + 1).fill(0);
+  let burning = 0;
+  const n = grid.w * grid.h;
+  for (let i = 0; i < n; i++) {
+    const name = MaterialProps[grid.material[i]]?.name || `#${grid.material[i]}`;
+    materials[name] = (materials[name] || 0) + 1;
+    if (grid.burning[i]) burning++;
+    let b = 0;
+    while (b < TEMP_BINS.length && grid.temp[i] >= TEMP_BINS[b]) b++;
+    hist[b]++;
+  }
+  const sorted = {};
+  for (const k of Object.keys(materials).sort()) sorted[k] = materials[k];
+  const tempHistogram = {};
+  hist.forEach((count, b) => {
+    const lo = b === 0 ? '' : TEMP_BINS[b - 1];
+    const hi = b === TEMP_BINS.length ? '' : TEMP_BINS[b];
+    tempHistogram[lo === '' ? `<${hi}` : hi === '' ? `>=${lo}` : `${lo}-${hi}`] = count;
+  });
+  return { materials: sorted, burning, tempHistogram };
+}
+
+// Luminance of colorFor() mapped onto a character ramp, one char per `scale` x `scale` block.
+export function renderAscii(grid, scale = 1) {
+  const lines = [];
+  for (let y = 0; y < grid.h; y += scale) {
+    let line = '';
+    for (let x = 0; x < grid.w; x += scale) {
+      let lum = 0, count = 0;
+      for (let yy = y; yy < Math.min(grid.h, y + scale); yy++) {
+        for (let xx = x; xx < Math.min(grid.w, x + scale); xx++) {
+          const i = grid.index(xx, yy);
+          const [r, g, b] = colorFor(grid.material[i], grid.temp[i], !!grid.burning[i]);
+          lum += (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+          count++;
+        }
+      }
+      const k = Math.min(ASCII_RAMP.length - 1, Math.floor((lum / count) * ASCII_RAMP.length));
+      line += ASCII_RAMP[k];
+    }
+    lines.push(line.replace(/\s+$/, ''));
+  }
+  return lines;
+}
+
+// Binary PPM (P6) of colorFor() per cell; returns a Uint8Array ready to write to disk.
+export function renderPPM(grid) {
+  const header = new TextEncoder().encode(`P6\n${grid.w} ${grid.h}\n255\n`);
+  const out = new Uint8Array(header.length + grid.w * grid.h * 3);
+  out.set(header, 0);
+  let o = header.length;
+  for (let i = 0; i < grid.w * grid.h; i++) {
+    const [r, g, b] = colorFor(grid.material[i], grid.temp[i], !!grid.burning[i]);
+    out[o++] = r | 0; out[o++] = g | 0; out[o++] = b | 0;
+  }
+  return out;
+}
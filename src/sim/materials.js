@@ -6,6 +6,8 @@ export const Materials = {
   FUEL: 2,
   SMOKE: 3,
   STEAM: 4,
+  TANK: 5,     // gas can / car fuel tank
+  PROPANE: 6,  // pressurized bottle
 
   // Entity materials
   CLOTH: 10,
@@ -14,6 +16,17 @@ export const Materials = {
   BONE: 13,
   GLASS: 14,
   STONE: 15,
+
+  // World materials (terrain and props)
+  WOOD: 16,
+  METAL: 17,
+  GLASS_CRACKED: 18,
+  CHARCOAL: 19,
+  PAPER: 20,
+  RUBBER: 21,
+  ASPHALT: 22,
+  TAR: 23,     // softened asphalt
+  SOOT: 24,    // thick black smoke
 };
 
 export const Mat = Materials;
@@ -28,8 +41,19 @@ const hex = (h) => [
 // - density (relative), conductivity (0..1), heatCapacity (relative)
 // - flammability (0..1), ignitionTemp (K), sustainTemp (K)
 // - burnRate (per tick), fuelCapacity (max local fuel storage 0..1), heatRelease
-// - smokeYield (fraction), steamYield, volatile (explosion propensity)
+// - smokeYield (fraction), steamYield, volatile (explosion propensity: blast strength
+//   per unit of stored fuel; such cells detonate past ignitionTemp or once flame
+//   exposure has built their internal pressure up to 1)
 // - flags: gas, liquid, solid
+// - burnsTo: material left behind when a solid runs out of fuel (default: stays put)
+// - crackTemp / cracksTo: heat (K) at which a brittle solid cracks, and into what
+// - meltTemp / meltsTo, setTemp / setsTo: soften into a liquid when hot, set back when cool;
+//   meltRate (1/s): chance per second of softening while past meltTemp, so only heat that
+//   lingers (a fire burning on it, not a flash of flame) gets through
+// - viscosity (0..1): chance per step that a liquid cell does not flow
+// - smokeMat / thickSmoke: smoke material released while burning, and whether it billows
+//   out of the cells beside the plume as well
+// - glows: incandescent when hot (colorFor)
 export const MaterialProps = {
   [Mat.AIR]: {
     name: 'Air', color: hex('#101015'),
@@ -62,6 +86,13 @@ export const MaterialProps = {
     burnRate: 0, fuelCapacity: 0, heatRelease: 0, smokeYield: 0,
     gas: true,
   },
+  [Mat.SOOT]: {
+    name: 'Soot', color: hex('#0b0b0c'),
+    density: 0.0011, conductivity: 0.01, heatCapacity: 1.0,
+    flammability: 0, ignitionTemp: Infinity, sustainTemp: Infinity,
+    burnRate: 0, fuelCapacity: 0, heatRelease: 0, smokeYield: 0,
+    gas: true,
+  },
 
   [Mat.STEAM]: {
     name: 'Steam', color: hex('#aacccc'),
@@ -71,6 +102,22 @@ export const MaterialProps = {
     gas: true,
   },
 
+  // Volatile containers: inert until they cook off, then the stored fuel becomes a blast
+  [Mat.TANK]: {
+    name: 'Tank', color: hex('#6e1f1a'),
+    density: 1.6, conductivity: 0.45, heatCapacity: 0.9,
+    flammability: 0, ignitionTemp: 560, sustainTemp: Infinity,
+    burnRate: 0, fuelCapacity: 1.0, heatRelease: 0, smokeYield: 0,
+    volatile: 1.0, solid: true,
+  },
+  [Mat.PROPANE]: {
+    name: 'Propane', color: hex('#c9c4b0'),
+    density: 1.4, conductivity: 0.5, heatCapacity: 0.8,
+    flammability: 0, ignitionTemp: 480, sustainTemp: Infinity,
+    burnRate: 0, fuelCapacity: 1.0, heatRelease: 0, smokeYield: 0,
+    volatile: 1.6, solid: true,
+  },
+
   // Entity materials (clothes burn first)
   [Mat.CLOTH]: {
     name: 'Cloth', color: hex('#8a6b3a'),
@@ -106,6 +153,14 @@ export const MaterialProps = {
     density: 2.5, conductivity: 0.2, heatCapacity: 0.8,
     flammability: 0, ignitionTemp: Infinity, sustainTemp: Infinity,
     burnRate: 0, fuelCapacity: 0, heatRelease: 0, smokeYield: 0,
+    crackTemp: 420, cracksTo: Mat.GLASS_CRACKED,
+    solid: true,
+  },
+  [Mat.GLASS_CRACKED]: {
+    name: 'Cracked glass', color: hex('#b8c8d8'),
+    density: 2.5, conductivity: 0.1, heatCapacity: 0.8,
+    flammability: 0, ignitionTemp: Infinity, sustainTemp: Infinity,
+    burnRate: 0, fuelCapacity: 0, heatRelease: 0, smokeYield: 0,
     solid: true,
   },
   [Mat.STONE]: {
@@ -115,17 +170,81 @@ export const MaterialProps = {
     burnRate: 0, fuelCapacity: 0, heatRelease: 0, smokeYield: 0,
     solid: true,
   },
+
+  // World materials
+  [Mat.WOOD]: {
+    name: 'Wood', color: hex('#6b4a2b'),
+    density: 0.7, conductivity: 0.12, heatCapacity: 1.7,
+    flammability: 0.6, ignitionTemp: 570, sustainTemp: 480,
+    burnRate: 0.05, fuelCapacity: 1.0, heatRelease: 40, smokeYield: 0.5,
+    burnsTo: Mat.CHARCOAL, solid: true,
+  },
+  [Mat.CHARCOAL]: {
+    name: 'Charcoal', color: hex('#24201d'),
+    density: 0.4, conductivity: 0.08, heatCapacity: 1.0,
+    flammability: 0.35, ignitionTemp: 620, sustainTemp: 560,
+    burnRate: 0.015, fuelCapacity: 0.4, heatRelease: 30, smokeYield: 0.05,
+    burnsTo: Mat.AIR, glows: true, solid: true,
+  },
+  [Mat.PAPER]: {
+    name: 'Paper', color: hex('#d8d2bc'),
+    density: 0.3, conductivity: 0.05, heatCapacity: 1.3,
+    flammability: 1.0, ignitionTemp: 505, sustainTemp: 420,
+    burnRate: 0.5, fuelCapacity: 0.3, heatRelease: 18, smokeYield: 0.3,
+    burnsTo: Mat.AIR, solid: true,
+  },
+  [Mat.RUBBER]: {
+    name: 'Rubber', color: hex('#1c1c1f'),
+    density: 1.1, conductivity: 0.08, heatCapacity: 1.4,
+    flammability: 0.5, ignitionTemp: 550, sustainTemp: 400,
+    burnRate: 0.06, fuelCapacity: 1.0, heatRelease: 45, smokeYield: 30,
+    smokeMat: Mat.SOOT, thickSmoke: true, burnsTo: Mat.AIR, solid: true,
+  },
+  [Mat.ASPHALT]: {
+    name: 'Asphalt', color: hex('#26272b'),
+    density: 2.3, conductivity: 0.3, heatCapacity: 0.9,
+    flammability: 0, ignitionTemp: Infinity, sustainTemp: Infinity,
+    burnRate: 0, fuelCapacity: 0, heatRelease: 0, smokeYield: 0,
+    meltTemp: 420, meltRate: 0.15, meltsTo: Mat.TAR, solid: true,
+  },
+  [Mat.TAR]: {
+    name: 'Tar', color: hex('#141416'),
+    density: 1.2, conductivity: 0.25, heatCapacity: 1.0,
+    flammability: 0.25, ignitionTemp: 640, sustainTemp: 560,
+    burnRate: 0.01, fuelCapacity: 0.3, heatRelease: 30, smokeYield: 20,
+    smokeMat: Mat.SOOT, setTemp: 400, setsTo: Mat.ASPHALT, viscosity: 0.9, liquid: true,
+  },
+  [Mat.METAL]: {
+    name: 'Metal', color: hex('#5a5f66'),
+    density: 7.8, conductivity: 1.0, heatCapacity: 0.5,
+    flammability: 0, ignitionTemp: Infinity, sustainTemp: Infinity,
+    burnRate: 0, fuelCapacity: 0, heatRelease: 0, smokeYield: 0,
+    glows: true, solid: true,
+  },
 };
 
+// Blackbody-ish ramp for glowing materials: dull red at 700 K to yellow-white at 1400 K
+function glowColor(tempK) {
+  const k = Math.max(0, Math.min(1, (tempK - 700) / 700));
+  return [140 + 115 * Math.min(1, k * 2), 20 + 200 * k * k, 10 + 120 * Math.max(0, k - 0.6)];
+}
+
 // Simple heat-tinted color for debug drawing
 export function colorFor(material, tempK, burning) {
-  const base = MaterialProps[material]?.color || [255, 0, 255];
+  const p = MaterialProps[material];
+  const base = p?.color || [255, 0, 255];
   const t = Math.max(0, Math.min(1, (tempK - 293) / 1000));
   const flame = burning ? [255, 140, 40] : [0, 0, 0];
   const mix = burning ? 0.4 : 0.0;
-  return [
+  const rgb = [
     Math.min(255, base[0] * (1 - t * 0.2) + flame[0] * mix),
     Math.min(255, base[1] * (1 - t * 0.3) + flame[1] * mix),
     Math.min(255, base[2] * (1 - t * 0.5) + flame[2] * mix),
   ];
+  if (p?.glows && tempK > 700) {
+    const g = glowColor(tempK);
+    const a = Math.min(0.85, (tempK - 700) / 500);
+    for (let c = 0; c < 3; c++) rgb[c] = Math.min(255, rgb[c] * (1 - a) + g[c] * a);
+  }
+  return rgb;
 }
\ No newline at end of file
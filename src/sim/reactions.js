@@ -1,12 +1,21 @@
 import { Materials as Mat, MaterialProps } from './materials.js';
 
-export function tryIgnite(mat, tempK, burning, neighborFlames) {
+export function tryIgnite(mat, tempK, burning, neighborFlames, rng = Math.random) {
   const p = MaterialProps[mat];
   if (!p || p.flammability <= 0) return false;
   if (burning) return true;
   if (tempK < p.ignitionTemp) return false;
   const bonus = Math.min(0.6, 0.12 * neighborFlames);
-  return Math.random() < Math.min(1, p.flammability + bonus);
+  return rng() < Math.min(1, p.flammability + bonus);
+}
+
+// Volatile cells cook off past their ignition temperature or once their internal
+// pressure (built up by flame exposure and nearby blasts) reaches 1.
+export function tryDetonate(mat, tempK, pressure, rng = Math.random) {
+  const p = MaterialProps[mat];
+  if (!p || !p.volatile) return false;
+  if (tempK < p.ignitionTemp && pressure < 1) return false;
+  return rng() < 0.5;
 }
 
 export function combust(cell, p, dt) {
@@ -20,7 +29,7 @@ export function combust(cell, p, dt) {
   return { heat, fuelUsed: use, smoke };
 }
 
-export function waterQuench(env, x, y) {
+export function waterQuench(env, x, y, rng = Math.random) {
   // Simple cooling and steam creation around water cells.
   const nb4 = [[1,0],[-1,0],[0,1],[0,-1]];
   for (const [dx, dy] of nb4) {
@@ -32,7 +41,7 @@ export function waterQuench(env, x, y) {
       if (env.temp[i] < 450) env.burning[i] = 0;
     }
     const j = env.index(x, y);
-    if (env.temp[j] > 373 && Math.random() < 0.2) {
+    if (env.temp[j] > 373 && rng() < 0.2) {
       env.material[j] = Mat.STEAM;
       env.temp[j] = Math.max(env.temp[j], 373);
     }
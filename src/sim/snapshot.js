@@ -0,0 +1,68 @@
+/**
+ * Compact, JSON-safe snapshots of a fire Grid for save games.
+ *
+ * Each channel is quantized and run-length encoded as a flat [value, count, ...] array;
+ * most of the street is long runs of AIR/STONE at ambient, so even a world with a
+ * fire going packs to a few tens of KB.
+ * Gas velocities are not stored (they relax back to the wind within a step).
+ */
+
+// Stored precision per channel: value is kept as round(v * scale)
+const CHANNELS = {
+  material: 1,
+  temp: 1,        // K
+  fuel: 256,
+  burning: 1,
+  pressure: 100,
+};
+
+export function snapshotGrid(grid) {
+  const out = { w: grid.w, h: grid.h };
+  for (const [name, scale] of Object.entries(CHANNELS)) out[name] = rle(grid[name], scale);
+  return out;
+}
+
+/** Throw if `snap` doesn't fit `grid` (size, or a channel that doesn't cover every cell). */
+export function checkGrid(grid, snap) {
+  if (snap?.w !== grid.w || snap.h !== grid.h) {
+    throw new Error(`grid snapshot is ${snap?.w}x${snap?.h}, expected ${grid.w}x${grid.h}`);
+  }
+  for (const name of Object.keys(CHANNELS)) {
+    const runs = snap[name];
+    let n = 0;
+    for (let r = 1; r < (runs?.length ?? 0); r += 2) n += runs[r];
+    if (n !== grid.w * grid.h) throw new Error(`grid snapshot channel ${name} covers ${n} of ${grid.w * grid.h} cells`);
+  }
+}
+
+/** Write a snapshot back into `grid` (same size). Throws, leaving `grid` as it was, if it doesn't fit. */
+export function restoreGrid(grid, snap) {
+  checkGrid(grid, snap);
+  for (const [name, scale] of Object.entries(CHANNELS)) unrle(snap[name], scale, grid[name]);
+  grid.vx.fill(0);
+  grid.vy.fill(0);
+  grid.wakeAll();
+}
+
+function rle(arr, scale) {
+  const out = [];
+  let v = Math.round(arr[0] * scale), n = 0;
+  for (let i = 0; i < arr.length; i++) {
+    const q = Math.round(arr[i] * scale);
+    if (q === v) { n++; continue; }
+    out.push(v, n);
+    v = q; n = 1;
+  }
+  out.push(v, n);
+  return out;
+}
+
+function unrle(runs, scale, into) {
+  let i = 0;
+  for (let r = 0; r < runs.length; r += 2) {
+    const v = runs[r] / scale;
+    const end = Math.min(into.length, i + runs[r + 1]);
+    into.fill(v, i, end);
+    i = end;
+  }
+}
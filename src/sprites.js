@@ -375,7 +375,8 @@ export function drawPlayer(ctx, x, y, scale, dir, animPhase, aiming, state) {
 }
 
 // Goon sprite (16x16) with smoking animations and wounded/dead variants
-// state: 'idle','smoke_hold','smoke_raise','smoke_inhale','smoke_exhale','wounded','run','dead','cover','scared'
+// state: 'idle','smoke_hold','smoke_raise','smoke_inhale','smoke_exhale','wounded','run','dead','cover','scared',
+// 'aim' (gun arm out), 'reload' (crouched like 'cover')
 // woundedArm: 'left'|'right'|null
 export function drawGoon(ctx, x, y, scale, dir, state, phase, woundedArm, opts = {}) {
   // --- Visual Upgrade 2.0 HD wrapper for goon ---
@@ -387,7 +388,11 @@ export function drawGoon(ctx, x, y, scale, dir, state, phase, woundedArm, opts =
   hctx.imageSmoothingEnabled = false; hctx.clearRect(0,0,32,32);
 
   const deathT = typeof opts.deathT === 'number' ? Math.max(0, Math.min(1, opts.deathT)) : 0;
-  const downLike = (state === 'dying' || state === 'dead');
+  const downLike = (state === 'dying' || state === 'dead' || state === 'takedown' || state === 'out');
+  // Giving up: the gun drops in the first moments, then he's on his knees
+  const surrenderT = Math.max(0, Math.min(1, opts.surrenderT ?? 1));
+  const kneeling = state === 'cuffed' || (state === 'surrender' && surrenderT > 0.35);
+  const crouched = (state === 'cover' || state === 'reload' || kneeling);
   // Base/dying/dead 16x draw into HD at 2x
   (function drawBase(ctx2) {
     // Pixel-art dying frames override the normal standing sprite
@@ -426,11 +431,36 @@ export function drawGoon(ctx, x, y, scale, dir, state, phase, woundedArm, opts =
       }
       return;
     }
+    // Taken down from behind: arms thrash up at the grip, head pulled back, then he sags
+    if (state === 'takedown') {
+      const t = Math.max(0, Math.min(1, opts.takedownT || 0));
+      const sag = t > 0.7 ? 2 : 0;
+      rect(ctx2, 3, 14, 3, 2, 2, '#1a1a1a');
+      rect(ctx2, 10, 14, 3, 2, 2, '#1a1a1a');
+      rect(ctx2, 3, 11, 10, 3, 2, COLORS.goonPants);
+      rect(ctx2, 3, 7 + sag, 10, 4, 2, COLORS.goonJacket);
+      const back = dir === 1 ? -1 : 1; // head tipped back toward Harry
+      rect(ctx2, 5 + back, 2 + sag, 6, 5, 2, COLORS.skin);
+      rect(ctx2, 4 + back, 2 + sag, 8, 2, 2, COLORS.goonHair);
+      const flail = sag ? 0 : Math.floor(t * 12) % 2;
+      rect(ctx2, 1, (sag ? 9 : 4) + flail, 3, 2, 2, COLORS.goonJacket);
+      rect(ctx2, 12, (sag ? 9 : 4) + 1 - flail, 3, 2, 2, '#3a2f22');
+      return;
+    }
+    // Out cold: flat on the ground, no blood
+    if (state === 'out') {
+      rect(ctx2, 2, 14, 12, 2, 2, '#2a2a2a');
+      rect(ctx2, 3, 13, 10, 1, 2, COLORS.goonJacket);
+      rect(ctx2, dir === 1 ? 13 : 1, 12, 3, 3, 2, COLORS.skin);
+      return;
+    }
     // Boots
     rect(ctx2, 3, 14, 3, 2, 2, '#1a1a1a');
     rect(ctx2, 10, 14, 3, 2, 2, '#1a1a1a');
     // Pants
     rect(ctx2, 3, 11, 10, 3, 2, COLORS.goonPants);
+    // Crouched behind cover: the upper body drops over the folded legs
+    if (crouched) { ctx2.save(); ctx2.translate(0, 3 * 2); }
     // Jacket
     rect(ctx2, 3, 7, 10, 4, 2, COLORS.goonJacket);
     // Head + features drawer (encapsulated so we can mirror just the head during smoking)
@@ -485,9 +515,29 @@ export function drawGoon(ctx, x, y, scale, dir, state, phase, woundedArm, opts =
       if (woundedArm === 'left') leftArmY = armY - 2;
       if (woundedArm === 'right') rightArmY = armY - 2;
     }
+    if (state === 'aim') {
+      if (dir === 1) rightArmY = armY - 1; else leftArmY = armY - 1;
+    }
     // Arms
-    rect(ctx2, (dir === 1 ? rightArmX : leftArmX), (dir === 1 ? rightArmY : leftArmY), 4, 2, 2, COLORS.goonJacket); // front arm
-    rect(ctx2, (dir === 1 ? leftArmX : rightArmX), (dir === 1 ? leftArmY : rightArmY) + 1, 4, 2, 2, '#3a2f22');       // back arm (shadowed)
+    if (state === 'surrender') {
+      // hands up, either side of the head
+      rect(ctx2, 2, 1, 2, 6, 2, COLORS.goonJacket);
+      rect(ctx2, 12, 1, 2, 6, 2, '#3a2f22');
+    } else if (state === 'cuffed') {
+      // hands behind his back: only the shoulders show
+      rect(ctx2, (dir === 1 ? 1 : 12), armY + 1, 3, 2, 2, '#3a2f22');
+    } else {
+      rect(ctx2, (dir === 1 ? rightArmX : leftArmX), (dir === 1 ? rightArmY : leftArmY), 4, 2, 2, COLORS.goonJacket); // front arm
+      rect(ctx2, (dir === 1 ? leftArmX : rightArmX), (dir === 1 ? leftArmY : rightArmY) + 1, 4, 2, 2, '#3a2f22');       // back arm (shadowed)
+    }
+    // Pistol at the end of the front arm
+    if (state === 'aim') rect(ctx2, (dir === 1 ? 15 : 0), armY - 2, 1, 2, 2, COLORS.gunDark);
+    if (crouched) ctx2.restore();
+    // The dropped pistol: falling from his hand, then on the pavement in front of him
+    if (state === 'surrender' || state === 'cuffed') {
+      const gy = Math.round(8 + Math.min(1, surrenderT / 0.35) * 7);
+      rect(ctx2, (dir === 1 ? 14 : 0), gy, 2, 1, 2, COLORS.gunDark);
+    }
     // Cigar: place near the mouth for both facings so it doesn't clip or sit behind the neck
     if (typeof state === 'string' && state.startsWith('smoke')) {
       // Head is no longer mirrored; place cigarette on the mouth side matching dir.
@@ -508,9 +558,9 @@ export function drawGoon(ctx, x, y, scale, dir, state, phase, woundedArm, opts =
   const S = 2;
   const rectHD = (cx, cy, w, h, color) => { hctx.fillStyle = color; hctx.fillRect(cx|0, cy|0, w|0, h|0); };
   if (!downLike) {
-    const chestY = 7; const chestH = 4; const leftInnerX = 6; const rightInnerX = 10; // simple center gap
-    const hemY = 10; const hemH = 2;
-    const wind = (typeof drawGoon._wind === 'number' ? drawGoon._wind : 0);
+    const chestY = crouched ? 10 : 7; const chestH = 4; const leftInnerX = 6; const rightInnerX = 10; // simple center gap
+    const hemY = crouched ? 13 : 10; const hemH = crouched ? 1 : 2;
+    const wind = (typeof opts.windSway === 'number') ? opts.windSway : (typeof drawGoon._wind === 'number' ? drawGoon._wind : 0);
     const sway = Math.round((wind) * 1.2);
     // Lapel highlights
     rectHD((leftInnerX - 2) * S, chestY * S, 1, chestH * S, '#6b5747');
@@ -951,29 +1001,52 @@ export function drawBoss(ctx, x, y, scale, dir, state, phase, opts = {}) {
   const JACKET_DARK = '#4a1414';
   const HAIR = '#111';
   const GLASSES = '#0d0d0d';
+  const blit = () => {
+    const old = ctx.imageSmoothingEnabled; ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(hd, Math.floor(x * scale), Math.floor(y * scale), Math.floor(16 * scale), Math.floor(16 * scale));
+    ctx.imageSmoothingEnabled = old;
+  };
+  // Shot down: flat on the pavement
+  if (state === 'dead') {
+    rect(hctx, 2, 14, 12, 2, 2, JACKET_DARK);
+    rect(hctx, 3, 13, 10, 1, 2, JACKET);
+    rect(hctx, dir === 1 ? 13 : 1, 12, 3, 3, 2, COLORS.skin);
+    rect(hctx, dir === 1 ? 12 : 3, 15, 3, 1, 2, COLORS.blood);
+    blit();
+    return;
+  }
+  // Given up ('surrender', hands up) or cuffed: on his knees
+  const kneeling = state === 'surrender' || state === 'cuffed';
   // Base at 2x
   rect(hctx, 3, 14, 3, 2, 2, '#111');
   rect(hctx, 10, 14, 3, 2, 2, '#111');
   rect(hctx, 3, 11, 10, 3, 2, '#23232a');
+  if (kneeling) { hctx.save(); hctx.translate(0, 3 * 2); }
   rect(hctx, 2, 7, 12, 4, 2, JACKET);
   rect(hctx, 5, 2, 6, 5, 2, COLORS.skin);
   rect(hctx, 4, 2, 8, 2, 2, HAIR);
   rect(hctx, (dir===1?8:6), 4, 2, 1, 2, GLASSES);
   const armY = 8;
-  rect(hctx, (dir === 1 ? 11 : 1), armY, 4, 2, 2, JACKET);
-  rect(hctx, (dir === 1 ? 1 : 11), armY + 1, 4, 2, 2, JACKET_DARK);
+  if (state === 'surrender') {
+    rect(hctx, 2, 1, 2, 6, 2, JACKET);
+    rect(hctx, 12, 1, 2, 6, 2, JACKET_DARK);
+  } else if (state === 'cuffed') {
+    rect(hctx, (dir === 1 ? 1 : 12), armY + 1, 3, 2, 2, JACKET_DARK);
+  } else {
+    rect(hctx, (dir === 1 ? 11 : 1), armY, 4, 2, 2, JACKET);
+    rect(hctx, (dir === 1 ? 1 : 11), armY + 1, 4, 2, 2, JACKET_DARK);
+  }
   rect(hctx, 7, 8, 2, 2, 2, '#a82828');
+  if (kneeling) hctx.restore();
   // Overlay lapel highlights + hem sway
   const S = 2; const rectHD = (cx,cy,w,h,color)=>{hctx.fillStyle=color;hctx.fillRect(cx|0,cy|0,w|0,h|0)};
   const wind = (typeof opts.windSway === 'number') ? opts.windSway : 0;
-  const chestY = 7, chestH = 4, leftInnerX = 6, rightInnerX = 10;
+  const chestY = kneeling ? 10 : 7, chestH = 4, leftInnerX = 6, rightInnerX = 10;
   rectHD((leftInnerX-2)*S, chestY*S, 1, chestH*S, '#a04545');
   rectHD((rightInnerX+1)*S, chestY*S, 1, chestH*S, '#a04545');
-  const hemY = 10, hemH = 2; const sway = Math.round(wind*1.0);
+  const hemY = kneeling ? 13 : 10, hemH = kneeling ? 1 : 2; const sway = Math.round(wind*1.0);
   rectHD((2 + Math.max(0,-Math.round(sway*0.3)))*S, (hemY+hemH-1)*S, 6, 1, JACKET_DARK);
   rectHD((rightInnerX)*S, (hemY+hemH-1)*S, 6 + Math.max(0, Math.round(sway*0.3))*S, 1, JACKET_DARK);
   // Blit back
-  const old = ctx.imageSmoothingEnabled; ctx.imageSmoothingEnabled = false;
-  ctx.drawImage(hd, Math.floor(x * scale), Math.floor(y * scale), Math.floor(16 * scale), Math.floor(16 * scale));
-  ctx.imageSmoothingEnabled = old;
+  blit();
 }
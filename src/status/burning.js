@@ -6,7 +6,7 @@
  * - Provide a draw helper for a small flame overlay + tint
  *
  * Entity contract:
- * - We set entity.burning = { duration:number, maxDuration:number, lastPanicChange:number, originalState:any }
+ * - We set entity.burning = { duration:number, maxDuration:number, sincePanic:number, originalState:any }
  * - Caller owns HP damage (e.g., in FirePatch.applyBurn) and death transitions
  */
 
@@ -16,10 +16,10 @@ export function applyBurningStatus(entity, durationMs = 4000) {
     entity.burning = {
       duration: dur,
       maxDuration: dur,
-      lastPanicChange: performance.now(),
+      sincePanic: 0, // seconds since the last panic jitter
       originalState: entity.state,
     };
-    if (!['wounded', 'dying', 'dead'].includes(entity.state)) {
+    if (!['wounded', 'dying', 'dead', 'out', 'surrender', 'cuffed'].includes(entity.state)) {
       entity.state = 'burning';
     }
   } else {
@@ -32,9 +32,10 @@ export function applyBurningStatus(entity, durationMs = 4000) {
  * Leaves position changes to caller if desired; we only provide a suggestion via return value.
  * @param {object} entity
  * @param {number} dt seconds
+ * @param {() => number} rng gameplay random stream (seeded, so replays jitter the same way)
  * @returns {{impulseX:number}|null} Optional horizontal impulse to jitter
  */
-export function updateBurning(entity, dt) {
+export function updateBurning(entity, dt, rng = Math.random) {
   const b = entity.burning;
   if (!b) return null;
 
@@ -48,12 +49,12 @@ export function updateBurning(entity, dt) {
   }
 
   // Randomized horizontal jitter hint about every 0.6–0.9s
-  const now = performance.now();
-  if (now - b.lastPanicChange > 600) {
-    b.lastPanicChange = now;
-    const dir = Math.random() > 0.5 ? 1 : -1;
+  b.sincePanic = (b.sincePanic || 0) + dt;
+  if (b.sincePanic > 0.6) {
+    b.sincePanic = 0;
+    const dir = rng() > 0.5 ? 1 : -1;
     // Return a suggested impulse; orchestrator can clamp to world bounds
-    return { impulseX: dir * (15 + Math.random() * 15) };
+    return { impulseX: dir * (15 + rng() * 15) };
   }
   return null;
 }
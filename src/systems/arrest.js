@@ -0,0 +1,36 @@
+/**
+ * Arrests: who Harry can order "Hands up!" and who he can question once cuffed.
+ *
+ * A goon backing off from the .44 (state 'scared') gives up once his fear is past what
+ * Harry's reputation calls for (reputation.js) and Harry is close in front of him: he
+ * drops his gun and kneels ('surrender'), then stays cuffed ('cuffed'). Arrested goons are
+ * out of the fight but counted apart from the ones put down, and they can be questioned
+ * for the level's 'goon' lead (dialogue_trees.js). The boss gives up too when beaten down
+ * (BossSystem).
+ */
+import { surrenderFear } from './reputation.js';
+
+export const ARREST_REACH = 20;    // px between Harry and the goon
+export const SURRENDER_TIME = 1.0; // s from hands up to cuffed
+
+const inReach = (player, e) => {
+  const dx = (e.x + 8) - (player.x + 8);
+  return Math.abs(dx) < ARREST_REACH && Math.abs(player.y - e.y) < 6 ? dx : null;
+};
+
+/** The goon who would give up on Harry's order right now, or null. */
+export function arrestTarget(player, goons) {
+  if (!player.alive || !player.onGround || (player.busyT ?? 0) > 0) return null;
+  const needed = surrenderFear(player.reputation);
+  for (const g of goons) {
+    if (!g.alive || g.state !== 'scared' || (g.fear ?? 0) < needed) continue;
+    const dx = inReach(player, g);
+    if (dx !== null && Math.sign(dx) === player.dir) return g;
+  }
+  return null;
+}
+
+/** A cuffed goon close enough to question, or null. */
+export function suspectInReach(player, goons) {
+  return goons.find(g => g.state === 'cuffed' && inReach(player, g) !== null) ?? null;
+}
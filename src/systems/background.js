@@ -1,20 +1,18 @@
 /**
  * Background generation and drawing: sky, skyline buildings with dim windows, ground, covers, telephone booth.
+ * Lit windows can be queried per screen column for puddle reflections.
  * Also manages background tiny traffic queue (road specks behind characters).
  */
 import { VW, VH, GROUND_Y, WORLD_W, COLORS } from '../core/constants.js';
+import { makeRng } from '../core/rng.js';
 
 export class Background {
-  constructor(rng, covers, telephoneBooth) {
+  constructor(rng, covers, telephoneBooth, skylineSeed = null) {
     this.rng = rng;
     this.covers = covers;
     this.telephoneBooth = telephoneBooth;
     this.buildings = [];
-    this.stars = Array.from({ length: 70 }, () => ({
-      x: Math.floor(rng()*WORLD_W),
-      y: Math.floor(rng()*(GROUND_Y-40)),
-      tw: rng()*Math.PI*2
-    }));
+    this.stars = [];
     // background tiny traffic queue
     this.bgTraffic = [];
     this.bgQueueInit = false;
@@ -25,12 +23,24 @@ export class Background {
     this.BG_MIN_GAP = 6;
     this.BG_BASE_SPD_MIN = 8;
     this.BG_BASE_SPD_MAX = 16;
+    this.overcast = 0; // cloud cover 0..1, set from the weather
 
-    this._buildSkyline();
+    this.setSkyline(skylineSeed);
   }
 
-  _buildSkyline() {
-    const rng = this.rng;
+  /** (Re)build the stars and skyline across the world from a level's seed (the shared rng without one). */
+  setSkyline(seed = null) {
+    const rng = seed === null ? this.rng : makeRng(seed);
+    this.stars = Array.from({ length: 70 }, () => ({
+      x: Math.floor(rng()*WORLD_W),
+      y: Math.floor(rng()*(GROUND_Y-40)),
+      tw: rng()*Math.PI*2
+    }));
+    this.buildings = [];
+    this._buildSkyline(rng);
+  }
+
+  _buildSkyline(rng) {
     let x = 0;
     while (x < WORLD_W) {
       const w = 14 + Math.floor(rng()*10);
@@ -50,6 +60,20 @@ export class Background {
     }
   }
 
+  // Screen columns holding a lit skyline window this frame (puddles mirror them)
+  windowReflections(cameraX) {
+    const cols = new Uint8Array(VW);
+    for (const b of this.buildings) {
+      const bx = b.x - cameraX*0.8;
+      if (bx + b.w < 0 || bx > VW) continue;
+      for (const w of b.windows) {
+        const wx = Math.round(w.x - cameraX*0.8);
+        if (w.lit && wx >= 0 && wx < VW) cols[wx] = 1;
+      }
+    }
+    return cols;
+  }
+
   _spawnBgTrafficCar(x) {
     const rng = this.rng;
     const w = 4 + Math.floor(rng()*5);
@@ -162,7 +186,9 @@ export class Background {
     ctx.fillStyle = g;
     ctx.fillRect(0, 0, VW, VH);
 
-    // stars
+    // stars (hidden behind cloud cover in bad weather)
+    ctx.save();
+    ctx.globalAlpha = 1 - this.overcast;
     ctx.fillStyle = '#cbd1ff';
     for (const s of this.stars) {
       const sx = s.x - cameraX * 0.2;
@@ -170,6 +196,7 @@ export class Background {
       const sy = s.y + Math.sin(performance.now() * 0.0005 + s.tw) * 0.5;
       ctx.fillRect(Math.round(sx), Math.round(sy), 1, 1);
     }
+    ctx.restore();
 
     // skyline
     for (const b of this.buildings) {
@@ -225,12 +252,26 @@ export class Background {
     ctx.fillStyle = COLORS.ground;
     ctx.fillRect(0, GROUND_Y, VW, VH-GROUND_Y);
 
-    // covers
-    ctx.fillStyle = COLORS.cover;
+    // covers (wooden crates burn down from the top as the fire grid eats them)
     for (const c of this.covers) {
       const cx = c.x - cameraX;
       if (cx + c.w < 0 || cx > VW) continue;
-      ctx.fillRect(cx, c.y, c.w, c.h);
+      const integrity = c.integrity ?? 1;
+      if (c.material === 'WOOD') {
+        const h = Math.round(c.h * integrity);
+        if (h <= 0) continue;
+        const top = c.y + c.h - h;
+        const charred = (c.charred || 0) > 0.3;
+        ctx.fillStyle = charred ? '#24201d' : (integrity < 1 ? '#3a2a1e' : '#5a3f27');
+        ctx.fillRect(cx, top, c.w, h);
+        ctx.fillStyle = charred ? '#120f0d' : (integrity < 1 ? '#1e1612' : '#3f2c1b');
+        for (let py = c.y + 2; py < c.y + c.h; py += 3) if (py >= top) ctx.fillRect(cx, py, c.w, 1);
+        ctx.fillRect(cx, top, 1, h);
+        ctx.fillRect(cx + c.w - 1, top, 1, h);
+      } else {
+        ctx.fillStyle = COLORS.cover;
+        ctx.fillRect(cx, c.y, c.w, c.h);
+      }
     }
 
     // telephone booth (behind characters)
@@ -251,6 +292,18 @@ export class Background {
       ctx.fillRect(gx + Math.floor(gw/2), gy, 1, gh);
       ctx.fillRect(gx, gy + Math.floor(gh/3), gw, 1);
       ctx.fillRect(gx, gy + Math.floor(2*gh/3), gw, 1);
+      // Heat cracks spreading across the pane
+      if (tb.cracks > 0) {
+        ctx.fillStyle = '#b8c8d8';
+        const n = Math.ceil(tb.cracks * 6);
+        for (let k = 0; k < n; k++) {
+          const cx0 = gx + ((k * 5 + 1) % gw), cy0 = gy + ((k * 7 + 3) % gh);
+          for (let s = 0; s < 4 && cy0 + s < gy + gh; s++) {
+            const px = Math.max(gx, Math.min(gx + gw - 1, cx0 + ((s & 1) ? 1 : -1) * (s >> 1)));
+            ctx.fillRect(px, cy0 + s, 1, 1);
+          }
+        }
+      }
       ctx.fillStyle = RED_L; ctx.fillRect(Math.round(bx + 1), Math.round(by + 1), bw - 2, 4);
       ctx.fillStyle = '#eaeaea';
       ctx.fillRect(Math.round(bx + 3), Math.round(by + 2), 2, 1);
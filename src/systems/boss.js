@@ -1,12 +1,19 @@
 /**
  * Boss system: spawn inside booth, cutscene opening, arena lock, taunts, slow projectiles high/low lanes.
+ * Beaten down to SURRENDER_AT of his HP he gives up; Harry can cuff him (`ending` 'arrest')
+ * or finish him (`ending` 'kill').
  */
 import { VW, WORLD_W, GROUND_Y } from '../core/constants.js';
+import { wind } from '../core/wind.js';
 import { drawBoss } from '../sprites.js';
+import { ARREST_REACH } from './arrest.js';
+
+const SURRENDER_AT = 0.25; // share of max HP
 
 export class BossSystem {
-  constructor(dialogue) {
+  constructor(dialogue, rng = Math.random) {
     this.dialogue = dialogue;
+    this.rng = rng;
     this.reset();
   }
 
@@ -15,18 +22,21 @@ export class BossSystem {
     this.arena = null;
     this.active = false;
     this.victory = false;
+    this.ending = null; // 'arrest' | 'kill' once won
     this.cutscene = { active: false, phase: 'idle', timer: 0, lockLeftX: 0, exitTargetX: 0 };
     this.introDone = false;
     this.bullets = [];
     this._nextTaunt = 0;
   }
 
-  spawn(telephoneBooth) {
-    const bx = telephoneBooth.x + 4;
+  /** Boss waits hidden in the booth; `opts` from the level: { x (where he steps out), hp }. */
+  spawn(telephoneBooth, opts = {}) {
+    const bx = opts.x ?? telephoneBooth.x + 4;
     const by = GROUND_Y - 16;
+    const hp = opts.hp ?? 12;
     this.boss = {
-      x: bx, y: by, w: 16, h: 16, dir: -1,
-      hp: 12, maxHp: 12, alive: true, state: 'idle',
+      x: bx, y: by, w: 16, h: 16, dir: -1, spawnX: bx,
+      hp, maxHp: hp, alive: true, state: 'idle',
       fireCd: 1.2, bodyBox: {x: bx+3, y: by+4, w: 10, h: 9},
       invincible: true, hidden: true,
     };
@@ -34,7 +44,7 @@ export class BossSystem {
   }
 
   startFight(player, telephoneBooth, silent = false) {
-    if (!this.boss || this.active) return;
+    if (!this.boss || this.active || this.victory) return;
     const leftBarrier = Math.max(0, Math.floor(player.x));
     const rightBarrier = WORLD_W - 8;
     this.arena = { left: leftBarrier, right: rightBarrier };
@@ -61,7 +71,7 @@ export class BossSystem {
       this.cutscene.exitTargetX = telephoneBooth.x - 18;
       this.boss.invincible = true;
       this.boss.state = 'idle';
-      this.boss.x = telephoneBooth.x + 4;
+      this.boss.x = this.boss.spawnX ?? telephoneBooth.x + 4;
       this.boss.hidden = false;
     }
   }
@@ -118,9 +128,9 @@ export class BossSystem {
     const insults = reason === 'hit'
       ? ['Boss: Cute trick, cop.','Boss: That all you got?','Boss: You scratch easy.']
       : ['Boss: Gonna duck forever?','Boss: Try keepin\' up.','Boss: You\'re slow, Harry.'];
-    const line = insults[(Math.random()*insults.length)|0];
+    const line = insults[(this.rng()*insults.length)|0];
     this.dialogue.say(line, this.boss.x + 2, this.boss.y - 4, 1.6, { speaker: 'npc', tag: 'boss-taunt' });
-    this._nextTaunt = t + 3 + Math.random()*2;
+    this._nextTaunt = t + 3 + this.rng()*2;
   }
 
   update(dt, t, player, camera) {
@@ -152,19 +162,30 @@ export class BossSystem {
       if (this.boss.fireCd <= 0) { this.boss.state = 'fight'; this.boss.fireCd = 0.8; }
       return;
     }
+    if (this.boss.hp <= 0 && this.boss.alive) {
+      this.boss.alive = false;
+      this.boss.state = 'dead';
+      this.ending = 'kill';
+    }
     if (!this.boss.alive) {
       this.active = false;
       this.victory = true;
       return;
     }
 
+    // Beaten down far enough he throws in the towel
+    if (this.boss.state === 'fight' && this.boss.hp <= Math.ceil(this.boss.maxHp * SURRENDER_AT)) {
+      this.boss.state = 'surrender';
+      this.dialogue.say('Boss: Okay, okay! I give up!', this.boss.x + 2, this.boss.y - 4, 2.2, { speaker: 'npc', tag: 'boss-surrender' });
+    }
+
     // fire pattern
     this.boss.fireCd -= dt;
-    if (this.boss.fireCd <= 0) {
-      const lane = Math.random() < 0.5 ? 'high' : 'low';
+    if (this.boss.state === 'fight' && this.boss.fireCd <= 0) {
+      const lane = this.rng() < 0.5 ? 'high' : 'low';
       const dir = this.boss.dir;
       this.fireProjectile(dir, lane);
-      this.boss.fireCd = 1.2 + Math.random()*0.4;
+      this.boss.fireCd = 1.2 + this.rng()*0.4;
       this.taunt(t, 'fire');
     }
 
@@ -176,9 +197,24 @@ export class BossSystem {
     }
   }
 
+  /** Harry is close enough to cuff a boss who gave up. */
+  canArrest(player) {
+    return !!this.boss && this.active && this.boss.state === 'surrender'
+      && Math.abs((this.boss.x + 8) - (player.x + 8)) < ARREST_REACH;
+  }
+
+  /** The arrest ending: cuffed, the fight is won. */
+  arrest() {
+    this.boss.state = 'cuffed';
+    this.ending = 'arrest';
+    this.active = false;
+    this.victory = true;
+    this.bullets.length = 0;
+  }
+
   draw(ctx, cameraX) {
     if (this.boss && !this.boss.hidden) {
-      drawBoss(ctx, Math.round(this.boss.x - cameraX), Math.round(this.boss.y), 1, this.boss.dir, this.boss.state, 0, { windSway: Math.sin(performance.now()*0.00035) });
+      drawBoss(ctx, Math.round(this.boss.x - cameraX), Math.round(this.boss.y), 1, this.boss.dir, this.boss.state, 0, { windSway: wind.x });
     }
     // bullets
     ctx.fillStyle = '#a82828';
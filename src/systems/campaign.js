@@ -0,0 +1,103 @@
+/**
+ * Campaign progress: the case being worked (cases come from src/levels/campaign.json) and
+ * what Harry carries from one case into the next — his Molotov stock, HP upgrades, his
+ * reputation and the journal notes of every closed case.
+ *
+ * Closing a case is two steps so the summary screen can still be backed out of with a
+ * restart: `summarize` reads the finished run, `advance` banks it and moves on.
+ */
+export const CAMPAIGN_SLOT = 'campaign';
+const MAX_HP = 6;
+const MAX_MOLOTOVS = 9;
+
+/** Numbers of a run so far (case-closed and game-over screens). */
+export function runStats({ pois, npcs, goons, t, startedAt }) {
+  const witnesses = npcs.filter(n => n.clue);
+  // Arrests count apart from the goons put down (shot, burnt or knocked out)
+  const arrests = goons.filter(g => g.state === 'surrender' || g.state === 'cuffed').length;
+  return {
+    time: Math.max(0, t - startedAt),
+    clues: pois.filter(p => p.taken).length + witnesses.filter(n => n.clueGiven).length,
+    clueTotal: pois.length + witnesses.length,
+    goonsDown: goons.filter(g => !g.alive).length - arrests,
+    arrests,
+    goons: goons.length,
+  };
+}
+
+export class Campaign {
+  /**
+   * @param {{ cases: Array<{ id, title, level, reward: { maxHp, molotovs } }> }} def from loadCampaign
+   * @param {{ maxHp: number, molotovs: number, reputation: number }} start what Harry has on the first case
+   */
+  constructor(def, start) {
+    this.cases = def.cases;
+    this.start = { ...start };
+    this.archive = []; // [{ id, title, notes }] of closed cases, oldest first (the journal shows it)
+    this.reset();
+  }
+
+  reset() {
+    this.index = 0;
+    this.carry = { ...this.start }; // stock at the start of the current case
+    this.archive.length = 0;
+    this.startedAt = 0;             // game clock when the current case began
+  }
+
+  get case() {
+    return this.cases[this.index];
+  }
+
+  get last() {
+    return this.index === this.cases.length - 1;
+  }
+
+  /** Case-closed summary of the finished run at game time `t`; `bossEnding` is BossSystem.ending. */
+  summarize({ player, journal, pois, npcs, goons, t, bossEnding = null }) {
+    const c = this.case;
+    return {
+      number: this.index + 1,
+      total: this.cases.length,
+      title: c.title,
+      ...runStats({ pois, npcs, goons, t, startedAt: this.startedAt }),
+      hp: player.hp,
+      bossEnding,
+      reputation: player.reputation ?? 0,
+      notes: [...journal.notes],
+      reward: { ...c.reward },
+      carry: {
+        maxHp: Math.min(MAX_HP, player.maxHp + c.reward.maxHp),
+        molotovs: Math.min(MAX_MOLOTOVS, player.molotovCount + c.reward.molotovs),
+        reputation: player.reputation ?? 0,
+      },
+      next: this.cases[this.index + 1]?.title ?? null,
+    };
+  }
+
+  /** Bank a closed case and move to the next; false once the last case is closed. */
+  advance(summary) {
+    this.archive.push({ id: this.case.id, title: this.case.title, notes: summary.notes });
+    this.carry = { ...summary.carry };
+    if (this.last) return false;
+    this.index++;
+    return true;
+  }
+
+  serialize() {
+    return { index: this.index, carry: { ...this.carry }, archive: JSON.parse(JSON.stringify(this.archive)), startedAt: this.startedAt };
+  }
+
+  /** Throw if `data` (from serialize) doesn't fit this campaign. */
+  check(data) {
+    if (!this.cases[data?.index]) throw new Error(`campaign has no case ${data?.index + 1}`);
+    if (!data.carry || !Array.isArray(data.archive)) throw new Error('campaign save is incomplete');
+  }
+
+  restore(data) {
+    this.check(data);
+    this.index = data.index;
+    this.carry = { ...data.carry };
+    this.archive.splice(0, Infinity, ...data.archive);
+    this.startedAt = data.startedAt;
+  }
+}
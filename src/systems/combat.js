@@ -1,6 +1,8 @@
 /**
  * Combat for the player and generic bullets (player and goons).
- * Responsible for firing magnum, updating bullets, applying hits to goons/NPC/boss.
+ * Responsible for firing magnum, updating bullets, applying hits to goons/NPC/boss/hydrants.
+ * Who Harry hits is reported through `world.onHit(kind, entity, was)` ('goon' | 'npc' |
+ * 'boss'; `was` holds the target's state, and a goon's `combat`, from before the hit).
  */
 import { WORLD_W } from '../core/constants.js';
 import { aabb } from '../core/aabb.js';
@@ -22,8 +24,8 @@ export class CombatSystem {
     this.camera.addShake(shakeAdd);
   }
 
-  goonFire(x, y, dir) {
-    this.enemyBullets.push({ x, y, w: 2, h: 2, vx: 140 * dir, vy: 0, life: 1.2 });
+  goonFire(x, y, dir, vy = 0) {
+    this.enemyBullets.push({ x, y, w: 2, h: 2, vx: 140 * dir, vy, life: 1.2 });
   }
 
   update(dt, world) {
@@ -41,6 +43,7 @@ export class CombatSystem {
         if (!world.bossActive || world.boss.invincible) {
           this.particles.spawnSparks(world.boss.bodyBox.x + world.boss.bodyBox.w/2, world.boss.bodyBox.y + 6, 1, 1);
         } else {
+          world.onHit?.('boss', world.boss, { state: world.boss.state });
           world.boss.hp = Math.max(0, world.boss.hp - Math.max(1, b.damage||1));
           this.particles.spawnBlood(world.boss.bodyBox.x + world.boss.bodyBox.w/2, world.boss.bodyBox.y + 4);
         }
@@ -51,9 +54,18 @@ export class CombatSystem {
       for (const g of world.goons) {
         if (!g.alive) continue;
         if (g.state === 'dying') continue;
+        // Ducked behind cover: rounds from the far side hit the cover
+        const c = g.coverTarget;
+        if (c && (g.state === 'cover' || g.state === 'reload') && aabb(box, { x: g.x, y: g.y, w: g.w, h: g.h })
+            && Math.sign(b.vx) === Math.sign((g.x + 8) - (c.x + c.w / 2))) {
+          this.particles.spawnSparks(b.x, b.y, -Math.sign(b.vx), 4, 0.8);
+          this.playerBullets.splice(i,1); consumed = true; break;
+        }
+        const was = { state: g.state, combat: g.combat };
         if (aabb(box, g.headBox)) {
           if (g.state !== 'dying') { g.state = 'dying'; g.deathT = 0; g._pooled = false; g._bled = false; }
           this.particles.spawnBlood(g.headBox.x+3, g.headBox.y+2);
+          world.onHit?.('goon', g, was);
           this.playerBullets.splice(i,1); consumed = true; break;
         }
         if (aabb(box, g.leftArmBox)) {
@@ -61,6 +73,7 @@ export class CombatSystem {
           if (g.hp <= 0) { if (g.state !== 'dying') { g.state='dying'; g.deathT=0; g._pooled=false; g._bled=false; } }
           else g.state = 'wounded';
           this.particles.spawnBlood(g.leftArmBox.x+2, g.leftArmBox.y+1);
+          world.onHit?.('goon', g, was);
           this.playerBullets.splice(i,1); consumed = true; break;
         }
         if (aabb(box, g.rightArmBox)) {
@@ -68,6 +81,7 @@ export class CombatSystem {
           if (g.hp <= 0) { if (g.state !== 'dying') { g.state='dying'; g.deathT=0; g._pooled=false; g._bled=false; } }
           else g.state = 'wounded';
           this.particles.spawnBlood(g.rightArmBox.x+2, g.rightArmBox.y+1);
+          world.onHit?.('goon', g, was);
           this.playerBullets.splice(i,1); consumed = true; break;
         }
         if (aabb(box, g.bodyBox)) {
@@ -75,6 +89,7 @@ export class CombatSystem {
           if (g.hp <= 0) { if (g.state !== 'dying') { g.state='dying'; g.deathT=0; g._pooled=false; g._bled=false; } }
           else g.state = 'wounded';
           this.particles.spawnBlood(g.bodyBox.x+5, g.bodyBox.y+4);
+          world.onHit?.('goon', g, was);
           this.playerBullets.splice(i,1); consumed = true; break;
         }
       }
@@ -87,9 +102,20 @@ export class CombatSystem {
         if (aabb(box, nbox)) {
           if (n.state !== 'dying') { n.state = 'dying'; n.deathT = 0; n._pooled = false; n.bulletImmune = true; }
           this.particles.spawnBlood(nbox.x+5, nbox.y+3);
+          world.onHit?.('npc', n);
           this.playerBullets.splice(i,1); consumed = true; break;
         }
       }
+      if (consumed) continue;
+
+      // Hydrants: a hit knocks the cap off and the water comes up at full pressure
+      for (const h of world.hydrants || []) {
+        if (aabb(box, h)) {
+          if (!h.open) { h.open = true; h.flow = 1; }
+          this.particles.spawnSparks(b.x, b.y, -Math.sign(b.vx), 5, 0.8);
+          this.playerBullets.splice(i,1); break;
+        }
+      }
     }
 
     // enemy bullets
@@ -97,8 +123,13 @@ export class CombatSystem {
       const b = this.enemyBullets[i];
       b.x += b.vx * dt; b.y += b.vy * dt; b.life -= dt;
       if (b.life <= 0 || b.x < -10 || b.x > WORLD_W + 10) { this.enemyBullets.splice(i,1); continue; }
+      const box = { x: b.x, y: b.y, w: b.w, h: b.h };
+      // Ducking right behind cover keeps the player out of the line of fire
+      if (world.player.crouch && (world.covers || []).some(c => this._shields(c, box, b, world.player))) {
+        this.particles.spawnSparks(b.x, b.y, -Math.sign(b.vx), 4, 0.8);
+        this.enemyBullets.splice(i,1); continue;
+      }
       if (world.playerIframes <= 0) {
-        const box = { x: b.x, y: b.y, w: b.w, h: b.h };
         const pbox = world.player.crouch
           ? { x: world.player.x+3, y: world.player.y+6, w: 10, h: 8 }
           : { x: world.player.x+3, y: world.player.y+2, w: 10, h: 12 };
@@ -115,6 +146,12 @@ export class CombatSystem {
     }
   }
 
+  _shields(c, box, b, player) {
+    if ((c.integrity ?? 1) < 0.25 || !aabb(box, c)) return false;
+    const px = player.x + 8, mid = c.x + c.w / 2;
+    return px > c.x - 10 && px < c.x + c.w + 10 && Math.sign(b.x - mid) !== Math.sign(px - mid);
+  }
+
   draw(ctx, cameraX, COLORS) {
     ctx.fillStyle = COLORS.gunMetal;
     for (const b of this.playerBullets) ctx.fillRect(b.x - cameraX, b.y, b.w, b.h);
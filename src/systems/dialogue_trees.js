@@ -1,35 +1,57 @@
 /**
- * Minimal dialogue tree helpers (extensible). For now, provides canned responses per NPC type.
- * You can expand this to a full stateful tree if desired.
+ * Minimal dialogue tree helpers (extensible). NPC lines are looked up by dialogue id
+ * (`npc.dialogue`, falling back to the NPC type); a level can add its own ids.
+ *
+ * A dialogue is either { clue, rude?, done? } — the clue line when cooperative, a brush-off
+ * otherwise — or { script: [{ text, speaker, tag, clue? }] } played in full every time.
  */
-export function getOpeningLine() {
-  const openers = [
-    'Harry: Got a minute?',
-    'Harry: I have a few questions.',
-    'Harry: Talk to me.',
-  ];
-  return openers[(Math.random() * openers.length) | 0];
-}
-
-export function getNpcReply(npc, cooperative) {
-  if (npc.type === 'hotgirl') {
-    return [
+export const DIALOGUES = {
+  mother: { clue: 'He wore a tan coat and smelled of smoke.' },
+  oldman: { clue: 'Alley ahead looked shady. Watch your back.' },
+  kid: { clue: 'He dropped a coin by the phone booth.' },
+  // Cuffed goons (GoonSystem.arrest); one of them gives it up, the rest have nothing to add
+  goon: { clue: 'The boss makes his calls from the phone booth. Never misses a night.', done: 'I got nothing else, cop.' },
+  hotgirl: {
+    script: [
       { text: 'What do you need, sugar?', speaker: 'npc', tag: 'hotgirl-1' },
       { text: "Harry: Haven't you seen somebody dangerous?", speaker: 'harry', tag: 'hotgirl-2' },
       { text: 'Only you, sugar.', speaker: 'npc', tag: 'hotgirl-3' },
       { text: 'He lingers by the phone booth.', speaker: 'npc', tag: 'clue', clue: true },
-    ];
-  }
+    ],
+  },
+};
+
+let levelDialogues = {};
+
+/** Dialogues defined by the current level (same shape as DIALOGUES; they win on clashes). */
+export function setLevelDialogues(table) {
+  levelDialogues = table || {};
+}
+
+function dialogueFor(npc) {
+  const id = npc.dialogue ?? npc.type;
+  return levelDialogues[id] ?? DIALOGUES[id] ?? DIALOGUES.kid;
+}
+
+/** True when the NPC plays a fixed script instead of the cooperative/rude exchange. */
+export function isScripted(npc) {
+  return !!dialogueFor(npc).script;
+}
+
+/** Harry's opener for his street standing (reputation.js); `rng` is the gameplay stream. */
+export function getOpeningLine(standing, rng) {
+  const { openers } = standing;
+  return openers[(rng() * openers.length) | 0];
+}
+
+export function getNpcReply(npc, cooperative) {
+  const d = dialogueFor(npc);
+  if (d.script) return d.script;
   if (cooperative && !npc.clueGiven) {
-    const text = npc.type === 'mother'
-      ? 'He wore a tan coat and smelled of smoke.'
-      : npc.type === 'oldman'
-      ? 'Alley ahead looked shady. Watch your back.'
-      : 'He dropped a coin by the phone booth.';
-    return [{ text, speaker: 'npc', tag: 'clue', clue: true }];
+    return [{ text: d.clue, speaker: 'npc', tag: 'clue', clue: true }];
   }
   if (!npc.clueGiven) {
-    return [{ text: 'Get lost, copper', speaker: 'npc', tag: 'rude' }];
+    return [{ text: d.rude ?? 'Get lost, copper', speaker: 'npc', tag: 'rude' }];
   }
-  return [{ text: "That's all I know.", speaker: 'npc', tag: 'neutral' }];
-}
\ No newline at end of file
+  return [{ text: d.done ?? "That's all I know.", speaker: 'npc', tag: 'neutral' }];
+}
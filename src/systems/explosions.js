@@ -0,0 +1,70 @@
+/**
+ * Blast aftermath in the game world. The fire grid detonates volatile cells (car tanks,
+ * gas cans, propane bottles) and reports { x, y, radius, strength }; this applies radial
+ * damage and knockback to goons, NPCs and the player, sets people alight near the core,
+ * wrecks props whose tank is gone, shakes the camera and spawns particles.
+ */
+import { WORLD_W, GROUND_Y } from '../core/constants.js';
+import { fireSystem } from './fire_integration.js';
+import { applyBurningStatus } from '../status/burning.js';
+
+export const BLAST_CONFIG = {
+  reach: 1.3,        // damage radius as a multiple of the grid blast radius
+  maxDamage: 3,      // HP at the core, falling off linearly
+  knockback: 18,     // px at the core
+  igniteAbove: 0.45, // falloff above which victims catch fire
+  lethalNpc: 0.5,    // falloff above which a civilian goes down
+  burnDuration: 4000,
+};
+
+export function applyBlast(blast, { goons, npcs, player, hazards, particles, camera }, hurtPlayer) {
+  const reach = blast.radius * BLAST_CONFIG.reach;
+  const hit = (ent) => {
+    const dx = (ent.x + 8) - blast.x, dy = (ent.y + 8) - blast.y;
+    const d = Math.hypot(dx, dy);
+    if (d > reach) return null;
+    const f = 1 - d / reach;
+    ent.x = Math.max(0, Math.min(WORLD_W - 16, ent.x + Math.sign(dx || 1) * BLAST_CONFIG.knockback * f));
+    if (f > BLAST_CONFIG.igniteAbove) {
+      fireSystem.igniteEntity(ent, blast.x, blast.y, undefined, f);
+      applyBurningStatus(ent, BLAST_CONFIG.burnDuration);
+    }
+    return f;
+  };
+
+  for (const g of goons) {
+    if (!g.alive || g.state === 'dying') continue;
+    const f = hit(g);
+    if (f === null) continue;
+    g.hp = Math.max(0, g.hp - Math.ceil(BLAST_CONFIG.maxDamage * f));
+    if (g.hp <= 0) { g.state = 'dying'; g.deathT = 0; g._pooled = false; g._bled = false; }
+    else if (g.state !== 'burning') g.state = 'wounded';
+  }
+
+  for (const n of npcs) {
+    if (n.state === 'dying' || n.state === 'down') continue;
+    const f = hit(n);
+    if (f === null) continue;
+    if (f > BLAST_CONFIG.lethalNpc) { n.state = 'dying'; n.deathT = 0; n._pooled = false; n.bulletImmune = true; }
+    else if (n.state !== 'burning') { n.state = 'flee'; n.fear = 1; n.panicTimer = 0; }
+  }
+
+  if (player.alive) {
+    const f = hit(player);
+    if (f !== null) hurtPlayer(Math.ceil(BLAST_CONFIG.maxDamage * f));
+  }
+
+  for (const h of hazards) {
+    if (!h.wrecked && !fireSystem.hazardIntact(h)) h.wrecked = true;
+  }
+
+  camera.addShake(Math.min(4, 1.5 + blast.strength * 0.08));
+  const r = Math.round(blast.radius);
+  particles.spawnFlames(blast.x, blast.y, 40, 1.6, Math.max(6, r * 0.5));
+  particles.spawnSmoke(blast.x, blast.y - 4, -1);
+  particles.spawnSmoke(blast.x, blast.y - 4, 1);
+  particles.spawnSparks(blast.x, blast.y, -1, 10, 1.5);
+  particles.spawnSparks(blast.x, blast.y, 1, 10, 1.5);
+  particles.spawnGlassBurst(blast.x, blast.y - 3, 14);
+  particles.spawnScorch(blast.x, GROUND_Y - 1, Math.max(10, r * 0.6));
+}
@@ -0,0 +1,140 @@
+/**
+ * Fire department response: burst hydrants and the fire truck spray water droplets into the
+ * world. Droplets fly ballistically and, on landing, put out flames and leave WATER cells
+ * in the fire grid (puddles that later spills float on); those that hit characters douse them.
+ */
+import { WORLD_W, GROUND_Y } from '../core/constants.js';
+import { aabb } from '../core/aabb.js';
+import { MaterialProps } from '../sim/materials.js';
+
+export const FIRE_DEPT_CONFIG = {
+  dropGravity: 240,        // px/s^2
+  hydrantFlowTime: 14,     // s from a burst cap to a dribble
+  hydrantRate: 40,         // droplets/s at full pressure
+  truckRate: 120,          // droplets/s
+  truckSplash: 2,          // quench radius of a hose drop (hydrant drops: 1)
+  truckFlightTime: 0.7,    // s from the monitor to the fire
+  callFireCells: 260,      // burning cells that count as a big fire
+  callDelay: 3,            // s a big fire must burn before the truck is called
+  truckCooldown: 20,       // s between call-outs
+  truckSpray: 14,          // s on station (cut short once the fire is out)
+  maxDrops: 600,
+};
+
+export class FireDepartment {
+  /**
+   * @param fire the FireSystem (grid writes, entity dousing and the shared fire rng)
+   * @param traffic the ForegroundTraffic lane the truck drives in
+   */
+  constructor(fire, traffic, config = FIRE_DEPT_CONFIG) {
+    this.fire = fire;
+    this.traffic = traffic;
+    this.config = config;
+    this.drops = [];
+    this.bigFireT = 0;
+    this.cooldown = 0;
+    this._emit = 0;
+  }
+
+  reset() {
+    this.drops.length = 0;
+    this.bigFireT = 0;
+    this.cooldown = 0;
+    this._emit = 0;
+  }
+
+  // Spray draws from the fire sim's random stream so a seeded burn (and its put-out) replays
+  get rng() {
+    return this.fire.rng;
+  }
+
+  update(dt, { hydrants = [], cameraX = 0, VW = 0, entities = [] } = {}) {
+    const cfg = this.config;
+    const stats = this.fire.engine.stats;
+
+    // Call the truck out once a fire has stayed big for a while
+    this.cooldown = Math.max(0, this.cooldown - dt);
+    this.bigFireT = stats.burning >= cfg.callFireCells ? this.bigFireT + dt : 0;
+    if (this.bigFireT >= cfg.callDelay && this.cooldown <= 0) {
+      if (this.traffic.dispatchFireTruck(stats.burningX, cameraX, VW, cfg.truckSpray)) this.cooldown = cfg.truckCooldown;
+      this.bigFireT = 0;
+    }
+
+    // Burst hydrants: a geyser that loses pressure over time
+    for (const h of hydrants) {
+      if (!h.open || h.flow <= 0) continue;
+      h.flow = Math.max(0, h.flow - dt / cfg.hydrantFlowTime);
+      this.emit(cfg.hydrantRate * h.flow * dt, () => ({
+        x: h.x + h.w / 2, y: h.y,
+        vx: (this.rng() - 0.5) * 70 * h.flow,
+        vy: -(70 + this.rng() * 90) * h.flow,
+      }));
+    }
+
+    // Truck on station: arc water onto the fire, following it as it moves
+    const truck = this.traffic.fireTruck();
+    if (truck?.state === 'spray') {
+      if (stats.burning > 0) truck.targetX = stats.burningX;
+      else truck.sprayT = Math.min(truck.sprayT, 1.5);
+      const n = this.traffic.nozzle(truck, cameraX);
+      const T = cfg.truckFlightTime;
+      this.emit(cfg.truckRate * dt, () => {
+        const tx = truck.targetX + (this.rng() - 0.5) * 48;
+        const ty = GROUND_Y - 2 - this.rng() * 10;
+        return { x: n.x, y: n.y, vx: (tx - n.x) / T, vy: (ty - n.y) / T - 0.5 * cfg.dropGravity * T, r: cfg.truckSplash };
+      });
+    }
+
+    this.updateDrops(dt, entities);
+  }
+
+  // Fractional emission carried across frames so low rates still produce drops
+  emit(count, make) {
+    this._emit += count;
+    while (this._emit >= 1) {
+      this._emit -= 1;
+      if (this.drops.length < this.config.maxDrops) this.drops.push(make());
+    }
+  }
+
+  updateDrops(dt, entities) {
+    const g = this.fire.engine.grid;
+    for (let i = this.drops.length - 1; i >= 0; i--) {
+      const d = this.drops[i];
+      d.vy += this.config.dropGravity * dt;
+      // March at most one cell at a time so drops can't tunnel through thin props
+      const dist = Math.hypot(d.vx, d.vy) * dt;
+      const steps = Math.max(1, Math.ceil(dist));
+      let landed = false;
+      for (let s = 0; s < steps && !landed; s++) {
+        const nx = d.x + d.vx * dt / steps, ny = d.y + d.vy * dt / steps;
+        const cx = Math.round(nx), cy = Math.round(ny);
+        if (cx < 0 || cx >= WORLD_W || cy >= g.h) { landed = true; break; }
+        // Jets clear whatever they start in (the truck hoses from the foreground), so
+        // drops only land on the way down
+        if (cy >= 0 && d.vy > 0) {
+          const j = g.index(cx, cy);
+          // Drops fall through air, smoke and steam; flames, liquids and solids stop them
+          if (g.burning[j] || !MaterialProps[g.material[j]]?.gas) {
+            this.fire.splashWater(Math.round(d.x), Math.round(d.y), d.r ?? 1);
+            landed = true;
+            break;
+          }
+        }
+        d.x = nx; d.y = ny;
+      }
+      if (!landed) {
+        const box = { x: d.x, y: d.y, w: 1, h: 1 };
+        for (const e of entities) {
+          if (aabb(box, { x: e.x + 3, y: e.y + 2, w: 10, h: 12 })) {
+            this.fire.douseEntity(e, 0.5);
+            landed = true;
+            break;
+          }
+        }
+      }
+      if (landed) this.drops.splice(i, 1);
+    }
+  }
+}
+
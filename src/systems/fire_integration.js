@@ -1,27 +1,72 @@
 // Bridges Molotovs, environment, and per-entity pixel burning.
 import { VW, VH, WORLD_W, GROUND_Y } from '../core/constants.js';
+import { makeRng } from '../core/rng.js';
+import { wind } from '../core/wind.js';
 import { FireEngine } from '../sim/engine.js';
 import { Materials as Mat, MaterialProps } from '../sim/materials.js';
 import { EntityFireAgent } from '../sim/entity_fire_agent.js';
 import { makeGoonMask, makeNPCMask, makePlayerMask } from '../entities/material_masks.js';
+import { boothGlassRect } from '../entities/spawn.js';
+import { paintScenario } from '../sim/harness.js';
 import { applyBurningStatus } from '../status/burning.js';
 
+// Default seed for the fire sim; reseed() with a session seed to replay a burn exactly.
+const FIRE_SEED = 0x0f17e5;
+// Flame and smoke particles and decals draw from their own stream, never the sim's
+const FX_SEED = 0xf1a3e5;
+// Rows of asphalt on top of the stone base under the street
+const STREET_DEPTH = 3;
+
 class FireSystem {
-  constructor() {
+  constructor(seed = FIRE_SEED) {
     // World grid matched to the game world pixel space
-    this.engine = new FireEngine(WORLD_W, VH);
+    this.engine = new FireEngine(WORLD_W, VH, makeRng(seed));
     this.agents = new Map(); // entity -> agent
+    this.fxRng = makeRng(FX_SEED);
     // Keep environment fire debug OFF by default to avoid scene-wide glow.
   this.showEnv = false;     // toggleable draw; use window.__DH.toggleFireEnvDebug()
   }
 
+  // Fresh empty grid for a world `width` px wide (level load); agents belonged to the old world
+  resize(width) {
+    for (const e of [...this.agents.keys()]) this.removeAgent(e);
+    this.engine = new FireEngine(width, VH, this.engine.rng);
+  }
+
+  // Back to still, empty air (a restart: spilt fuel, flames, smoke and puddles go); the
+  // caller lays the level in again. Agents belonged to the old run's characters.
+  clear() {
+    for (const e of [...this.agents.keys()]) this.removeAgent(e);
+    const g = this.engine.grid;
+    g.material.fill(Mat.AIR);
+    g.temp.fill(293);
+    g.fuel.fill(0);
+    g.burning.fill(0);
+    g.pressure.fill(0);
+    g.vx.fill(0);
+    g.vy.fill(0);
+    g.wakeAll();
+    this.engine.resetTransient();
+  }
+
+  // Single random stream shared by the grid, the entity agents and the spill painters
+  // (visual-only randomness uses fxRng, so drawing can't shift a replay)
+  get rng() {
+    return this.engine.rng;
+  }
+
+  reseed(seed) {
+    const rng = this.engine.reseed(seed);
+    for (const agent of this.agents.values()) agent.rng = rng;
+  }
+
   ensureAgent(entity, kind = 'npc') {
     if (this.agents.has(entity)) return this.agents.get(entity);
     const { mask, w, h } =
       kind === 'goon' ? makeGoonMask()
       : kind === 'player' ? makePlayerMask()
       : makeNPCMask();
-    const agent = new EntityFireAgent(entity, mask, w, h);
+    const agent = new EntityFireAgent(entity, mask, w, h, this.rng);
     this.agents.set(entity, agent);
     entity.fireAgent = agent;
     return agent;
@@ -43,14 +88,190 @@ class FireSystem {
         const dx = x - cx, dy = y - cy;
         if (dx*dx + dy*dy > r2) continue;
         const i = g.index(x, y);
-        if (g.material[i] === Mat.AIR || g.material[i] === Mat.SMOKE || g.material[i] === Mat.STEAM) {
+        if (g.material[i] === Mat.AIR || g.material[i] === Mat.SMOKE || g.material[i] === Mat.SOOT || g.material[i] === Mat.STEAM) {
           g.material[i] = Mat.FUEL;
           g.fuel[i] = 1.0;
           g.temp[i] = Math.max(g.temp[i], temp);
-          g.burning[i] = Math.random() < igniteChance ? 1 : 0;
+          g.burning[i] = this.rng() < igniteChance ? 1 : 0;
+        }
+      }
+    }
+    g.wakeRect(cx - radius, cy - radius, cx + radius, cy + radius);
+  }
+
+  // Rasterize static world geometry: street (asphalt over a stone base), covers, debris
+  // and the booth (metal frame, glass pane) so spills pool on the ground and fire can
+  // reach props. Restores burnt props.
+  placeTerrain({ covers = [], debris = [], booth = null } = {}) {
+    const g = this.engine.grid;
+    const fill = (x0, y0, w, h, mat) => {
+      for (let y = y0; y < y0 + h; y++) {
+        for (let x = x0; x < x0 + w; x++) g.setCell(x, y, mat, 293, MaterialProps[mat].fuelCapacity || 0);
+      }
+    };
+    fill(0, GROUND_Y, g.w, STREET_DEPTH, Mat.ASPHALT);
+    fill(0, GROUND_Y + STREET_DEPTH, g.w, g.h - GROUND_Y - STREET_DEPTH, Mat.STONE);
+    for (const c of [...covers, ...debris]) fill(c.x, c.y, c.w, c.h, Mat[c.material] ?? Mat.STONE);
+    if (booth) {
+      fill(booth.x, booth.y, booth.w, 5, Mat.METAL);
+      fill(booth.x, booth.y, 2, booth.h, Mat.METAL);
+      fill(booth.x + booth.w - 2, booth.y, 2, booth.h, Mat.METAL);
+      const pane = boothGlassRect(booth);
+      fill(pane.x, pane.y, pane.w, pane.h, Mat.GLASS);
+    }
+  }
+
+  // A level's paint ops (fuel puddles, standing water), laid over the terrain
+  paintLevel(paint = []) {
+    paintScenario(this.engine.grid, paint);
+  }
+
+  // For a rect: share of cells whose material is one of `mats`, the burning share of
+  // those, and the hottest of them (K)
+  scanRect(rect, mats) {
+    const g = this.engine.grid;
+    let hit = 0, burning = 0, total = 0, maxTemp = 0;
+    for (let y = rect.y; y < rect.y + rect.h; y++) {
+      for (let x = rect.x; x < rect.x + rect.w; x++) {
+        if (!g.inBounds(x, y)) continue;
+        total++;
+        const i = g.index(x, y);
+        if (!mats.includes(g.material[i])) continue;
+        hit++;
+        if (g.burning[i]) burning++;
+        maxTemp = Math.max(maxTemp, g.temp[i]);
+      }
+    }
+    return { share: total ? hit / total : 0, burning: hit ? burning / hit : 0, maxTemp };
+  }
+
+  // Mirror grid damage back onto props: integrity (what still stands, charred or not),
+  // charred share, peak temperature (metal glow), flames while they burn (env flames are
+  // only drawn in debug), and cracked booth glass
+  syncTerrain({ covers = [], debris = [], booth = null, particles = null } = {}) {
+    for (const c of [...covers, ...debris]) {
+      const mat = Mat[c.material] ?? Mat.STONE;
+      const charTo = MaterialProps[mat].burnsTo;
+      const standing = charTo !== undefined && charTo !== Mat.AIR ? [mat, charTo] : [mat];
+      const { share, burning, maxTemp } = this.scanRect(c, standing);
+      c.integrity = share;
+      c.charred = standing.length > 1 && share > 0 ? this.scanRect(c, [charTo]).share / share : 0;
+      c.heat = maxTemp;
+      if (particles && burning > 0 && this.fxRng() < 0.2 + burning) {
+        const top = c.y + Math.round(c.h * (1 - share));
+        particles.spawnFlames(c.x + this.fxRng() * c.w, top, 3, 0.6 + burning, 3);
+        if (this.fxRng() < 0.1) particles.spawnSmoke(c.x + c.w / 2, top - 2, 0);
+      }
+    }
+    if (booth) booth.cracks = this.scanRect(boothGlassRect(booth), [Mat.GLASS_CRACKED]).share;
+  }
+
+  // Paint the fuel tanks / bottles of volatile props into the grid (full charge)
+  placeHazards(hazards) {
+    const g = this.engine.grid;
+    for (const h of hazards) {
+      const mat = h.kind === 'propane' ? Mat.PROPANE : Mat.TANK;
+      const t = h.tank;
+      for (let y = h.y + t.dy; y < h.y + t.dy + t.h; y++) {
+        for (let x = h.x + t.dx; x < h.x + t.dx + t.w; x++) {
+          g.setCell(x, y, mat, 293, MaterialProps[mat].fuelCapacity);
+          g.pressure[g.index(x, y)] = 0;
+        }
+      }
+    }
+  }
+
+  // True while any of the prop's tank cells are still in the grid
+  hazardIntact(h) {
+    const g = this.engine.grid;
+    const t = h.tank;
+    for (let y = h.y + t.dy; y < h.y + t.dy + t.h; y++) {
+      for (let x = h.x + t.dx; x < h.x + t.dx + t.w; x++) {
+        if (g.inBounds(x, y) && MaterialProps[g.material[g.index(x, y)]]?.volatile) return true;
+      }
+    }
+    return false;
+  }
+
+  // Detonations reported by the grid since the last call
+  drainBlasts() {
+    return this.engine.drainEvents().filter(e => e.type === 'blast');
+  }
+
+  // A water droplet lands: put out flames around it (hot cells flash to steam) and leave
+  // the water on the first free cell so it pools on the street
+  splashWater(x, y, r = 1) {
+    const g = this.engine.grid;
+    for (let yy = y - r; yy <= y + r; yy++) {
+      for (let xx = x - r; xx <= x + r; xx++) {
+        if (!g.inBounds(xx, yy)) continue;
+        const i = g.index(xx, yy);
+        if (g.burning[i]) {
+          g.burning[i] = 0;
+          g.temp[i] = Math.min(g.temp[i], 330);
+          // The spray also breaks up burning spills
+          if (g.material[i] === Mat.FUEL) g.fuel[i] = Math.max(0, g.fuel[i] - 0.25);
+          const up = yy - 1;
+          if (up >= 0 && g.material[g.index(xx, up)] === Mat.AIR && this.rng() < 0.5) {
+            g.material[g.index(xx, up)] = Mat.STEAM;
+            g.temp[g.index(xx, up)] = 373;
+          }
+        } else if (g.temp[i] > 373 && MaterialProps[g.material[i]]?.solid) {
+          g.temp[i] -= (g.temp[i] - 373) * 0.5;
         }
       }
     }
+    if (g.inBounds(x, y)) {
+      const i = g.index(x, y);
+      const m = g.material[i];
+      if (m === Mat.AIR || m === Mat.SMOKE || m === Mat.SOOT || m === Mat.STEAM) {
+        g.material[i] = Mat.WATER;
+        g.temp[i] = 293;
+        g.fuel[i] = 0;
+        g.burning[i] = 0;
+      }
+    }
+    g.wakeRect(x - r - 1, y - r - 1, x + r + 1, y + r + 1);
+  }
+
+  // Topmost cell of column x that isn't air, smoke or steam (g.h if there is none)
+  _surfaceY(x) {
+    const g = this.engine.grid;
+    let y = 0;
+    while (y < g.h && MaterialProps[g.material[g.index(x, y)]]?.gas) y++;
+    return y;
+  }
+
+  // Rain: a water cell landing on whatever is uppermost in column x (street, prop, puddle,
+  // a burning spill it then sinks through). Only the chunk it lands in is woken.
+  rainAt(x) {
+    const g = this.engine.grid;
+    if (x < 0 || x >= g.w) return;
+    const y = this._surfaceY(x) - 1;
+    if (y < 0) return;
+    g.setCell(x, y, Mat.WATER, 290, 0, false);
+  }
+
+  // Puddle in column x, on the street or on top of a prop: remove its top cell if the water
+  // stands deeper than maxDepth (run-off; 0 dries the puddle out). Returns true if a cell
+  // was removed.
+  drainPuddleAt(x, maxDepth) {
+    const g = this.engine.grid;
+    if (x < 0 || x >= g.w) return false;
+    const top = this._surfaceY(x);
+    let y = top;
+    while (y < g.h && g.material[g.index(x, y)] === Mat.WATER) y++;
+    if (y - top <= maxDepth) return false;
+    g.setCell(x, top, Mat.AIR, 293, 0, false);
+    return true;
+  }
+
+  // Water hitting a character: cool and put out their flames
+  douseEntity(entity, amount = 1) {
+    entity.fireAgent?.douse(amount);
+    if (entity.burning?.duration && !(entity.burnIntensity > 0.02)) {
+      entity.burning.duration = Math.min(entity.burning.duration, 0.3);
+    }
   }
 
   shatterMolotovAt(x, y) {
@@ -60,9 +281,10 @@ class FireSystem {
     for (let yy = y - R; yy <= y + R; yy++) {
       for (let xx = x - R; xx <= x + R; xx++) {
         if (!g.inBounds(xx, yy)) continue;
-        if (Math.random() < 0.08) g.material[g.index(xx, yy)] = Mat.GLASS;
+        if (this.rng() < 0.08 && !MaterialProps[g.material[g.index(xx, yy)]]?.solid) g.material[g.index(xx, yy)] = Mat.GLASS;
       }
     }
+    g.wakeRect(x - R, y - R, x + R, y + R);
     // Main pool at impact
     this.depositFuelCircle(x, y, 14, 630, 0.9);
 
@@ -82,7 +304,8 @@ class FireSystem {
               g.material[ii] = Mat.FUEL;
               g.fuel[ii] = Math.max(g.fuel[ii], 0.5);
               g.temp[ii] = Math.max(g.temp[ii], temp);
-              if (Math.random() < 0.5) g.burning[ii] = 1;
+              if (this.rng() < 0.5) g.burning[ii] = 1;
+              g.wake(nx, ny);
             }
           }
         }
@@ -90,15 +313,15 @@ class FireSystem {
       }
     };
     // Downward streaks (drips)
-    for (let i = 0; i < 6; i++) paintFuelOnSurface(x + (Math.random()-0.5)*10, y, (Math.random()-0.5)*0.3, 1, 14);
+    for (let i = 0; i < 6; i++) paintFuelOnSurface(x + (this.rng()-0.5)*10, y, (this.rng()-0.5)*0.3, 1, 14);
     // Side streaks to wet nearby legs/boots
-    for (let i = 0; i < 4; i++) paintFuelOnSurface(x + (Math.random()-0.5)*10, y+2, (Math.random()<0.5?-1:1), 0.3, 8);
+    for (let i = 0; i < 4; i++) paintFuelOnSurface(x + (this.rng()-0.5)*10, y+2, (this.rng()<0.5?-1:1), 0.3, 8);
 
     // Create a short vertical "splash/drip" trail downward to emulate spilled fuel
     const bottom = Math.min(GROUND_Y - 2, y + 24);
     for (let yy = y + 4; yy <= bottom; yy += 3) {
-      const jitter = (Math.random() - 0.5) * 4;
-      this.depositFuelCircle(x + (jitter|0), yy, 3 + (Math.random() < 0.5 ? 1 : 0), 600, 0.6);
+      const jitter = (this.rng() - 0.5) * 4;
+      this.depositFuelCircle(x + (jitter|0), yy, 3 + (this.rng() < 0.5 ? 1 : 0), 600, 0.6);
     }
   }
 
@@ -122,11 +345,11 @@ class FireSystem {
         else if (mat === Mat.HAIR) base = 0.9;
         else if (mat === Mat.SKIN) base = 0.25;
         const chance = base * (0.35 + 0.65 * falloff) * strength;
-        if (Math.random() < chance) {
+        if (this.rng() < chance) {
           agent.burning[i] = 1;
           agent.temp[i] = Math.max(agent.temp[i], 660);
           const cap = Math.min(1, p.fuelCapacity || 0.4);
-          agent.fuel[i] = Math.max(agent.fuel[i], cap * (0.6 + Math.random()*0.4));
+          agent.fuel[i] = Math.max(agent.fuel[i], cap * (0.6 + this.rng()*0.4));
         } else {
           // still heat up some pixels so they may ignite from neighbors shortly
           agent.temp[i] = Math.max(agent.temp[i], 560 * falloff);
@@ -139,7 +362,8 @@ class FireSystem {
   }
 
   step(dt, world) {
-    // Step environment
+    // Step environment (same wind the garments sway with)
+    this.engine.wind.x = wind.cellsPerSec();
     this.engine.step(dt);
 
     // Maintain/step entity agents and couple with environment
@@ -156,7 +380,7 @@ class FireSystem {
       ent.burnIntensity = agent.e.burnIntensity || 0;
       // Flame particles around burning entity (subtle)
       if (ent.burnIntensity > 0.05 && world?.particles?.spawnFlames) {
-        if ((Math.random() < 0.4)) {
+        if ((this.fxRng() < 0.4)) {
           world.particles.spawnFlames(Math.round(ent.x + 8), Math.round(ent.y + 6), 3, Math.min(1, ent.burnIntensity * 1.2), 3);
         }
       }
@@ -270,12 +494,13 @@ export function handleMolotovShatter(projectile, hitEntity, config, { firePatche
   const groundOnly = !hitEntity;
   if (groundOnly) {
     // Visual puddle and scorch decal
-    const baseR = 10 + Math.floor(Math.random()*6);
+    const fx = fireSystem.fxRng;
+    const baseR = 10 + Math.floor(fx()*6);
     particles?.spawnFuelPool?.(x, GROUND_Y - 1, baseR);
-    if (Math.random() < 0.5) particles?.spawnFuelPool?.(x + (Math.random()<0.5?-1:1)*(4+Math.random()*4), GROUND_Y - 1, Math.max(6, baseR-3));
+    if (fx() < 0.5) particles?.spawnFuelPool?.(x + (fx()<0.5?-1:1)*(4+fx()*4), GROUND_Y - 1, Math.max(6, baseR-3));
     particles?.spawnScorch?.(x, GROUND_Y - 1, baseR + 2);
   }
-  const lifeMs = groundOnly ? (2200 + Math.floor(Math.random()*800)) : (config.fireLifetime || 5000);
+  const lifeMs = groundOnly ? (2200 + Math.floor(fireSystem.rng()*800)) : (config.fireLifetime || 5000);
   const tickMs = Math.max(120, config.fireTickInterval || 500);
   const patch = {
     active: true,
@@ -294,8 +519,8 @@ export function handleMolotovShatter(projectile, hitEntity, config, { firePatche
       // Deposit some fuel/heat to maintain spread (global step happens elsewhere)
       fireSystem.depositFuelCircle(this.x, this.y, Math.max(6, Math.floor(radius * 0.25)), 580, 0.2);
       // Also paint a thin film around the shrinking ring to cover surfaces briefly
-      if (Math.random() < 0.3) {
-        const a = Math.random() * Math.PI * 2;
+      if (fireSystem.rng() < 0.3) {
+        const a = fireSystem.rng() * Math.PI * 2;
         const rx = this.x + Math.cos(a) * radius * 0.6;
         const ry = this.y + Math.sin(a) * radius * 0.3;
         const g = fireSystem.engine.grid;
@@ -305,17 +530,19 @@ export function handleMolotovShatter(projectile, hitEntity, config, { firePatche
           if (ny + 1 < g.h && g.material[bi] !== Mat.AIR) {
             const ii = g.index(nx, ny);
             g.material[ii] = Mat.FUEL; g.fuel[ii] = Math.max(g.fuel[ii], 0.4); g.temp[ii] = Math.max(g.temp[ii], 560);
-            if (Math.random() < 0.6) g.burning[ii] = 1;
+            if (fireSystem.rng() < 0.6) g.burning[ii] = 1;
+            g.wake(nx, ny);
           }
         }
       }
 
       // Fire visuals while the patch is alive
-      if (particles && Math.random() < 0.5) {
-        const fx = this.x + (Math.random()-0.5) * Math.max(6, radius*0.2);
-        const fy = this.y - 1 + (Math.random()-0.5) * 4;
+      const fxRng = fireSystem.fxRng;
+      if (particles && fxRng() < 0.5) {
+        const fx = this.x + (fxRng()-0.5) * Math.max(6, radius*0.2);
+        const fy = this.y - 1 + (fxRng()-0.5) * 4;
         particles.spawnFlames?.(fx|0, fy|0, 2 + (groundOnly?2:0), groundOnly ? 0.8 : 1.0, 3 + (groundOnly?1:0));
-        if (Math.random() < 0.15) particles.spawnSmoke?.(fx|0, fy|0, 1);
+        if (fxRng() < 0.15) particles.spawnSmoke?.(fx|0, fy|0, 1);
       }
 
       // Damage ticked, not every frame, to avoid instant kill
@@ -1,16 +1,53 @@
 /**
- * Goon AI: smoking idle loop, fear when aimed at, wounded behavior, run/cover, simple chatter.
- * Draw function uses drawGoon from sprites.js and handles small overlays like exhale puff.
+ * Goon AI: smoking idle loop, fear when aimed at, wounded behavior, simple chatter, a look
+ * round when something is off (perception.js: suspicious), and the firefight once alerted:
+ *
+ *   to_cover -> cover <-> peek / suppress      hold <-> shoot / suppress (no cover to use)
+ *                 |  \-> reload                  ^
+ *                 \----> flank -----------------/        any state -> retreat at low HP
+ *
+ * At most MAX_SHOOTERS goons shoot at once; the rest wait in cover, reload or flank.
+ * Shots go through combat.goonFire. Draw function uses drawGoon from sprites.js and handles
+ * small overlays like exhale puff.
  */
-import { GROUND_Y } from '../core/constants.js';
+import { GROUND_Y, WORLD_W } from '../core/constants.js';
+import { wind } from '../core/wind.js';
 import { drawGoon, drawSpeechBubble } from '../sprites.js';
+import { Perception } from './perception.js';
+import { TAKEDOWN_TIME } from './stealth.js';
+import { SURRENDER_TIME } from './arrest.js';
+
+const MAX_SHOOTERS = 2;
+const ENGAGE_RANGE = 170;     // px; shots are only taken at a player this close
+const DISENGAGE_RANGE = 220;  // px; further than this for CALM_DOWN s ends the fight
+const CALM_DOWN = 5;
+const COVER_SEARCH = 90;      // px a goon will run for cover
+const RETREAT_HP = 1;         // at or below this (and hurt) a goon runs for it
+const FLANK_OFFSET = 44;      // px behind the player a flanker makes for
+const CALLOUT_GAP = 3;        // s between callouts, so one alarm isn't shouted down the street
+const INVESTIGATE_NEAR = 20;  // px; a suspicious goon walks up to what he heard until this close
+const SHOOTING = ['peek', 'shoot', 'suppress'];
+const CROUCHED = ['cover', 'reload'];
+// drawGoon poses of the fight states
+const POSES = { to_cover: 'run', flank: 'run', retreat: 'run', hold: 'aim', peek: 'aim', shoot: 'aim', suppress: 'aim' };
+const BARKS = {
+  flank: ['Flank him!', 'Going round!'],
+  suppress: ['Keep his head down!', 'Pin him!'],
+  reload: ['Reloading!', 'Cover me!'],
+  retreat: ['I\'m out!', 'Not worth it!'],
+  callout: ['Over here!', 'It\'s the cop!', 'Get him, boys!'],
+  surrender: ['Don\'t shoot!', 'Okay, okay!', 'I give up!'],
+};
 
 export class GoonSystem {
-  constructor(rng, dialogue, particles, covers) {
+  /** @param combat CombatSystem; goon shots go through its goonFire */
+  constructor(rng, dialogue, particles, covers, combat) {
     this.rng = rng;
     this.dialogue = dialogue;
     this.particles = particles;
     this.covers = covers;
+    this.combat = combat;
+    this.perception = new Perception(covers);
     this.list = [];
   }
 
@@ -28,8 +65,56 @@ export class GoonSystem {
     return g;
   }
 
+  /** Whether Harry is ducked out of sight of the goons looking his way (perception.js). */
+  hides(player) {
+    return this.perception.hidden(player, this.list);
+  }
+
+  /** A sound at `x` (see perception.SOUNDS); goons in earshot take notice. */
+  hear(x, kind, tier = 1) {
+    return this.perception.hear(this.list, x, kind, tier);
+  }
+
+  /** Harry takes `g` down from behind: 'choke' (silent) or 'whip' (heard close by). */
+  takedown(g, kind, player) {
+    g.state = 'takedown';
+    g.takedownKind = kind;
+    g.takedownT = 0;
+    g.dir = player.dir;
+    g.coverTarget = null;
+    player.x = g.x - player.dir * 9;
+    player.busyT = TAKEDOWN_TIME[kind];
+    if (kind === 'whip') this.hear(g.x + 8, 'whip');
+  }
+
+  /** `g` gives up on Harry's order: drops his gun, kneels, then stays cuffed (arrest.js). */
+  arrest(g, player) {
+    g.state = 'surrender';
+    g.surrenderT = 0;
+    g.alive = false;
+    g.combat = false;
+    g.coverTarget = null;
+    g.fear = 0;
+    g.dir = Math.sign((player.x + 8) - (g.x + 8)) || g.dir;
+    g.talkCooldown = 0;
+    this._bark(g, 'surrender');
+  }
+
+  provoke(g, player) {
+    if (g.combat || !g.alive || g.state === 'dying') return;
+    g.combat = true;
+    g.calmT = 0;
+    g.fear = 0;
+    this.perception.raise(g, 1);
+    if (g.state !== 'wounded') this._seekCover(g, player);
+  }
+
   update(dt, player, t) {
     let nearest = null, nearestD = 1e9;
+    let shooters = this.list.filter(g => g.alive && g.combat && SHOOTING.includes(g.state)).length;
+    let flanking = this.list.some(g => g.alive && g.state === 'flank');
+    const fighting = this.list.filter(g => g.alive && g.combat).length;
+    let calledOut = this.list.some(g => g.alive && g.calloutT > 0);
     for (const g of this.list) {
       // death anim
       if (g.state === 'dying') {
@@ -47,18 +132,33 @@ export class GoonSystem {
         }
         continue;
       }
+      // taken down from behind: struggle, then out cold
+      if (g.state === 'takedown') {
+        g.takedownT += dt;
+        if (g.takedownT >= TAKEDOWN_TIME[g.takedownKind]) { g.state = 'out'; g.alive = false; }
+        continue;
+      }
+      // hands up: the gun drops, he kneels and is cuffed
+      if (g.state === 'surrender') {
+        g.surrenderT += dt;
+        if (g.surrenderT >= SURRENDER_TIME) g.state = 'cuffed';
+        continue;
+      }
       if (!g.alive) continue;
 
       const d = Math.abs((g.x+8) - (player.x+8));
       if (d < nearestD) { nearestD = d; nearest = g; }
 
-      // update limb boxes
-      g.headBox.x = g.x + 5; g.headBox.y = g.y + 2;
-      g.leftArmBox.x = g.x + 1; g.leftArmBox.y = g.y + 8;
-      g.rightArmBox.x = g.x + 11; g.rightArmBox.y = g.y + 8;
-      g.bodyBox.x = g.x + 3; g.bodyBox.y = g.y + 7;
+      // update limb boxes (a crouch lowers the upper body)
+      const cy = CROUCHED.includes(g.state) ? 3 : 0;
+      g.headBox.x = g.x + 5; g.headBox.y = g.y + 2 + cy;
+      g.leftArmBox.x = g.x + 1; g.leftArmBox.y = g.y + 8 + cy;
+      g.rightArmBox.x = g.x + 11; g.rightArmBox.y = g.y + 8 + cy;
+      g.bodyBox.x = g.x + 3; g.bodyBox.y = g.y + 7 + cy;
 
       g.phase += dt * 0.5;
+      g.alertFlash = Math.max(0, (g.alertFlash || 0) - dt);
+      g.calloutT = Math.max(0, (g.calloutT || 0) - dt);
 
       // burning jitter handled by caller (status/burning) if present
 
@@ -73,16 +173,21 @@ export class GoonSystem {
 
       // chatter (only nearest)
       g.talkCooldown = (g.talkCooldown || 0) - dt;
-      if (nearest === g && nearestD < 34 && g.talkCooldown <= 0 && g.state !== 'wounded') {
+      if (nearest === g && nearestD < 34 && g.talkCooldown <= 0 && g.state !== 'wounded' && !g.combat) {
         const lines = ['That a .44?','Easy, cop...','Nice coat.','Beat it, hero.','You lost?'];
         const text = lines[Math.floor(this.rng() * lines.length)];
         this.dialogue.say(text, g.x + 2, g.y - 2, 1.4, { speaker: 'npc', entity: g, tag: 'goon' });
         g.talkCooldown = 3 + this.rng() * 2;
       }
 
-      // fear when aimed at
-      const inFront = (player.dir === 1 && player.x < g.x) || (player.dir === -1 && player.x > g.x);
-      if (player.aiming && inFront && d < 80 && g.state !== 'wounded') {
+      // eyes and ears
+      const saw = g.state === 'wounded' ? null : this.perception.update(g, dt, player, this.list);
+
+      // fear when aimed at (he won't work himself up past suspicious while backing off);
+      // once scared he minds the gun even with his back to it
+      const aimedAt = player.aiming && Math.sign(g.x - player.x) === player.dir;
+      if ((saw === 'aimed' || (g.state === 'scared' && aimedAt)) && d < (g.fearRange ?? 80) && g.state !== 'wounded' && !g.combat) {
+        this.perception.settle(g);
         g.state = 'scared';
         g.fear = Math.min(1, (g.fear || 0) + dt * 2);
         const away = Math.sign(g.x - player.x);
@@ -93,15 +198,53 @@ export class GoonSystem {
         if (g.state === 'scared' && g.fear <= 0.05) g.state = 'smoke_hold';
       }
 
-      // aggro fireback timer is handled in combat module typically; you can set g.aggroTimer in response to shots
+      // alerted -> shout it down the street and join the fight
+      if (g.alertLevel === 'alerted' && !g.combat && g.state !== 'scared' && g.state !== 'wounded') {
+        g.alertFlash = 1;
+        if (!calledOut) {
+          calledOut = true;
+          g.calloutT = CALLOUT_GAP;
+          g.talkCooldown = 0;
+          this._bark(g, 'callout');
+          this.hear(g.x + 8, 'callout');
+        }
+        this.provoke(g, player);
+      }
+
+      // suspicious -> stop, look, go and see what the noise was
+      if (!g.combat && g.state !== 'scared' && g.state !== 'wounded') {
+        if (g.alertLevel === 'suspicious') {
+          g.state = 'suspicious';
+          const dx = (g.lastKnownX ?? g.x + 8) - (g.x + 8);
+          if (dx) g.dir = Math.sign(dx);
+          if (g.investigate && Math.abs(dx) > INVESTIGATE_NEAR) g.x += Math.sign(dx) * 16 * dt;
+        } else if (g.state === 'suspicious') {
+          g.state = 'smoke_hold';
+          g.investigate = false;
+        }
+      }
+
+      // a hit starts the fight; badly hurt -> run for it
+      if (g.state === 'wounded') {
+        if (!g.combat) this.perception.raise(g, 1);
+        g.combat = true;
+        if (g.hp <= RETREAT_HP && g.hp < g.maxHp) {
+          this._enter(g, 'retreat');
+          this._bark(g, 'retreat');
+        }
+      }
 
       // wounded -> run to cover
       if (g.state === 'wounded') {
         g.screamTimer = (g.screamTimer || 0) - dt;
-        if (g.screamTimer <= 0) g.screamTimer = 1.2;
+        if (g.screamTimer <= 0) {
+          g.screamTimer = 1.2;
+          this.hear(g.x + 8, 'scream');
+        }
         if (!g.coverTarget) {
           let best = null, bestD = 1e9;
           for (const c of this.covers) {
+            if ((c.integrity ?? 1) < 0.25) continue; // burnt down
             const cx = c.x + c.w/2;
             const dd = Math.abs(cx - (g.x+8));
             if (dd < bestD) { bestD = dd; best = c; }
@@ -112,21 +255,194 @@ export class GoonSystem {
           const targetX = g.coverTarget.x + (g.x < g.coverTarget.x ? -2 : g.coverTarget.w+2);
           g.dir = targetX > g.x ? 1 : -1;
           g.x += Math.sign(targetX - g.x) * 30 * dt;
-          if (Math.abs(targetX - g.x) < 2) g.state = 'cover';
+          if (Math.abs(targetX - g.x) < 2) this._enter(g, 'cover', 0.6);
+        } else {
+          this._enter(g, 'hold', 0.4);
         }
+        continue;
       }
 
-      if (g.state === 'run') {
-        g.x += (g.dir===1?40:-40) * dt;
+      if (g.combat) {
+        const before = g.state;
+        this._fight(g, dt, player, { shooters, flanking, fighting });
+        if (SHOOTING.includes(g.state) && !SHOOTING.includes(before)) shooters++;
+        if (!SHOOTING.includes(g.state) && SHOOTING.includes(before)) shooters--;
+        if (g.state === 'flank') flanking = true;
       }
     }
   }
 
+  // One step of a provoked goon's state machine
+  _fight(g, dt, player, { shooters, flanking, fighting }) {
+    const px = player.x + 8, gx = g.x + 8;
+    const dist = Math.abs(px - gx);
+    const toPlayer = px > gx ? 1 : -1;
+    g.stateT -= dt;
+
+    // Lose interest once the player is dead or long gone
+    g.calmT = (!player.alive || dist > DISENGAGE_RANGE) ? g.calmT + dt : 0;
+    if (g.calmT > CALM_DOWN && g.state !== 'retreat') {
+      g.combat = false;
+      g.coverTarget = null;
+      g.state = 'smoke_hold';
+      this.perception.settle(g);
+      return;
+    }
+
+    switch (g.state) {
+      case 'to_cover': {
+        const c = g.coverTarget;
+        if (!c || (c.integrity ?? 1) < 0.25 || g.stateT <= 0) { this._seekCover(g, player); break; }
+        const targetX = this._hideX(c, player, g.coverSlot);
+        g.dir = targetX > g.x ? 1 : -1;
+        g.x += Math.sign(targetX - g.x) * Math.min(42 * dt, Math.abs(targetX - g.x));
+        if (Math.abs(targetX - g.x) < 1) this._enter(g, 'cover', 0.4 + this.rng() * 0.6);
+        break;
+      }
+      case 'cover':
+      case 'hold': {
+        g.dir = toPlayer;
+        // Cover burnt down or the player got round it: find another spot
+        if (g.state === 'cover' && (!g.coverTarget || (g.coverTarget.integrity ?? 1) < 0.25 || !this._shields(g.coverTarget, g, player))) {
+          this._seekCover(g, player);
+          break;
+        }
+        if (g.stateT > 0) break;
+        if (g.ammo <= 0) {
+          this._enter(g, 'reload', 1.4);
+          this._bark(g, 'reload');
+        } else if (shooters < MAX_SHOOTERS && dist < ENGAGE_RANGE && player.alive) {
+          // Take a shot: a burst to pin a ducking player, else a couple of aimed rounds
+          const pin = player.crouch;
+          this._enter(g, pin ? 'suppress' : (g.state === 'cover' ? 'peek' : 'shoot'), 0);
+          g.shots = Math.min(g.ammo, pin ? 3 + Math.floor(this.rng() * 2) : 1 + Math.floor(this.rng() * 2));
+          g.shotT = pin ? 0.2 : 0.5 + this.rng() * 0.3; // aiming: the moment to drop him
+          if (pin) this._bark(g, 'suppress');
+        } else if (!flanking && fighting > 1 && player.alive && this.rng() < 0.4) {
+          this._enter(g, 'flank', 5);
+          this._bark(g, 'flank');
+        } else {
+          g.stateT = 0.5 + this.rng() * 0.6;
+        }
+        break;
+      }
+      case 'peek':
+      case 'shoot':
+      case 'suppress': {
+        g.dir = toPlayer;
+        g.shotT -= dt;
+        if (g.shotT > 0) break;
+        if (g.shots > 0 && g.ammo > 0 && dist < ENGAGE_RANGE && player.alive) {
+          // Bursts spray; aimed rounds go wide now and then
+          const wild = g.state === 'suppress' || this.rng() < 0.3;
+          this._fire(g, wild ? (this.rng() - 0.5) * 20 : 0);
+          g.shots--;
+          g.shotT = g.state === 'suppress' ? 0.16 : 0.45;
+        } else if (g.ammo <= 0) {
+          this._enter(g, 'reload', 1.4);
+          this._bark(g, 'reload');
+        } else {
+          this._enter(g, g.coverTarget ? 'cover' : 'hold', 0.8 + this.rng() * 0.8);
+        }
+        break;
+      }
+      case 'reload':
+        if (g.stateT <= 0) {
+          g.ammo = g.clip;
+          this._enter(g, g.coverTarget ? 'cover' : 'hold', 0.3);
+        }
+        break;
+      case 'flank': {
+        // Circle round behind the player, then fight from the open
+        const targetX = Math.max(0, Math.min(WORLD_W - 16, player.x - player.dir * FLANK_OFFSET));
+        g.dir = targetX > g.x ? 1 : -1;
+        g.x += Math.sign(targetX - g.x) * Math.min(44 * dt, Math.abs(targetX - g.x));
+        if (Math.abs(targetX - g.x) < 3 || g.stateT <= 0 || !player.alive) {
+          g.coverTarget = null;
+          this._enter(g, 'hold', 0.2);
+        }
+        break;
+      }
+      case 'retreat': {
+        const away = -toPlayer;
+        g.dir = away;
+        g.x = Math.max(0, Math.min(WORLD_W - 16, g.x + away * 46 * dt));
+        const cornered = g.x <= 0 || g.x >= WORLD_W - 16;
+        if (dist > ENGAGE_RANGE || cornered) {
+          g.combat = false;
+          g.coverTarget = null;
+          g.state = 'scared';
+          g.fear = 1;
+          this.perception.settle(g);
+        }
+        break;
+      }
+      default:
+        // Provoked mid-smoke or mid-scare
+        this._seekCover(g, player);
+    }
+  }
+
+  _enter(g, state, time = 0) {
+    g.state = state;
+    g.stateT = time;
+  }
+
+  _fire(g, vy) {
+    const mx = g.dir === 1 ? g.x + 16 : g.x - 2;
+    const my = g.y + 9;
+    this.combat.goonFire(mx, my, g.dir, vy);
+    this.particles.spawnMuzzle(mx, my, g.dir, 0.8);
+    this.particles.spawnSmoke(mx, my, g.dir);
+    g.ammo--;
+    this.hear(mx, 'gunshot');
+  }
+
+  // Where a goon stands to have cover `c` between him and the player; a second goon
+  // (slot 1) crouches just behind the first
+  _hideX(c, player, slot = 0) {
+    return (player.x + 8) > c.x + c.w / 2 ? c.x - 12 - slot * 7 : c.x + c.w - 4 + slot * 7;
+  }
+
+  _shields(c, g, player) {
+    const mid = c.x + c.w / 2;
+    return Math.sign((g.x + 8) - mid) !== Math.sign((player.x + 8) - mid);
+  }
+
+  // Closest standing cover within reach, with room, that the player isn't already on top of
+  _seekCover(g, player) {
+    let best = null, bestD = COVER_SEARCH, bestSlot = 0;
+    for (const c of this.covers) {
+      if ((c.integrity ?? 1) < 0.25) continue;
+      const slot = this.list.filter(o => o !== g && o.alive && o.combat && o.coverTarget === c).length;
+      if (slot >= 2) continue;
+      const x = this._hideX(c, player, slot);
+      if (Math.abs((x + 8) - (player.x + 8)) < 24) continue;
+      const dd = Math.abs(x - g.x);
+      if (dd < bestD) { bestD = dd; best = c; bestSlot = slot; }
+    }
+    g.coverTarget = best;
+    g.coverSlot = bestSlot;
+    if (best) this._enter(g, 'to_cover', 4);
+    else this._enter(g, 'hold', 0.3 + this.rng() * 0.4);
+  }
+
+  _bark(g, kind) {
+    if ((g.talkCooldown || 0) > 0) return;
+    const lines = BARKS[kind];
+    this.dialogue.say(lines[Math.floor(this.rng() * lines.length)], g.x + 2, g.y - 2, 1.2, { speaker: 'npc', entity: g, tag: 'goon' });
+    g.talkCooldown = 2.5;
+  }
+
   draw(ctx, cameraX, t) {
     for (const g of this.list) {
-      const goonOpts = { windSway: Math.sin(t * 0.35) * 1.0, deathT: (g.state==='dead'?1:(g.deathT||0)) };
+      const goonOpts = {
+        windSway: wind.x, deathT: (g.state==='dead'?1:(g.deathT||0)),
+        takedownT: g.state === 'takedown' ? g.takedownT / TAKEDOWN_TIME[g.takedownKind] : 0,
+        surrenderT: g.state === 'surrender' ? g.surrenderT / SURRENDER_TIME : 1,
+      };
       if (g.state === 'scared') ctx.globalAlpha = 0.9;
-      drawGoon(ctx, Math.round(g.x - cameraX), Math.round(g.y), 1, g.dir, g.state, g.phase, g.woundedArm, goonOpts);
+      drawGoon(ctx, Math.round(g.x - cameraX), Math.round(g.y), 1, g.dir, POSES[g.state] ?? g.state, g.phase, g.woundedArm, goonOpts);
       ctx.globalAlpha = 1;
       if (g.state === 'smoke_exhale' && Math.floor(t*2)%2===0) {
         ctx.globalAlpha = 0.8;
@@ -139,7 +455,28 @@ export class GoonSystem {
       }
       if (g.state === 'wounded' && g.screamTimer > 0) {
         drawSpeechBubble(ctx, 'HELP!', g.x - cameraX + 2, g.y - 2, 1, { speaker: 'npc', maxWidth: 192 - 16 });
+      } else if (g.alive && (g.state === 'suspicious' || g.alertFlash > 0)) {
+        drawAlertMark(ctx, Math.round(g.x - cameraX) + 7, Math.round(g.y) - 9, g.state === 'suspicious' ? '?' : '!');
+      }
+      // Detection meter: how close an unaware or suspicious goon is to raising the alarm
+      if (g.alive && !g.combat && g.awareness > 0.02 && g.alertLevel !== 'alerted') {
+        const mx = Math.round(g.x - cameraX) + 4, my = Math.round(g.y) - 3;
+        ctx.fillStyle = 'rgba(0,0,0,0.6)';
+        ctx.fillRect(mx - 1, my - 1, 10, 3);
+        ctx.fillStyle = g.alertLevel === 'suspicious' ? '#ff9a3d' : '#ffd27a';
+        ctx.fillRect(mx, my, Math.max(1, Math.round(8 * g.awareness)), 1);
       }
     }
   }
-}
\ No newline at end of file
+}
+
+// 1px-stroke '?' or '!' over a goon's head (x, y: top left, view px)
+function drawAlertMark(ctx, x, y, mark) {
+  ctx.fillStyle = mark === '!' ? '#ff6a4d' : '#ffd27a';
+  if (mark === '!') {
+    ctx.fillRect(x + 1, y, 1, 3);
+  } else {
+    ctx.fillRect(x, y, 3, 1); ctx.fillRect(x + 2, y + 1, 1, 1); ctx.fillRect(x + 1, y + 2, 1, 1);
+  }
+  ctx.fillRect(x + 1, y + 4, 1, 1);
+}
@@ -8,14 +8,19 @@ export class Journal {
   constructor() {
     this.notes = [];
     this.open = false;
+    this.archive = []; // closed cases [{ title, notes }] (the campaign's list)
+    this.page = 0;     // 0 = current case, n = n-th most recently closed
   }
 
   add(note) {
     this.notes.push(note);
   }
 
+  // Closed -> current notes -> each closed case, newest first -> closed
   toggle() {
-    this.open = !this.open;
+    if (!this.open) { this.open = true; this.page = 0; }
+    else if (this.page < this.archive.length) this.page++;
+    else this.open = false;
   }
 
   draw(ctx) {
@@ -38,12 +43,15 @@ export class Journal {
       ctx.font = oldFont;
     };
 
-    drawTextHD('Case Notes', 12, 30, 7);
-    if (this.notes.length === 0) {
+    const closed = this.page > 0 ? this.archive[this.archive.length - this.page] : null;
+    const notes = closed ? closed.notes : this.notes;
+    drawTextHD(closed ? 'Closed: ' + closed.title : 'Case Notes', 12, 30, 7);
+    if (this.archive.length && this.page < this.archive.length) drawTextHD('again: older cases', VW - 64, 30, 5);
+    if (notes.length === 0) {
       drawTextHD('No notes yet. Talk to people, investigate items.', 12, 42, 6);
     } else {
       let y = 42;
-      for (const note of this.notes.slice(-6)) {
+      for (const note of notes.slice(-6)) {
         drawTextHD('- ' + note, 12, y, 6);
         y += 9;
       }
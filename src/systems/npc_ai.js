@@ -1,14 +1,42 @@
 /**
  * NPC system: fear, flee, calm, idle idles and special behaviors (oldman yell, kid ball, hotgirl dance).
+ * In the rain, idle bystanders walk over to the nearest standing cover and wait it out.
  */
 import { WORLD_W, GROUND_Y } from '../core/constants.js';
+import { wind } from '../core/wind.js';
 import { drawNPC, drawSpeechBubble } from '../sprites.js';
 
+// Rain level (0..1) that sends bystanders to shelter; they come out below half of it
+const SHELTER_RAIN = 0.25;
+const SHELTER_RANGE = 220;
+
 export class NPCSystem {
-  constructor(dialogue) {
+  constructor(dialogue, rng = Math.random) {
     this.dialogue = dialogue;
+    this.rng = rng;
     this.list = [];
     this.lastGunshotTime = -1000; // seconds
+    this.rain = 0;
+    this.shelters = [];
+  }
+
+  // Covers bystanders can huddle by when it rains (burnt-down ones are skipped)
+  setShelters(shelters) {
+    this.shelters = shelters;
+  }
+
+  setRain(level) {
+    this.rain = level;
+  }
+
+  _nearestShelter(n) {
+    let best = null, bestD = SHELTER_RANGE;
+    for (const s of this.shelters) {
+      if ((s.integrity ?? 1) < 0.25) continue;
+      const d = Math.abs((s.x + s.w / 2) - (n.x + 8));
+      if (d < bestD) { bestD = d; best = s; }
+    }
+    return best;
   }
 
   setNPCs(npcs) {
@@ -29,8 +57,8 @@ export class NPCSystem {
       if (burning && n.state !== 'down' && n.state !== 'dying') {
         if (n.state !== 'burning' && n.state !== 'panic_run') {
           n.state = 'panic_run';
-          n._panicDir = (Math.random() < 0.5 ? -1 : 1);
-          n._panicSwap = 0.35 + Math.random() * 0.35; // seconds before swapping direction
+          n._panicDir = (this.rng() < 0.5 ? -1 : 1);
+          n._panicSwap = 0.35 + this.rng() * 0.35; // seconds before swapping direction
           n._panicArms = true; // hint for flailing pose in draw
         }
       }
@@ -60,7 +88,7 @@ export class NPCSystem {
         n._panicSwap -= dt;
         if (n._panicSwap <= 0) {
           n._panicDir = -(n._panicDir || 1);
-          n._panicSwap = 0.25 + Math.random() * 0.35;
+          n._panicSwap = 0.25 + this.rng() * 0.35;
         }
         // bounce at edges
         if (n.x <= 0 || n.x >= WORLD_W - 16) n._panicDir = -(n._panicDir || 1);
@@ -92,6 +120,22 @@ export class NPCSystem {
 
       // post-calm clue auto-nudge handled by orchestrator via proximity if desired
 
+      // Rain: head for shelter, come back out once it eases off
+      if (this.rain > SHELTER_RAIN && (n.state === 'idle' || n.state === 'calm' || n.state === 'dance')) {
+        const s = this._nearestShelter(n);
+        if (s) { n.state = 'shelter'; n._shelter = s; }
+      } else if (n.state === 'shelter' && (this.rain < SHELTER_RAIN * 0.5 || (n._shelter?.integrity ?? 1) < 0.25)) {
+        n.state = 'idle';
+        n._shelter = null;
+      }
+      if (n.state === 'shelter') {
+        const d = (n._shelter.x + n._shelter.w / 2 - 8) - n.x;
+        if (Math.abs(d) > 1) {
+          n.dir = Math.sign(d);
+          n.x += Math.sign(d) * Math.min(Math.abs(d), 26 * dt);
+        }
+      }
+
       // idle animations
       n.idleT = (n.idleT || 0) + dt;
       n._sy = 0; n._sx = 0;
@@ -146,7 +190,7 @@ export class NPCSystem {
     for (const n of this.list) {
       const ox = Math.round((n._sx || 0));
       const oy = Math.round((n._sy || 0));
-  const npcOpts = { windSway: Math.sin(t * 0.35) * 1.0, deathT: (n.state==='down'?1:(n.deathT||0)) };
+  const npcOpts = { windSway: wind.x, deathT: (n.state==='down'?1:(n.deathT||0)) };
   // hand-flailing visual hint during panic_run
   npcOpts.flail = (n.state === 'panic_run');
       if (n.type === 'hotgirl') {
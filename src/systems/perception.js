@@ -0,0 +1,152 @@
+/**
+ * Goon perception: what a goon sees (a cone ahead of him, cut off by cover) and hears
+ * (gunshots by damage tier, shattering Molotovs, blasts, screams and other goons' callouts).
+ *
+ * Each goon keeps an `awareness` from 0 to 1 that sight and sound push up and time lets
+ * down again; its `alertLevel` follows from it: unaware, suspicious (stops, turns and goes
+ * to look) or alerted (the fight is on — GoonSystem takes it from there). `lastKnownX` is
+ * where the goon last saw or heard something; `investigate` is set when it was a sound.
+ */
+import { aabb } from '../core/aabb.js';
+
+const SUSPICIOUS_AT = 0.3;
+
+const VIEW_RANGE = 110;    // px
+const VIEW_SLOPE = 0.8;    // cone half-angle as rise over run (~40 degrees)
+const SIGHT_RATE = 0.35;   // awareness/s from seeing the cop about
+const SIGHT_CAP = 0.6;     // ...which only makes a goon suspicious
+const AIMED_RATE = 1.2;    // awareness/s from seeing a gun pointed his way
+const DECAY = 0.12;        // awareness/s lost with nothing to see or hear
+const BODY_RATE = 0.8;     // awareness/s from a man lying in the street
+const DOWN = ['dead', 'out', 'cuffed'];
+
+// Hearing radius (px) and how much awareness a sound is worth; gunshots by damage tier
+export const SOUNDS = {
+  gunshot: { radius: [80, 120, 160], loudness: 1 },
+  blast: { radius: 150, loudness: 1 },
+  scream: { radius: 90, loudness: 1 },
+  callout: { radius: 110, loudness: 1 },
+  shatter: { radius: 100, loudness: 0.7 },
+  whip: { radius: 50, loudness: 0.5 },
+  landing: { radius: 56, loudness: 0.3 },
+  steps: { radius: 40, loudness: 0.25 },
+  sneak: { radius: 12, loudness: 0.05 },
+};
+
+export class Perception {
+  constructor(covers) {
+    this.covers = covers;
+  }
+
+  /** Whether goon `g` can see a point `target` ({ x, y }, world px). */
+  canSee(g, target) {
+    const eyeX = g.x + 8 + g.dir * 3, eyeY = g.y + 4;
+    const dx = (target.x - eyeX) * g.dir;
+    if (dx <= 0 || dx > VIEW_RANGE || Math.abs(target.y - eyeY) > 8 + dx * VIEW_SLOPE) return false;
+    // Cover in between hides what is below its top edge
+    return !this.covers.some(c => (c.integrity ?? 1) >= 0.25 && this._crosses(eyeX, eyeY, target.x, target.y, c));
+  }
+
+  // Does the sight line cross cover rect `c`? (sampled every 2 px)
+  _crosses(x0, y0, x1, y1, c) {
+    const n = Math.ceil(Math.abs(x1 - x0) / 2);
+    for (let i = 1; i < n; i++) {
+      const t = i / n;
+      if (aabb({ x: x0 + (x1 - x0) * t, y: y0 + (y1 - y0) * t, w: 1, h: 1 }, c)) return true;
+    }
+    return false;
+  }
+
+  /** Where on the player a goon looks: his head, or his back when he ducks. */
+  playerMark(player) {
+    return { x: player.x + 8, y: player.y + (player.crouch ? 9 : 4) };
+  }
+
+  /**
+   * Crouched Harry with cover between him and every goon in range facing his way: none of
+   * them can see him, though they would if he stood or stepped out. Goons who can't look
+   * (wounded, down) and those with their backs to him don't count.
+   */
+  hidden(player, goons) {
+    if (!player.alive || !player.crouch) return false;
+    const mark = this.playerMark(player);
+    const facing = goons.filter(g => {
+      const dx = (mark.x - (g.x + 8)) * g.dir;
+      return g.alive && g.state !== 'wounded' && dx > 0 && dx <= VIEW_RANGE;
+    });
+    return facing.length > 0 && !facing.some(g => this.canSee(g, mark));
+  }
+
+  /**
+   * Goons within earshot of a sound at `x` take notice.
+   * @param {keyof SOUNDS} kind
+   * @param {number} tier damage tier (gunshots)
+   * @returns the goons it reached
+   */
+  hear(goons, x, kind, tier = 1) {
+    const s = SOUNDS[kind];
+    const radius = Array.isArray(s.radius) ? s.radius[Math.max(0, Math.min(s.radius.length - 1, tier - 1))] : s.radius;
+    const heard = [];
+    for (const g of goons) {
+      if (!g.alive || g.state === 'dying') continue;
+      if (Math.abs((g.x + 8) - x) > radius) continue;
+      this.raise(g, s.loudness);
+      g.lastKnownX = x;
+      g.investigate = true;
+      heard.push(g);
+    }
+    return heard;
+  }
+
+  /**
+   * One step of a goon's eyes and memory. Returns what he saw: 'aimed' (a gun on him),
+   * 'body' (a goon hurt, taken down, arrested or lying in the street), 'player' or null.
+   * A crouching player is half as quick to spot.
+   */
+  update(g, dt, player, goons) {
+    let saw = null;
+    const mark = this.playerMark(player);
+    if (player.alive && this.canSee(g, mark)) {
+      const aimedAt = player.aiming && Math.sign(g.x - player.x) === player.dir;
+      saw = aimedAt ? 'aimed' : 'player';
+      g.lastKnownX = mark.x;
+      g.investigate = false;
+      const rate = player.crouch ? 0.5 : 1;
+      if (aimedAt) this.raise(g, AIMED_RATE * rate * dt);
+      else if (g.awareness < SIGHT_CAP) this.raise(g, Math.min(SIGHT_RATE * rate * dt, SIGHT_CAP - g.awareness));
+    }
+    for (const o of goons) {
+      if (o === g) continue;
+      const struck = o.state === 'dying' || o.state === 'wounded' || o.state === 'takedown' || o.state === 'surrender';
+      // A body (or a cuffed man) raises the alarm once (`found`), then it's just part of the street
+      if (!struck && (o.found || !DOWN.includes(o.state))) continue;
+      if (this.canSee(g, { x: o.x + 8, y: o.y + (struck ? 6 : o.state === 'cuffed' ? 9 : 14) })) {
+        saw = 'body';
+        g.lastKnownX = o.x + 8;
+        this.raise(g, struck ? 1 : BODY_RATE * dt);
+        if (!struck && g.alertLevel === 'alerted') o.found = true;
+      }
+    }
+    // Alerted sticks until the fight is over (settle)
+    if (!saw && g.alertLevel !== 'alerted') {
+      g.awareness = Math.max(0, g.awareness - DECAY * dt);
+      this._level(g);
+    }
+    return saw;
+  }
+
+  raise(g, amount) {
+    g.awareness = Math.min(1, g.awareness + amount);
+    this._level(g);
+  }
+
+  /** Back down to suspicious (a fight that fizzled out). */
+  settle(g) {
+    g.awareness = Math.min(g.awareness, SIGHT_CAP);
+    this._level(g);
+  }
+
+  _level(g) {
+    g.alertLevel = g.awareness >= 1 ? 'alerted' : g.awareness >= SUSPICIOUS_AT ? 'suspicious' : 'unaware';
+  }
+}
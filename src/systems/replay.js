@@ -0,0 +1,95 @@
+/**
+ * Input replays: a recording is the starting save game, the gameplay seed and, per fixed
+ * step, the held actions, the one-shot action presses and dt. Actions rather than keys, so
+ * a replay plays the same whatever the controls are bound to. Playing it back from the same save and
+ * seed steps the sim through the same states, so a bug report can carry a replay instead of
+ * repro steps. The final state checksum tells whether a playback stayed in sync.
+ *
+ * Replay JSON: { version, seed, t0, save, frames: [{ dt, k?, p?, a? }], outcome, checksum }
+ * where `k` (held actions) is only written when it changes, `p` (presses) when non-empty
+ * and `a` (analog depth per action, from a gamepad) when there is any.
+ */
+export const REPLAY_VERSION = 2;
+export const REPLAY_DT = 1 / 60; // fixed step while recording or playing back
+
+export class ReplayRecorder {
+  /** @param start { seed, t0, save } the run state the recording starts from */
+  constructor({ seed, t0, save }) {
+    this.data = { version: REPLAY_VERSION, seed, t0, save, frames: [], outcome: null, checksum: null };
+    this._lastKeys = '';
+  }
+
+  get frameCount() {
+    return this.data.frames.length;
+  }
+
+  record(dt, held, pressed, analog = {}) {
+    const f = { dt };
+    const k = [...held].sort();
+    const ks = k.join('\n');
+    if (ks !== this._lastKeys) { f.k = k; this._lastKeys = ks; }
+    if (pressed.size) f.p = [...pressed];
+    if (Object.keys(analog).length) f.a = { ...analog };
+    this.data.frames.push(f);
+  }
+
+  /** Close the recording with how the run ended ('victory' | 'death' | null) and its checksum. */
+  finish(outcome, checksum) {
+    this.data.outcome = outcome;
+    this.data.checksum = checksum;
+    return this.data;
+  }
+}
+
+export class ReplayPlayer {
+  constructor(data) {
+    if (!data || data.version !== REPLAY_VERSION) throw new Error('unsupported replay version ' + data?.version);
+    this.data = data;
+    this.index = 0;
+    this._keys = []; // held actions as of the last frame that listed them
+  }
+
+  get done() {
+    return this.index >= this.data.frames.length;
+  }
+
+  /** Next frame as { dt, held, pressed, analog }, or null past the end. */
+  next() {
+    if (this.done) return null;
+    const f = this.data.frames[this.index++];
+    if (f.k) this._keys = f.k;
+    return { dt: f.dt, held: this._keys, pressed: f.p || [], analog: f.a || {} };
+  }
+}
+
+// FNV-1a over the state's JSON (minus the wall-clock save time)
+export function stateChecksum(save) {
+  const s = JSON.stringify({ ...save, savedAt: 0 });
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+const LAST_KEY = 'dirtyharry.replay.last';
+
+/** Keep a replay in localStorage as the last recording. Returns { ok } or { ok: false, error }. */
+export function storeReplay(data, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(LAST_KEY, JSON.stringify(data));
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+export function loadStoredReplay(storage = globalThis.localStorage) {
+  try {
+    const raw = storage.getItem(LAST_KEY);
+    return raw === null ? null : JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
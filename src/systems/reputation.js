@@ -0,0 +1,68 @@
+/**
+ * Harry's reputation on the street: a score from -100 to 100 kept on the player, carried from
+ * case to case and saved with the run. What he does moves it (REPUTATION_EVENTS); where it
+ * stands (STANDINGS) sets how witnesses greet him and whether they talk without a gun in
+ * their face, how scared a goon must be before he gives himself up, and the ending text.
+ */
+export const REPUTATION_EVENTS = {
+  civilianKilled: -40,   // a bystander shot dead
+  bystanderBurned: -20,  // a bystander set alight
+  excessiveForce: -12,   // shooting a man backing off from the gun, or a boss who gave up
+  firstShot: -4,         // opening fire on a goon who wasn't fighting
+  helped: 4,             // calming a frightened bystander (once each)
+  arrest: 8,
+  bossArrested: 25,
+};
+
+// Best first. `trust`: 2 anyone talks, 1 calm or frightened witnesses talk, 0 only
+// frightened ones, -1 nobody without being coerced. `openers`: how Harry starts questioning
+// (dialogue_trees.getOpeningLine), `greeting`: how the witness takes it
+const STANDINGS = [
+  { min: 50, name: 'Straight arrow', trust: 2, greeting: 'Inspector! Thank God you\'re here.',
+    openers: ['Harry: Evening. Mind if I ask you something?', 'Harry: You\'re safe now. What did you see?'],
+    news: 'Word on the street: Harry plays it straight.',
+    ending: 'The papers call him the best cop in the city.' },
+  { min: 15, name: 'By the book', trust: 2, greeting: 'Evening, Inspector.',
+    openers: ['Harry: Got a minute?', 'Harry: I have a few questions.'],
+    news: 'People are starting to trust you.',
+    ending: 'The department puts him up for a commendation.' },
+  { min: -15, name: 'Cop', trust: 1, greeting: null,
+    openers: ['Harry: Got a minute?', 'Harry: I have a few questions.', 'Harry: Talk to me.'],
+    news: 'The street doesn\'t know what to make of you.',
+    ending: 'Just another case closed.' },
+  { min: -50, name: 'Loose cannon', trust: 0, greeting: 'Oh great. Him.',
+    openers: ['Harry: Talk to me.', 'Harry: Don\'t make me ask twice.'],
+    news: 'Word gets around: the Inspector shoots first.',
+    ending: 'Internal Affairs wants a word.' },
+  { min: -Infinity, name: 'Dirty', trust: -1, greeting: 'Stay back! I didn\'t do nothing!',
+    openers: ['Harry: Start talking.', 'Harry: You know who I am. Talk.'],
+    news: 'Nobody on this street will talk to you now.',
+    ending: 'He hands in his badge before they can take it.' },
+];
+
+export function standing(score = 0) {
+  return STANDINGS.find(s => score >= s.min);
+}
+
+/** Apply a REPUTATION_EVENTS entry; returns the new standing if it changed, else null. */
+export function adjustReputation(player, event) {
+  const before = standing(player.reputation);
+  player.reputation = Math.max(-100, Math.min(100, (player.reputation ?? 0) + REPUTATION_EVENTS[event]));
+  const now = standing(player.reputation);
+  return now === before ? null : now;
+}
+
+/** Whether a witness gives up what he knows: always under coercion, otherwise by trust. */
+export function cooperates(score, { calm, afraid, coerced }) {
+  const { trust } = standing(score);
+  return coerced || trust >= 2 || (trust === 1 && (calm || afraid)) || (trust === 0 && afraid);
+}
+
+/**
+ * Fear a goon must be past to give himself up (arrest.js): a straight cop gets quick
+ * surrenders, a dirty one none at all (nobody expects to make it to the station).
+ */
+export function surrenderFear(score = 0) {
+  if (standing(score).trust < 0) return Infinity;
+  return Math.max(0.2, 0.6 - score * 0.005);
+}
@@ -0,0 +1,218 @@
+/**
+ * Save games: the whole run (player, goons, NPCs, clues, journal, boss/cutscene, props,
+ * weather and a snapshot of the fire grid) as versioned JSON in localStorage.
+ *
+ * Things in flight (bullets, bottles, spray, particles, dialogue) are not saved, and
+ * burning characters relight their flame pixels from their saved burning status.
+ */
+import { snapshotGrid, checkGrid, restoreGrid } from '../sim/snapshot.js';
+import { GOON_PROFILES } from '../entities/spawn.js';
+
+export const SAVE_VERSION = 5;
+export const QUICK_SLOT = 'quick';
+const KEY_PREFIX = 'dirtyharry.save.';
+
+// Migration hook: MIGRATIONS[v](data) upgrades a version-v save to version v+1. Add an
+// entry whenever SAVE_VERSION is bumped so older saves keep loading.
+export const MIGRATIONS = {
+  // 2: goons carry the firefight state machine and a magazine instead of a one-shot aggro timer
+  1: (data) => ({
+    ...data,
+    goons: data.goons.map(({ aggroTimer, ...g }) => {
+      const clip = (GOON_PROFILES[g.profile] ?? GOON_PROFILES.smoker).clip;
+      const fight = g.state === 'run' ? { state: 'hold', combat: true } : {};
+      return { combat: false, coverSlot: 0, stateT: 0, calmT: 0, shots: 0, shotT: 0, clip, ammo: clip, ...g, ...fight };
+    }),
+  }),
+  // 3: goons perceive (awareness and alert level); ones already fighting are alerted
+  2: (data) => ({
+    ...data,
+    goons: data.goons.map(g => ({
+      awareness: g.combat ? 1 : 0, alertLevel: g.combat ? 'alerted' : 'unaware',
+      lastKnownX: null, investigate: false, alertFlash: 0, calloutT: 0, ...g,
+    })),
+  }),
+  // 4: goons can be taken down, arrested and questioned; a won boss fight records its ending
+  3: (data) => ({
+    ...data,
+    goons: data.goons.map(g => ({
+      found: false, takedownKind: null, takedownT: 0, surrenderT: 0, dialogue: 'goon', clueGiven: false, ...g,
+    })),
+    boss: { ...data.boss, ending: data.boss.victory ? 'kill' : null },
+  }),
+  // 5: Harry has a street reputation, carried between cases; bystanders remember being helped
+  4: (data) => ({
+    ...data,
+    player: { reputation: 0, ...data.player },
+    npcs: data.npcs.map(n => ({ helped: false, ...n })),
+    campaign: data.campaign && { ...data.campaign, carry: { reputation: 0, ...data.campaign.carry } },
+  }),
+};
+
+export function migrateSave(data) {
+  if (!data || typeof data.version !== 'number') throw new Error('not a save game');
+  if (data.version > SAVE_VERSION) throw new Error(`save version ${data.version} is newer than ${SAVE_VERSION}`);
+  while (data.version < SAVE_VERSION) {
+    const step = MIGRATIONS[data.version];
+    if (!step) throw new Error(`no migration from save version ${data.version}`);
+    data = { ...step(data), version: data.version + 1 };
+  }
+  return data;
+}
+
+/**
+ * @param world { level, campaign (Campaign or null), player, goons, npcs, pois, journal, boss (BossSystem),
+ *   covers, debris, hazards, hydrants, booth, fire (FireSystem), weather, camera }
+ */
+export function serializeGame(world) {
+  const { covers } = world;
+  const b = world.boss;
+  return {
+    version: SAVE_VERSION,
+    savedAt: Date.now(),
+    level: world.level?.id ?? null,
+    campaign: world.campaign ? world.campaign.serialize() : null,
+    player: packEntity(world.player, covers),
+    goons: world.goons.map(g => packEntity(g, covers)),
+    npcs: world.npcs.map(n => packEntity(n, covers)),
+    pois: world.pois.map(p => p.taken),
+    journal: [...world.journal.notes],
+    boss: clone({
+      boss: b.boss, arena: b.arena, active: b.active, victory: b.victory, ending: b.ending,
+      cutscene: b.cutscene, introDone: b.introDone, bullets: b.bullets, nextTaunt: b._nextTaunt,
+    }),
+    props: clone({ covers, debris: world.debris, hazards: world.hazards, hydrants: world.hydrants, booth: world.booth }),
+    cameraX: world.camera.x,
+    weather: { mode: world.weather.mode, level: world.weather.level, overcast: world.weather.overcast },
+    grid: snapshotGrid(world.fire.engine.grid),
+  };
+}
+
+// Throw if `data` (migrated) can't be applied to `world`; nothing is touched until it passes
+function checkSave(world, data) {
+  // Props and the grid are matched to the level layout, so only the same level fits
+  if (data.level && world.level && data.level !== world.level.id) throw new Error(`save is from level "${data.level}"`);
+  checkGrid(world.fire.engine.grid, data.grid);
+  if (data.campaign && world.campaign) world.campaign.check(data.campaign);
+  for (const key of ['goons', 'npcs', 'pois', 'journal']) {
+    if (!Array.isArray(data[key])) throw new Error(`save has no ${key}`);
+  }
+  for (const key of ['player', 'boss', 'props', 'weather']) {
+    if (!data[key] || typeof data[key] !== 'object') throw new Error(`save has no ${key}`);
+  }
+  for (const key of ['covers', 'debris', 'hazards', 'hydrants']) {
+    if (!Array.isArray(data.props[key])) throw new Error(`save has no ${key}`);
+  }
+}
+
+/**
+ * Apply a (migrated) save to `world` in place; the entity lists keep their identity.
+ * A save that doesn't fit throws before anything is changed.
+ */
+export function restoreGame(world, data) {
+  // Work on a copy so the live entities never alias the caller's save data
+  data = migrateSave(clone(data));
+  checkSave(world, data);
+  const { covers, fire } = world;
+  restoreGrid(fire.engine.grid, data.grid);
+  fire.engine.resetTransient();
+  if (data.campaign && world.campaign) world.campaign.restore(data.campaign);
+
+  // Flame agents belong to the old entity objects
+  for (const e of [...fire.agents.keys()]) fire.removeAgent(e);
+
+  assignState(world.player, unpackEntity(data.player, covers));
+  world.player.molotovState = 'inactive';
+  world.player.charge = 0;
+  replaceAll(world.goons, data.goons.map(g => unpackEntity(g, covers)));
+  replaceAll(world.npcs, data.npcs.map(n => unpackEntity(n, covers)));
+  world.pois.forEach((p, i) => { p.taken = !!data.pois[i]; });
+  world.journal.notes = [...data.journal];
+
+  const b = world.boss;
+  Object.assign(b, {
+    boss: data.boss.boss, arena: data.boss.arena, active: data.boss.active, victory: data.boss.victory, ending: data.boss.ending,
+    cutscene: data.boss.cutscene, introDone: data.boss.introDone, bullets: data.boss.bullets, _nextTaunt: data.boss.nextTaunt,
+  });
+
+  // Props are matched by index (same level layout)
+  for (const key of ['covers', 'debris', 'hazards', 'hydrants']) {
+    world[key].forEach((o, i) => { if (data.props[key][i]) Object.assign(o, data.props[key][i]); });
+  }
+  Object.assign(world.booth, data.props.booth);
+
+  world.weather.setMode(data.weather.mode, true);
+  world.weather.level = data.weather.level;
+  world.weather.overcast = data.weather.overcast;
+
+  world.camera.x = data.cameraX;
+  return data;
+}
+
+/** Serialize into localStorage. Returns { ok } or { ok: false, error }. */
+export function writeSave(slot, world, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(KEY_PREFIX + slot, JSON.stringify(serializeGame(world)));
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/** Load a slot from localStorage into `world`. Returns { ok } or { ok: false, error }. */
+export function readSave(slot, world, storage = globalThis.localStorage) {
+  try {
+    const raw = storage.getItem(KEY_PREFIX + slot);
+    if (raw === null) return { ok: false, error: 'no save in slot ' + slot };
+    restoreGame(world, JSON.parse(raw));
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/** The save data in a slot (migrated), or null when there is none or it can't be read. */
+export function peekSave(slot, storage = globalThis.localStorage) {
+  try {
+    const raw = storage.getItem(KEY_PREFIX + slot);
+    return raw === null ? null : migrateSave(JSON.parse(raw));
+  } catch {
+    return null;
+  }
+}
+
+export function deleteSave(slot, storage = globalThis.localStorage) {
+  storage.removeItem(KEY_PREFIX + slot);
+}
+
+// Entities: plain data minus their flame agent; references to covers become indices
+function packEntity(e, covers) {
+  const out = {};
+  for (const [k, v] of Object.entries(e)) {
+    if (k === 'fireAgent' || typeof v === 'function') continue;
+    const ci = v ? covers.indexOf(v) : -1;
+    out[k] = ci >= 0 ? { $cover: ci } : v;
+  }
+  return clone(out);
+}
+
+function unpackEntity(data, covers) {
+  const out = {};
+  for (const [k, v] of Object.entries(data)) out[k] = (v && typeof v.$cover === 'number') ? covers[v.$cover] ?? null : v;
+  return out;
+}
+
+// Replace every own field of `target`, so fields absent from the save (e.g. `burning`) go away
+function assignState(target, state) {
+  for (const k of Object.keys(target)) if (!(k in state)) delete target[k];
+  Object.assign(target, state);
+}
+
+function replaceAll(list, items) {
+  list.length = 0;
+  list.push(...items);
+}
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
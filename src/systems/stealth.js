@@ -0,0 +1,27 @@
+/**
+ * Stealth rules for Harry: when a goon can be taken down. Whether he is out of sight is
+ * perception's call (Perception.hidden).
+ *
+ * A takedown needs an unaware goon (perception.js), Harry close behind him on the ground
+ * and not aiming. Interact chokes him out without a sound; Fire pistol-whips him, quicker
+ * but heard close by. Either way the goon is out cold ('takedown', then 'out') and counts
+ * as down. Noise from Harry's feet goes through GoonSystem.hear: 'steps' when walking,
+ * 'sneak' (far quieter) when crouch-walking, 'landing' after a jump.
+ */
+export const TAKEDOWN_REACH = 14;  // px between Harry and the goon's back
+export const TAKEDOWN_TIME = { choke: 1.1, whip: 0.35 }; // s until the goon goes limp
+
+/** The goon Harry could take down right now, or null. */
+export function takedownTarget(player, goons) {
+  if (!player.alive || !player.onGround || player.aiming || (player.busyT ?? 0) > 0) return null;
+  let best = null, bestD = TAKEDOWN_REACH;
+  for (const g of goons) {
+    if (!g.alive || g.combat || g.alertLevel !== 'unaware') continue;
+    if (!g.state.startsWith('smoke')) continue;
+    const dx = (g.x + 8) - (player.x + 8);
+    // Harry faces the goon's back: same facing, goon ahead of him
+    if (g.dir !== player.dir || Math.sign(dx) !== player.dir) continue;
+    if (Math.abs(dx) < bestD) { bestD = Math.abs(dx); best = g; }
+  }
+  return best;
+}
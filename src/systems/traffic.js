@@ -1,7 +1,12 @@
 /**
  * Foreground traffic silhouettes moving quickly across the bottom (in front of characters, behind UI).
+ * Also carries the fire truck: it pulls up under a fire, hoses it from the foreground and drives off.
  */
-import { WORLD_W, VH } from '../core/constants.js';
+import { WORLD_W, VH, GROUND_Y } from '../core/constants.js';
+
+// Foreground parallax: lane x is drawn at x - cameraX * PARALLAX
+export const PARALLAX = 1.2;
+const TRUCK_SPEED = 90;
 
 export class ForegroundTraffic {
   constructor(rng) {
@@ -25,14 +30,46 @@ export class ForegroundTraffic {
     this.cars.push({ x: dir === 1 ? -w-10 : WORLD_W + 10, y, w, h, dir, speed, color, wheelColor, t: 0, variant });
   }
 
+  /**
+   * Send a fire truck to hose `targetX` (world x) for `duration` seconds. It enters from the
+   * nearer screen edge; returns the truck, or null if one is already out.
+   */
+  dispatchFireTruck(targetX, cameraX, VW, duration = 8) {
+    if (this.fireTruck()) return null;
+    const w = 64, h = 20;
+    const dir = targetX - cameraX < VW / 2 ? 1 : -1;
+    const truck = {
+      variant: 'firetruck', state: 'arrive', targetX, sprayT: duration,
+      x: dir === 1 ? cameraX * PARALLAX - w - 10 : cameraX * PARALLAX + VW + 10,
+      y: VH - Math.floor(h * 0.7), w, h, dir, speed: TRUCK_SPEED,
+      color: '#a3161a', wheelColor: '#0a0a0a', t: 0,
+      nozzleDx: dir === 1 ? w - 14 : 14, // ladder-mounted monitor near the cab end
+    };
+    this.cars.push(truck);
+    return truck;
+  }
+
+  fireTruck() {
+    return this.cars.find(c => c.variant === 'firetruck') || null;
+  }
+
+  // World-space position of a truck's water monitor (the truck itself sits in the parallax lane)
+  nozzle(c, cameraX) {
+    return { x: c.x + c.nozzleDx - cameraX * (PARALLAX - 1), y: Math.min(GROUND_Y - 6, c.y - 8) };
+  }
+
   update(dt, cameraX, VW) {
     this.spawnT -= dt;
     if (this.spawnT <= 0) {
-      if (this.rng() < 0.8) this.spawn();
+      if (this.rng() < 0.8 && !this.fireTruck()) this.spawn();
       this.spawnT = 1.6 + this.rng()*2.6;
     }
     for (let i = this.cars.length - 1; i >= 0; i--) {
       const c = this.cars[i];
+      if (c.variant === 'firetruck') {
+        if (this.updateFireTruck(c, dt, cameraX, VW)) this.cars.splice(i, 1);
+        continue;
+      }
       c.x += c.speed * c.dir * dt;
       c.t += dt;
       if ((c.dir === 1 && c.x - cameraX > VW + 40) || (c.dir === -1 && c.x - cameraX < -VW - 40)) {
@@ -41,9 +78,29 @@ export class ForegroundTraffic {
     }
   }
 
+  // Drive in, park with the monitor below the fire (kept on screen), hose, drive off.
+  // Returns true once the truck has left the screen.
+  updateFireTruck(c, dt, cameraX, VW) {
+    c.t += dt;
+    const sx = c.x - cameraX * PARALLAX;
+    if (c.state === 'arrive') {
+      const goal = Math.max(24, Math.min(VW - 24, c.targetX - cameraX)) - c.dir * 24;
+      c.x += c.speed * c.dir * dt;
+      if ((sx + c.nozzleDx - goal) * c.dir >= 0) c.state = 'spray';
+    } else if (c.state === 'spray') {
+      c.sprayT -= dt;
+      if (c.sprayT <= 0) c.state = 'leave';
+    } else {
+      c.x += c.speed * c.dir * dt;
+      return sx > VW + 40 || sx + c.w < -40;
+    }
+    return false;
+  }
+
   draw(ctx, cameraX) {
     for (const c of this.cars) {
-      const x = c.x - cameraX * 1.2;
+      const x = c.x - cameraX * PARALLAX;
+      if (c.variant === 'firetruck') { this.drawFireTruck(ctx, c, x); continue; }
       ctx.fillStyle = c.color;
       ctx.fillRect(Math.round(x), c.y, c.w, c.h);
       ctx.fillStyle = '#121724';
@@ -61,4 +118,36 @@ export class ForegroundTraffic {
       }
     }
   }
-}
\ No newline at end of file
+
+  drawFireTruck(ctx, c, x) {
+    const X = Math.round(x);
+    const cabW = 16;
+    const cabX = c.dir === 1 ? X + c.w - cabW : X;
+    ctx.fillStyle = c.color;
+    ctx.fillRect(X, c.y, c.w, c.h);
+    ctx.fillRect(cabX, c.y - 6, cabW, 6);
+    ctx.fillStyle = '#121724';
+    ctx.fillRect(cabX + 3, c.y - 5, cabW - 6, 4);
+    // Ladder along the roof
+    ctx.fillStyle = '#b9bcc4';
+    const ladX = c.dir === 1 ? X + 4 : X + cabW + 2;
+    ctx.fillRect(ladX, c.y - 3, c.w - cabW - 6, 1);
+    for (let i = ladX; i < ladX + c.w - cabW - 6; i += 4) ctx.fillRect(i, c.y - 4, 1, 2);
+    // Hose monitor
+    ctx.fillStyle = '#d8d8d0';
+    ctx.fillRect(X + c.nozzleDx - 1, c.y - 8, 3, 5);
+    // Lockers and stripe
+    ctx.fillStyle = '#e8e4d4';
+    ctx.fillRect(X + 2, c.y + 4, c.w - 4, 1);
+    // Flashing light bar
+    const on = Math.floor(c.t * 6) % 2 === 0;
+    ctx.fillStyle = on ? '#ff3a2a' : '#3a8cff';
+    ctx.fillRect(cabX + 2, c.y - 7, 3, 1);
+    ctx.fillStyle = on ? '#3a8cff' : '#ff3a2a';
+    ctx.fillRect(cabX + cabW - 5, c.y - 7, 3, 1);
+    ctx.fillStyle = c.wheelColor;
+    const wheelY = c.y + c.h - 2;
+    ctx.fillRect(X + 6, wheelY, 4, 3);
+    ctx.fillRect(X + c.w - 10, wheelY, 4, 3);
+  }
+}
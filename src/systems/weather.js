@@ -0,0 +1,142 @@
+/**
+ * Weather: clear, drizzle or storm. Rain streaks are drawn over the skyline, and rain also
+ * lands as WATER cells on top of whatever is in the fire grid, so flames are doused and
+ * puddles collect on the street and props (run off past a mode's depth, dry up once it
+ * clears). Storms bring lightning. The mode can change mid-run; the rain ramps toward the
+ * new level.
+ */
+import { GROUND_Y } from '../core/constants.js';
+import { wind } from '../core/wind.js';
+
+// rain: target rain level (0..1); the effects below are per unit of rain level
+export const WEATHER_MODES = {
+  clear:   { rain: 0,    overcast: 0,   puddleDepth: 0, lightning: 0 },
+  drizzle: { rain: 0.35, overcast: 0.5, puddleDepth: 1, lightning: 0 },
+  storm:   { rain: 1,    overcast: 0.9, puddleDepth: 2, lightning: 0.12 }, // flashes/s
+};
+
+const RAMP = 0.25;          // rain level change per second
+const STREAKS_PER_SEC = 260;
+const CELLS_PER_SEC = 24;   // grid water cells rained in per second at full rain
+const DRAIN_PER_SEC = 120;  // puddle columns checked per second
+const RAIN_MARGIN = 32;     // px of grid rain either side of the view
+const FIRE_RAIN_SPAN = 64;  // px of grid rain centred on a fire out of view
+const MAX_STREAKS = 400;
+
+export class Weather {
+  /**
+   * @param rng visual randomness (streaks, lightning)
+   * @param fire the FireSystem; rain cells and puddle run-off draw from its rng
+   */
+  constructor(rng, fire, mode = 'clear') {
+    this.rng = rng;
+    this.fire = fire;
+    this.streaks = [];
+    this.flash = 0;
+    this.flashScale = 1; // accessibility: how bright lightning flashes the sky (0 = off)
+    this._cells = 0;
+    this._drain = 0;
+    this.setMode(mode, true);
+  }
+
+  /** Switch mode; `instant` skips the ramp (level start). Unknown modes fall back to clear. */
+  setMode(mode, instant = false) {
+    this.mode = WEATHER_MODES[mode] ? mode : 'clear';
+    if (instant) {
+      this.level = WEATHER_MODES[this.mode].rain;
+      this.overcast = WEATHER_MODES[this.mode].overcast;
+      this.streaks.length = 0;
+      this._cells = 0;
+      this._drain = 0;
+    }
+  }
+
+  get config() {
+    return WEATHER_MODES[this.mode];
+  }
+
+  update(dt, cameraX, VW) {
+    // Rain level and cloud cover (0..1) ease toward the mode
+    this.level = approach(this.level, this.config.rain, RAMP * dt);
+    this.overcast = approach(this.overcast, this.config.overcast, RAMP * dt);
+
+    // Rain into the fire grid: water cells along the top row. Every falling cell keeps its
+    // chunk stepping, so only the street in view (plus any fire off-screen) is rained on.
+    const g = this.fire.engine.grid;
+    const stats = this.fire.engine.stats;
+    this._cells += CELLS_PER_SEC * this.level * dt;
+    while (this._cells >= 1) {
+      this._cells -= 1;
+      const r = this.fire.rng();
+      const x = stats.burning > 0 && r < 0.25
+        ? stats.burningX + (r * 4 - 0.5) * FIRE_RAIN_SPAN
+        : cameraX - RAIN_MARGIN + this.fire.rng() * (VW + RAIN_MARGIN * 2);
+      this.fire.rainAt(Math.floor(x));
+    }
+
+    // Puddles run off past the mode's depth; in the dry they evaporate
+    this._drain += DRAIN_PER_SEC * dt;
+    while (this._drain >= 1) {
+      this._drain -= 1;
+      const x = Math.floor(this.fire.rng() * g.w);
+      if (this.level > 0.05) this.fire.drainPuddleAt(x, this.config.puddleDepth || 1);
+      else if (this.fire.rng() < 0.1) this.fire.drainPuddleAt(x, 0);
+    }
+
+    // Streaks (screen space, slanted by the wind)
+    const spawn = STREAKS_PER_SEC * this.level * dt;
+    for (let n = Math.floor(spawn) + (this.rng() < spawn % 1 ? 1 : 0); n > 0 && this.streaks.length < MAX_STREAKS; n--) {
+      this.streaks.push({ x: this.rng() * (VW + 40) - 20, y: -4 - this.rng() * 20, v: 150 + this.rng() * 60, len: 2 + ((this.rng() * 3) | 0) });
+    }
+    const drift = wind.x * 40;
+    for (let i = this.streaks.length - 1; i >= 0; i--) {
+      const s = this.streaks[i];
+      s.y += s.v * dt;
+      s.x += drift * dt;
+      if (s.y > GROUND_Y + 2) this.streaks.splice(i, 1);
+    }
+
+    // Lightning
+    this.flash = Math.max(0, this.flash - dt * 4);
+    const strikes = this.config.lightning * this.level;
+    if (strikes > 0 && this.rng() < strikes * dt) this.flash = 0.6 + this.rng() * 0.4;
+  }
+
+  // Cloud layer and lightning over the sky and skyline (call right after the background)
+  drawSky(ctx, VW) {
+    const oc = this.overcast;
+    if (oc > 0) {
+      ctx.save();
+      ctx.globalAlpha = oc * 0.45;
+      ctx.fillStyle = '#1c2029';
+      ctx.fillRect(0, 0, VW, GROUND_Y - 30);
+      ctx.restore();
+    }
+    if (this.flash > 0 && this.flashScale > 0) {
+      ctx.save();
+      ctx.globalAlpha = this.flash * 0.35 * this.flashScale;
+      ctx.fillStyle = '#c8d0ff';
+      ctx.fillRect(0, 0, VW, GROUND_Y);
+      ctx.restore();
+    }
+  }
+
+  drawRain(ctx) {
+    if (!this.streaks.length) return;
+    const slant = Math.max(-2, Math.min(2, Math.round(wind.x * 2)));
+    ctx.save();
+    ctx.globalAlpha = 0.35 + 0.25 * this.level;
+    ctx.fillStyle = '#8a96b8';
+    for (const s of this.streaks) {
+      for (let k = 0; k < s.len; k++) {
+        const px = Math.round(s.x - (slant * k) / s.len), py = Math.round(s.y) - k;
+        ctx.fillRect(px, py, 1, 1);
+      }
+    }
+    ctx.restore();
+  }
+}
+
+function approach(v, target, step) {
+  return v < target ? Math.min(target, v + step) : Math.max(target, v - step);
+}
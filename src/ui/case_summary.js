@@ -0,0 +1,64 @@
+/**
+ * Case-closed screen shown when a campaign case is won: the case's numbers, what carries
+ * into the next case and how to go on. `summary` comes from Campaign.summarize.
+ */
+import { VW, VH, INTERNAL_SCALE } from '../core/constants.js';
+import { standing } from '../systems/reputation.js';
+
+export function formatTime(s) {
+  const m = Math.floor(s / 60);
+  return `${m}:${String(Math.floor(s % 60)).padStart(2, '0')}`;
+}
+
+/** @param {{ continueKey: string, restartKey: string }} keys labels of the bound keys */
+export function drawCaseSummary(ctx, summary, { continueKey, restartKey }) {
+  const text = (s, x, y, px, color) => {
+    const hd = INTERNAL_SCALE;
+    ctx.fillStyle = color;
+    ctx.font = `${px * hd}px monospace`;
+    ctx.save(); ctx.scale(1 / hd, 1 / hd);
+    ctx.fillText(s, Math.floor(x * hd), Math.floor(y * hd));
+    ctx.restore();
+  };
+  const centered = (s, y, px, color) => {
+    ctx.font = `${px * INTERNAL_SCALE}px monospace`;
+    const w = ctx.measureText(s).width / INTERNAL_SCALE;
+    text(s, Math.floor(VW / 2 - w / 2), y, px, color);
+  };
+
+  ctx.save();
+  ctx.globalAlpha = 0.9;
+  ctx.fillStyle = 'rgba(0,0,0,0.8)';
+  ctx.fillRect(0, 0, VW, VH);
+  ctx.globalAlpha = 1;
+
+  centered(`CASE ${summary.number} OF ${summary.total} CLOSED`, 14, 5, '#7f86a8');
+  centered(summary.title, 24, 7, '#bfe3bf');
+
+  const rows = [
+    ['Time', formatTime(summary.time)],
+    ['Clues', `${summary.clues} / ${summary.clueTotal}`],
+    ['Goons down', `${summary.goonsDown} / ${summary.goons}`],
+    ['Arrests', String(summary.arrests)],
+    ['Notes filed', String(summary.notes.length)],
+    ['Reputation', standing(summary.reputation).name],
+  ];
+  if (summary.bossEnding) rows.push(['Boss', summary.bossEnding === 'arrest' ? 'Arrested' : 'Killed']);
+  const { reward, carry } = summary;
+  if (summary.next) {
+    const gains = [reward.maxHp && `+${reward.maxHp} HP`, reward.molotovs && `+${reward.molotovs} Molotovs`].filter(Boolean);
+    rows.push(['Commendation', gains.length ? gains.join(', ') : '-']);
+    rows.push(['Next case', `${carry.maxHp} HP, ${carry.molotovs} Molotovs`]);
+  }
+  rows.forEach(([k, v], i) => {
+    text(k, 40, 34 + i * 6, 5, '#9aa3c7');
+    text(v, 100, 34 + i * 6, 5, '#ffffff');
+  });
+
+  // The last case closes the campaign with the street's verdict on Harry
+  if (!summary.next) centered(standing(summary.reputation).ending, VH - 26, 5, '#cbd1ff');
+  const next = summary.next ? `Press ${continueKey}: ${summary.next}` : `All cases closed. Press ${continueKey} for a new campaign`;
+  centered(next, VH - 16, 5, '#ffd27a');
+  centered(`${restartKey}: replay this case`, VH - 8, 4, '#7f86a8');
+  ctx.restore();
+}
@@ -0,0 +1,101 @@
+/**
+ * Controls screen (F1): lists every action with its two key slots and rebinds them.
+ * Arrows pick a slot, Enter waits for the new key, Delete clears the slot, Esc closes.
+ * Changes are saved through Bindings as they are made.
+ */
+import { VW, VH, INTERNAL_SCALE } from '../core/constants.js';
+import { ACTIONS, SLOTS, keyLabel } from '../core/bindings.js';
+
+const ACTION_NAMES = {
+  MoveLeft: 'Move left', MoveRight: 'Move right', Jump: 'Jump', Duck: 'Duck', Aim: 'Aim',
+  Fire: 'Shoot', Interact: 'Talk / search', Molotov: 'Molotov', Journal: 'Journal',
+  Pause: 'Pause', Restart: 'Restart',
+};
+const ROW_H = 6.6;
+const COL_X = [84, 132];
+
+export class ControlsPanel {
+  /** @param {import('../core/bindings.js').Bindings} bindings */
+  constructor(bindings) {
+    this.bindings = bindings;
+    this.open = false;
+    this.row = 0;   // ACTIONS index, or ACTIONS.length for "Reset to defaults"
+    this.col = 0;
+    this.waiting = false;
+    this.message = '';
+  }
+
+  toggle() {
+    this.open = !this.open;
+    this.waiting = false;
+    this.message = '';
+  }
+
+  /** Feed a normalized key while the panel is open. */
+  handleKey(key) {
+    const rows = ACTIONS.length + 1;
+    if (this.waiting) {
+      this.waiting = false;
+      if (key === 'Escape') return;
+      const action = ACTIONS[this.row];
+      this.message = this.bindings.bind(action, this.col, key) ? '' : keyLabel(key) + ' is reserved';
+      return;
+    }
+    this.message = '';
+    if (key === 'Escape' || key === 'F1') this.toggle();
+    else if (key === 'ArrowUp') this.row = (this.row + rows - 1) % rows;
+    else if (key === 'ArrowDown') this.row = (this.row + 1) % rows;
+    else if (key === 'ArrowLeft' || key === 'ArrowRight') this.col = (this.col + 1) % SLOTS;
+    else if (key === 'Enter') {
+      if (this.row === ACTIONS.length) { this.bindings.reset(); this.message = 'Defaults restored'; }
+      else this.waiting = true;
+    } else if ((key === 'Delete' || key === 'Backspace') && this.row < ACTIONS.length) {
+      const keys = this.bindings.map[ACTIONS[this.row]];
+      if (this.col < keys.length) this.bindings.unbind(ACTIONS[this.row], this.col);
+    }
+  }
+
+  draw(ctx) {
+    if (!this.open) return;
+    ctx.save();
+    ctx.globalAlpha = 0.92;
+    ctx.fillStyle = 'rgba(0,0,0,0.8)';
+    ctx.fillRect(6, 4, VW - 12, VH - 8);
+    ctx.strokeStyle = '#333';
+    ctx.strokeRect(6, 4, VW - 12, VH - 8);
+    ctx.globalAlpha = 1;
+
+    const text = (s, x, y, px, color) => {
+      const hd = INTERNAL_SCALE;
+      ctx.fillStyle = color;
+      ctx.font = `${px * hd}px monospace`;
+      ctx.save(); ctx.scale(1 / hd, 1 / hd);
+      ctx.fillText(s, Math.floor(x * hd), Math.floor(y * hd));
+      ctx.restore();
+    };
+
+    text('Controls', 10, 11, 6, '#cbd1ff');
+    text(this.message || 'Enter: rebind  Del: clear  Esc: close', 62, 11, 4, this.message ? '#ffd27a' : '#7f86a8');
+
+    for (let r = 0; r <= ACTIONS.length; r++) {
+      const y = 19 + r * ROW_H;
+      const selRow = r === this.row;
+      if (r === ACTIONS.length) {
+        if (selRow) { ctx.fillStyle = '#2a3150'; ctx.fillRect(10, y - 4.5, 70, ROW_H - 0.6); }
+        text('Reset to defaults', 12, y, 5, selRow ? '#ffffff' : '#9aa3c7');
+        continue;
+      }
+      const action = ACTIONS[r];
+      text(ACTION_NAMES[action], 12, y, 5, selRow ? '#ffffff' : '#9aa3c7');
+      const keys = this.bindings.map[action];
+      for (let c = 0; c < SLOTS; c++) {
+        const x = COL_X[c];
+        const sel = selRow && c === this.col;
+        if (sel) { ctx.fillStyle = this.waiting ? '#5a3a1a' : '#2a3150'; ctx.fillRect(x - 2, y - 4.5, 44, ROW_H - 0.6); }
+        const label = sel && this.waiting ? 'press a key' : keyLabel(keys[c]);
+        text(label, x, y, 5, sel ? '#ffffff' : '#cbd1ff');
+      }
+    }
+    ctx.restore();
+  }
+}
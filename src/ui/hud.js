@@ -47,6 +47,24 @@ export class Narrative {
   }
 }
 
+/** HUD-style text: crisp at INTERNAL_SCALE with a 1px outline. `x`/`y` in view pixels. */
+export function drawOutlinedText(ctx, text, x, y, color = '#d9e0ff', outline = '#000', px = 5) {
+  const hd = INTERNAL_SCALE;
+  const old = ctx.font;
+  ctx.font = `${px*hd}px monospace`;
+  ctx.save(); ctx.scale(1/hd, 1/hd);
+  const tx = Math.floor(x*hd), ty = Math.floor(y*hd), o = hd;
+  ctx.fillStyle = outline;
+  ctx.fillText(text, tx + o, ty);
+  ctx.fillText(text, tx - o, ty);
+  ctx.fillText(text, tx, ty + o);
+  ctx.fillText(text, tx, ty - o);
+  ctx.fillStyle = color;
+  ctx.fillText(text, tx, ty);
+  ctx.restore();
+  ctx.font = old;
+}
+
 export function drawHUD(ctx, state) {
   // state: { player:{hp,maxHp,molotovCount,molotovState,charge}, boss?:{hp,maxHp,alive}, narrative:Narrative }
   const bx = 4, by = 4;
@@ -84,23 +102,6 @@ export function drawHUD(ctx, state) {
   }
 
   // Narrative banner
-  const drawOutlinedText = (text, x, y, color = '#d9e0ff', outline = '#000', px = 5) => {
-    const hd = INTERNAL_SCALE;
-    const old = ctx.font;
-    ctx.font = `${px*hd}px monospace`;
-    ctx.save(); ctx.scale(1/hd, 1/hd);
-    const tx = Math.floor(x*hd), ty = Math.floor(y*hd), o = hd;
-    ctx.fillStyle = outline;
-    ctx.fillText(text, tx + o, ty);
-    ctx.fillText(text, tx - o, ty);
-    ctx.fillText(text, tx, ty + o);
-    ctx.fillText(text, tx, ty - o);
-    ctx.fillStyle = color;
-    ctx.fillText(text, tx, ty);
-    ctx.restore();
-    ctx.font = old;
-  };
-
   const bannerY = 12, bannerH = 10;
   ctx.globalAlpha = 0.65;
   ctx.fillStyle = 'rgba(0,0,0,0.6)';
@@ -110,7 +111,7 @@ export function drawHUD(ctx, state) {
   const maxWidth = VW - 8;
   // simple size selection
   const px = narrText.length > 60 ? 4 : 5;
-  drawOutlinedText(narrText, 4, bannerY + 2, '#d9e0ff', '#000', px);
+  drawOutlinedText(ctx, narrText, 4, bannerY + 2, '#d9e0ff', '#000', px);
 
   // Boss HP
   if (state.boss && state.boss.alive) {
@@ -1,26 +1,36 @@
 /**
  * Small helper for proximity interaction hints (speech bubble style).
+ * `interactKey` is the label of the key bound to Interact ("E Talk").
  */
 import { drawSpeechBubble } from '../sprites.js';
+import { takedownTarget } from '../systems/stealth.js';
+import { arrestTarget, suspectInReach } from '../systems/arrest.js';
 
-export function drawInteractionHints(ctx, player, npcs, pois, cameraX, dialogueActive) {
-  if (dialogueActive) return;
+/**
+ * What Interact would do right now ('Takedown', 'Arrest', 'Question', 'Interrogate', 'Calm',
+ * 'Intimidate', 'Investigate'), or null. `boss` is the BossSystem.
+ */
+export function interactionHint(player, npcs, pois, dialogueActive, goons = [], boss = null) {
+  if (dialogueActive) return null;
+  if (takedownTarget(player, goons)) return 'Takedown';
+  if (boss?.canArrest(player) || arrestTarget(player, goons)) return 'Arrest';
+  if (suspectInReach(player, goons)) return 'Question';
   // nearest NPC within talk range
   let hint = null;
   for (const n of npcs) {
     const dx = Math.abs((player.x+8)-(n.x+8));
     if (dx < 16 && Math.abs(player.y - n.y) < 6 && n.state !== 'down' && n.state !== 'dying') {
-      hint = n.state === 'afraid' ? 'E Calm' : 'E Talk';
+      hint = n.state === 'afraid' ? 'Calm' : 'Talk';
       break;
     }
   }
   if (hint) {
-    if (hint === 'E Talk') hint = 'E Interrogate';
+    if (hint === 'Talk') hint = 'Interrogate';
     if (player.aiming) {
       for (const n of npcs) {
         const dx = Math.abs((player.x+8)-(n.x+8));
         if (dx < 16 && Math.abs(player.y - n.y) < 6 && (n.state === 'afraid' || n.state === 'flee') && !n.clueGiven) {
-          hint = 'E Intimidate'; break;
+          hint = 'Intimidate'; break;
         }
       }
     }
@@ -28,8 +38,13 @@ export function drawInteractionHints(ctx, player, npcs, pois, cameraX, dialogueA
       if (p.taken) continue;
       const dx = Math.abs((player.x+8)-(p.x+p.w/2));
       const dy = Math.abs((player.y+8)-p.y);
-      if (dx < 12 && dy < 12) { hint = 'E Investigate'; break; }
+      if (dx < 12 && dy < 12) { hint = 'Investigate'; break; }
     }
   }
-  if (hint) drawSpeechBubble(ctx, hint, player.x - cameraX + 2, player.y - 4, 1, { speaker: 'system', maxWidth: 192 - 16 });
+  return hint;
+}
+
+export function drawInteractionHints(ctx, player, npcs, pois, cameraX, dialogueActive, interactKey = 'E', goons = [], boss = null) {
+  const hint = interactionHint(player, npcs, pois, dialogueActive, goons, boss);
+  if (hint) drawSpeechBubble(ctx, interactKey + ' ' + hint, player.x - cameraX + 2, player.y - 4, 1, { speaker: 'system', maxWidth: 192 - 16 });
 }
\ No newline at end of file
@@ -0,0 +1,420 @@
+/**
+ * In-browser level editor (toggled with window.__DH.toggleEditor()). While it is open the
+ * sim is held and the world shows the level being edited; every committed change is
+ * checked with parseLevel and rebuilt into the live world, so what you see is what plays.
+ *
+ * Mouse: click with a placing tool to add, drag anything to move it, right-click to
+ * delete. The paint tool brushes fire-grid materials (fuel puddles, water, ...) into the
+ * level's `paint` list; right-drag erases.
+ * Keys: 1-7 tools, A/D scroll, Up/Down pick a property of the selection (or of the level
+ * when nothing is selected), Left/Right change it, Enter types a text value, Del deletes,
+ * M paint material, [ ] brush size, X export JSON, P play, Esc deselect.
+ */
+import { VW, VH, GROUND_Y, INTERNAL_SCALE } from '../core/constants.js';
+import { GOON_PROFILES } from '../entities/spawn.js';
+import { WEATHER_MODES } from '../systems/weather.js';
+import { NPC_TYPES, parseLevel, levelToJSON } from '../levels/level_loader.js';
+
+const TOOLS = ['select', 'goon', 'npc', 'cover', 'poi', 'booth', 'paint'];
+const PAINT_MATERIALS = ['FUEL', 'WATER', 'TAR', 'STONE', 'WOOD', 'METAL', 'AIR'];
+const COVER_MATERIALS = ['WOOD', 'STONE', 'METAL', 'PAPER', 'RUBBER'];
+const SCROLL = 16; // px per A/D press
+const DIR = { key: 'dir', values: [1, -1] };
+
+// What the editor can place: where specs live in the level, their box on the street,
+// a fresh spec at x and the properties the panel edits
+const KINDS = {
+  goon: {
+    list: 'goons', color: '#ff6a5a',
+    box: (s) => ({ x: s.x, y: GROUND_Y - 16, w: 16, h: 16 }),
+    make: (x) => ({ x, dir: -1, profile: 'smoker' }),
+    props: [DIR, { key: 'profile', values: Object.keys(GOON_PROFILES) }],
+  },
+  npc: {
+    list: 'npcs', color: '#7ad0ff',
+    box: (s) => ({ x: s.x, y: GROUND_Y - 16, w: 16, h: 16 }),
+    make: (x, lv) => ({ type: 'mother', x, dir: 1, dialogue: 'mother', clue: freshClue(lv, 'witness') }),
+    props: [{ key: 'type', values: NPC_TYPES }, DIR, { key: 'dialogue', text: true }, { key: 'clue', text: true }],
+  },
+  cover: {
+    list: 'covers', color: '#c8c8c8',
+    box: (s) => ({ x: s.x, y: GROUND_Y - s.h, w: s.w, h: s.h }),
+    make: (x) => ({ x, w: 14, h: 8, material: 'WOOD' }),
+    props: [{ key: 'w', min: 4, max: 64 }, { key: 'h', min: 2, max: 40 }, { key: 'material', values: COVER_MATERIALS }],
+  },
+  poi: {
+    list: 'pois', color: '#ffd27a',
+    box: (s) => ({ x: s.x, y: GROUND_Y - 6, w: 6, h: 4 }),
+    make: (x, lv) => ({ x, title: 'Clue', note: 'Something was here.', clue: freshClue(lv, 'clue') }),
+    props: [{ key: 'title', text: true }, { key: 'note', text: true }, { key: 'clue', text: true }],
+  },
+  booth: {
+    single: 'booth', color: '#b48cff',
+    box: (s) => ({ x: s.x, y: GROUND_Y - 28, w: 14, h: 28 }),
+    props: [],
+  },
+};
+
+// Level-wide properties, edited with nothing selected
+const LEVEL_PROPS = [
+  { key: 'name', text: true },
+  { key: 'weather', values: Object.keys(WEATHER_MODES) },
+  { key: 'worldWidth', min: VW, max: VW * 12, step: 32 },
+  { key: 'skylineSeed', min: 0, max: 2 ** 32 - 1 },
+  { key: 'player.x', min: 0, max: VW * 12, step: 4 },
+  { key: 'boss.hp', min: 1, max: 99 },
+  { key: 'win.defeatBoss', values: [true, false] },
+  { key: 'win.clues', text: true },
+];
+
+function freshClue(level, base) {
+  const used = new Set([...level.npcs, ...level.pois].map(s => s.clue));
+  let i = 1;
+  while (used.has(`${base}-${i}`)) i++;
+  return `${base}-${i}`;
+}
+
+// 'boss.hp' style paths into the level
+function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((o, k) => (o[k] ??= {}), obj);
+  target[last] = value;
+}
+
+export class LevelEditor {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {{ onChange: Function, onPlay: Function, onExport: Function, onPaint?: Function }} hooks
+   *   onChange(level) after a valid edit, onPlay(level), onExport(json), onPaint(op) for a
+   *   live brush stroke before it is committed
+   */
+  constructor(canvas, hooks) {
+    this.canvas = canvas;
+    this.hooks = hooks;
+    this.active = false;
+    this.level = null;      // file-form level being edited
+    this.tool = 'select';
+    this.sel = null;        // { kind, index }
+    this.prop = 0;          // panel row
+    this.cameraX = 0;
+    this.material = 'FUEL';
+    this.brush = 3;
+    this.drag = null;       // { dx } while moving the selection
+    this.painting = 0;      // 1 brushing, -1 erasing
+    this.cursor = null;     // last pointer position (world)
+    this.message = '';
+    this.error = '';
+    if (canvas?.addEventListener) {
+      canvas.addEventListener('pointerdown', (e) => this._onPointer(e, 'down'));
+      canvas.addEventListener('pointermove', (e) => this._onPointer(e, 'move'));
+      canvas.addEventListener('pointerup', (e) => this._onPointer(e, 'up'));
+      canvas.addEventListener('contextmenu', (e) => { if (this.active) e.preventDefault(); });
+      canvas.addEventListener('wheel', (e) => {
+        if (!this.active) return;
+        e.preventDefault();
+        this.scroll(Math.sign(e.deltaY || e.deltaX) * SCROLL);
+      }, { passive: false });
+    }
+  }
+
+  /** Open on `level` (a parsed level), looking at `cameraX`. */
+  open(level, cameraX = 0) {
+    this.active = true;
+    this.level = levelToJSON(level);
+    this.cameraX = cameraX;
+    this.sel = null;
+    this.prop = 0;
+    this.drag = null;
+    this.painting = 0;
+    this.error = '';
+    this.message = 'Editing ' + this.level.id;
+  }
+
+  close() {
+    this.active = false;
+    this.drag = null;
+    this.painting = 0;
+  }
+
+  /** Replace the level being edited (JSON text or object); false with `error` set if it doesn't parse. */
+  load(src) {
+    try {
+      const level = parseLevel(typeof src === 'string' ? JSON.parse(src) : src);
+      this.open(level, 0);
+      this.hooks.onChange(level);
+      return true;
+    } catch (err) {
+      this.error = err.message;
+      return false;
+    }
+  }
+
+  scroll(dx) {
+    this.cameraX = Math.max(0, Math.min(this.level.worldWidth - VW, this.cameraX + dx));
+  }
+
+  /* ------------------------------- Editing ------------------------------ */
+
+  spec(sel = this.sel) {
+    if (!sel) return null;
+    const kind = KINDS[sel.kind];
+    return kind.single ? this.level[kind.single] : this.level[kind.list][sel.index];
+  }
+
+  props() {
+    return this.sel ? KINDS[this.sel.kind].props : LEVEL_PROPS;
+  }
+
+  // Check the edited level and rebuild the world from it; a bad value stays in the
+  // editor with the parse error shown until it is fixed
+  commit() {
+    try {
+      const level = parseLevel(this.level);
+      this.error = '';
+      this.hooks.onChange(level);
+      return level;
+    } catch (err) {
+      this.error = err.message;
+      return null;
+    }
+  }
+
+  /** Topmost placed thing whose box holds the world point. */
+  hit(x, y) {
+    for (const name of ['booth', 'poi', 'goon', 'npc', 'cover']) {
+      const kind = KINDS[name];
+      const specs = kind.single ? [this.level[kind.single]] : this.level[kind.list];
+      for (let i = specs.length - 1; i >= 0; i--) {
+        const b = kind.box(specs[i]);
+        if (x >= b.x - 1 && x < b.x + b.w + 1 && y >= b.y - 1 && y < b.y + b.h + 1) return { kind: name, index: i };
+      }
+    }
+    return null;
+  }
+
+  add(kindName, x) {
+    const kind = KINDS[kindName];
+    x = Math.max(0, Math.round(x));
+    if (kind.single) {
+      this.level[kind.single].x = x;
+      this.sel = { kind: kindName, index: 0 };
+    } else {
+      this.level[kind.list].push(kind.make(x, this.level));
+      this.sel = { kind: kindName, index: this.level[kind.list].length - 1 };
+    }
+    this.prop = 0;
+  }
+
+  remove(sel = this.sel) {
+    if (!sel) return;
+    const kind = KINDS[sel.kind];
+    if (kind.single) { this.message = "The booth can't go, only move"; return; }
+    this.level[kind.list].splice(sel.index, 1);
+    if (this.sel && this.sel.kind === sel.kind) this.sel = null;
+    this.commit();
+  }
+
+  /** Set a property of the selection (or of the level with nothing selected). */
+  set(key, value) {
+    const prop = this.props().find(p => p.key === key);
+    if (!prop) return false;
+    const target = this.sel ? this.spec() : this.level;
+    if (key === 'win.clues') {
+      const list = String(value).split(',').map(s => s.trim()).filter(Boolean);
+      value = !list.length || list[0] === 'all' ? 'all' : list;
+    } else if (key === 'clue') {
+      value = value ? String(value) : null;
+    }
+    setPath(target, key, value);
+    if (key === 'type' && this.sel?.kind === 'npc') target.dialogue = value; // type brings its lines along
+    return !!this.commit();
+  }
+
+  // Left/Right on the selected property: next/previous value, or +/- step
+  _nudge(delta) {
+    const prop = this.props()[this.prop];
+    if (!prop || prop.text) return;
+    const target = this.sel ? this.spec() : this.level;
+    const cur = getPath(target, prop.key);
+    if (prop.values) {
+      const i = prop.values.indexOf(cur);
+      this.set(prop.key, prop.values[(i + delta + prop.values.length) % prop.values.length]);
+    } else {
+      this.set(prop.key, Math.max(prop.min, Math.min(prop.max, (cur ?? prop.min) + delta * (prop.step ?? 1))));
+    }
+  }
+
+  _typeValue() {
+    const prop = this.props()[this.prop];
+    if (!prop?.text || typeof globalThis.prompt !== 'function') return;
+    const target = this.sel ? this.spec() : this.level;
+    const cur = getPath(target, prop.key);
+    const value = globalThis.prompt(prop.key, Array.isArray(cur) ? cur.join(', ') : cur ?? '');
+    if (value !== null) this.set(prop.key, value);
+  }
+
+  // One brush stamp at a world point; erasing drops the paint ops under the brush
+  _stamp(x, y) {
+    x = Math.round(x); y = Math.round(y);
+    const paint = this.level.paint ??= [];
+    if (this.painting < 0) {
+      const r = this.brush + 1;
+      this.level.paint = paint.filter(o => {
+        const cx = o.op === 'circle' ? o.x : o.x + o.w / 2, cy = o.op === 'circle' ? o.y : o.y + o.h / 2;
+        return (cx - x) ** 2 + (cy - y) ** 2 > r * r;
+      });
+      return;
+    }
+    const last = paint[paint.length - 1];
+    if (last && last.op === 'circle' && last.mat === this.material && Math.hypot(last.x - x, last.y - y) < this.brush / 2) return;
+    const op = { op: 'circle', mat: this.material, x, y, r: this.brush };
+    paint.push(op);
+    this.hooks.onPaint?.(op);
+  }
+
+  /* -------------------------------- Input ------------------------------- */
+
+  /** Feed a normalized key while the editor is open. */
+  handleKey(key) {
+    this.message = '';
+    const n = Number(key);
+    if (Number.isInteger(n) && n >= 1 && n <= TOOLS.length) { this.tool = TOOLS[n - 1]; return; }
+    const props = this.props();
+    switch (key) {
+      case 'a': this.scroll(-SCROLL); break;
+      case 'd': this.scroll(SCROLL); break;
+      case 'ArrowUp': this.prop = (this.prop + props.length - 1) % Math.max(1, props.length); break;
+      case 'ArrowDown': this.prop = (this.prop + 1) % Math.max(1, props.length); break;
+      case 'ArrowLeft': this._nudge(-1); break;
+      case 'ArrowRight': this._nudge(1); break;
+      case 'Enter': this._typeValue(); break;
+      case 'Delete': case 'Backspace': this.remove(); break;
+      case 'Escape': this.sel = null; this.prop = 0; break;
+      case 'm': this.material = PAINT_MATERIALS[(PAINT_MATERIALS.indexOf(this.material) + 1) % PAINT_MATERIALS.length]; break;
+      case '[': this.brush = Math.max(1, this.brush - 1); break;
+      case ']': this.brush = Math.min(12, this.brush + 1); break;
+      case 'x': {
+        const level = this.commit();
+        if (level) this.hooks.onExport(levelToJSON(level));
+        break;
+      }
+      case 'p': {
+        const level = this.commit();
+        if (level) this.hooks.onPlay(level);
+        break;
+      }
+    }
+  }
+
+  // Client coordinates to world pixels
+  _point(e) {
+    const r = this.canvas.getBoundingClientRect();
+    return { x: this.cameraX + (e.clientX - r.left) * VW / r.width, y: (e.clientY - r.top) * VH / r.height };
+  }
+
+  _onPointer(e, phase) {
+    if (!this.active) return;
+    const p = this._point(e);
+    this.cursor = p;
+    if (phase === 'down') {
+      const right = e.button === 2;
+      if (this.tool === 'paint') {
+        this.painting = right ? -1 : 1;
+        this._stamp(p.x, p.y);
+        return;
+      }
+      const hit = this.hit(p.x, p.y);
+      if (right) { this.remove(hit); return; }
+      if (hit) this.sel = hit;
+      else if (this.tool !== 'select') this.add(this.tool, p.x);
+      else { this.sel = null; this.prop = 0; return; }
+      if (hit) this.prop = Math.min(this.prop, Math.max(0, this.props().length - 1));
+      this.drag = { dx: this.spec().x - p.x };
+    } else if (phase === 'move') {
+      if (this.drag) this.spec().x = Math.max(0, Math.round(p.x + this.drag.dx));
+      else if (this.painting) this._stamp(p.x, p.y);
+    } else if (this.drag || this.painting) {
+      this.drag = null;
+      this.painting = 0;
+      this.commit();
+    }
+  }
+
+  /* ------------------------------- Drawing ------------------------------ */
+
+  draw(ctx) {
+    if (!this.active) return;
+    const cx = this.cameraX;
+    const text = (s, x, y, px, color) => {
+      const hd = INTERNAL_SCALE;
+      ctx.fillStyle = color;
+      ctx.font = `${px * hd}px monospace`;
+      ctx.save(); ctx.scale(1 / hd, 1 / hd);
+      ctx.fillText(s, Math.floor(x * hd), Math.floor(y * hd));
+      ctx.restore();
+    };
+    ctx.save();
+    ctx.lineWidth = 0.5;
+
+    // Paint ops, then every placed thing; the selection gets a bright frame
+    ctx.strokeStyle = 'rgba(120,200,255,0.5)';
+    for (const o of this.level.paint ?? []) {
+      if (o.op === 'circle') { ctx.beginPath(); ctx.arc(o.x - cx, o.y, o.r + 0.5, 0, Math.PI * 2); ctx.stroke(); }
+      else ctx.strokeRect(o.x - cx, o.y, o.w, o.h);
+    }
+    for (const [name, kind] of Object.entries(KINDS)) {
+      const specs = kind.single ? [this.level[kind.single]] : this.level[kind.list];
+      specs.forEach((s, i) => {
+        const b = kind.box(s);
+        const selected = this.sel?.kind === name && this.sel.index === i;
+        ctx.strokeStyle = selected ? '#ffffff' : kind.color;
+        ctx.strokeRect(b.x - cx + 0.25, b.y + 0.25, b.w - 0.5, b.h - 0.5);
+        if (s.dir) { ctx.fillStyle = kind.color; ctx.fillRect(b.x - cx + (s.dir > 0 ? b.w - 2 : 0), b.y - 2, 2, 1); }
+      });
+    }
+    const start = this.level.player?.x ?? 0;
+    ctx.strokeStyle = '#9dff9d';
+    ctx.strokeRect(start - cx + 0.25, GROUND_Y - 16.25, 15.5, 16);
+    if (this.tool === 'paint' && this.cursor) {
+      ctx.strokeStyle = '#ffffff';
+      ctx.beginPath(); ctx.arc(this.cursor.x - cx, this.cursor.y, this.brush + 0.5, 0, Math.PI * 2); ctx.stroke();
+    }
+
+    // Toolbar
+    ctx.fillStyle = 'rgba(0,0,0,0.75)';
+    ctx.fillRect(0, 0, VW, 7);
+    let x = 2;
+    TOOLS.forEach((t, i) => {
+      const label = `${i + 1}${t === 'paint' ? 'paint:' + this.material.toLowerCase() : t}`;
+      text(label, x, 5, 4, t === this.tool ? '#ffffff' : '#7f86a8');
+      x += label.length * 2.45 + 3;
+    });
+
+    // Properties of the selection (or the level)
+    const props = this.props();
+    const target = this.sel ? this.spec() : this.level;
+    const title = this.sel ? `${this.sel.kind} x${target.x}` : `level ${this.level.id}`;
+    const panelH = 7 + Math.max(1, props.length) * 4.6;
+    ctx.fillStyle = 'rgba(0,0,0,0.75)';
+    ctx.fillRect(VW - 72, 8, 72, panelH);
+    text(title, VW - 70, 13, 4, '#cbd1ff');
+    props.forEach((p, i) => {
+      const v = getPath(target, p.key);
+      const shown = Array.isArray(v) ? v.join(',') : String(v ?? '-');
+      const line = `${p.key}: ${shown.length > 18 ? shown.slice(0, 17) + '…' : shown}`;
+      if (i === this.prop) { ctx.fillStyle = '#2a3150'; ctx.fillRect(VW - 71, 14.2 + i * 4.6, 70, 4.4); }
+      text(line, VW - 70, 17.6 + i * 4.6, 3.6, i === this.prop ? '#ffffff' : '#9aa3c7');
+    });
+
+    // Status line
+    const status = this.error || this.message || 'click place  drag move  right-click delete  X export  P play';
+    ctx.fillStyle = 'rgba(0,0,0,0.75)';
+    ctx.fillRect(0, VH - 6, VW, 6);
+    text(status, 2, VH - 1.6, 3.6, this.error ? '#ff8a7a' : '#9aa3c7');
+    ctx.restore();
+  }
+}
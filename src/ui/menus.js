@@ -0,0 +1,276 @@
+/**
+ * In-canvas menus: title, options (volumes, controls, accessibility), pause and game over.
+ * Screens stack — Options opens over the title or the pause menu and Back returns to it.
+ *
+ * Keyboard, gamepad and touch/mouse all drive them: Up/Down (W/S, d-pad) pick an item,
+ * Enter/Space/E (A) choose it, Left/Right change a setting, Esc/Backspace/P (B, Start) go back;
+ * a tap chooses the item under it (on a setting, the side of its value tapped).
+ * Text uses the HUD's outlined style and the title's tagline is one of Harry's bubbles.
+ *
+ * What the screens show and do comes from the `game` facade built in game.js, so this
+ * module keeps no game state of its own.
+ */
+import { VW, VH, INTERNAL_SCALE } from '../core/constants.js';
+import { drawSpeechBubble } from '../sprites.js';
+import { drawOutlinedText } from './hud.js';
+import { formatTime } from './case_summary.js';
+
+const NAV = {
+  up: ['ArrowUp', 'w', 'PadUp'],
+  down: ['ArrowDown', 's', 'PadDown'],
+  left: ['ArrowLeft', 'a', 'PadLeft'],
+  right: ['ArrowRight', 'd', 'PadRight'],
+  ok: ['Enter', ' ', 'e', 'PadA'],
+  back: ['Escape', 'Backspace', 'p', 'PadB', 'PadStart'],
+};
+const ROW_H = 8;
+const TITLE = 'DIRTY HARRY';
+const TITLE_CPS = 12;          // title typewriter
+const GAME_OVER_DELAY = 0.8;   // s before the game-over screen takes input (let the fall play)
+
+export const ACCESS_DEFAULTS = { shake: true, flashes: 'full', textSpeed: 'normal' };
+export const FLASH_LEVELS = { full: 1, soft: 0.4, off: 0 };
+export const TEXT_SPEEDS = { slow: 18, normal: 30, fast: 60 }; // narrative chars/s
+
+const cycle = (list, cur, dir) => list[(list.indexOf(cur) + dir + list.length) % list.length];
+const onOff = (v) => (v ? 'On' : 'Off');
+const bar = (v) => '|'.repeat(Math.round(v * 10)).padEnd(10, '.');
+
+// Screen definitions. Items: { label, action?(menus), adjust?(dir), value?(), hidden?() }
+function buildScreens(game) {
+  const access = (key, list) => ({
+    value: () => (list ? game.getAccess()[key] : onOff(game.getAccess()[key])),
+    adjust: (dir) => game.setAccess({ [key]: list ? cycle(list, game.getAccess()[key], dir) : !game.getAccess()[key] }),
+  });
+  const volume = (bus, label) => ({
+    label,
+    value: () => bar(game.getVolume(bus)),
+    adjust: (dir) => game.setVolume(bus, Math.round(Math.max(0, Math.min(1, game.getVolume(bus) + dir * 0.1)) * 10) / 10),
+  });
+  const newGame = (m) => { m.close(); game.newGame(); };
+  return {
+    title: {
+      back: 'stay',
+      items: [
+        { label: 'Continue', hidden: () => !game.canContinue(), action: (m) => { m.close(); game.continueGame(); } },
+        // Starting over writes the campaign slot, so a saved run asks first
+        { label: () => game.newGameLabel(), action: (m) => (game.canContinue() ? m.push('overwrite') : newGame(m)) },
+        { label: 'Options', action: (m) => m.push('options') },
+      ],
+    },
+    overwrite: {
+      heading: 'Start over?',
+      stats: () => ['The saved case will be lost.'],
+      items: [
+        { label: 'New game', action: newGame },
+        { label: 'Back', action: (m) => m.back() },
+      ],
+    },
+    options: {
+      heading: 'Options',
+      items: [
+        volume('master', 'Volume'),
+        volume('sfx', 'Effects'),
+        volume('music', 'Music'),
+        { label: 'Controls', action: () => game.openControls() },
+        { label: 'Accessibility', action: (m) => m.push('access') },
+        { label: 'Back', action: (m) => m.back() },
+      ],
+    },
+    access: {
+      heading: 'Accessibility',
+      items: [
+        { label: 'Screen shake', ...access('shake') },
+        { label: 'Lightning', ...access('flashes', Object.keys(FLASH_LEVELS)) },
+        { label: 'Text speed', ...access('textSpeed', Object.keys(TEXT_SPEEDS)) },
+        { label: 'Touch buttons', value: () => onOff(game.touchEnabled()), adjust: () => game.setTouch(!game.touchEnabled()) },
+        { label: 'Back', action: (m) => m.back() },
+      ],
+    },
+    pause: {
+      heading: 'Paused',
+      back: 'close',
+      items: [
+        { label: 'Resume', action: (m) => m.close() },
+        { label: () => game.restartLabel(), action: (m) => { m.close(); game.restart(); } },
+        { label: 'Options', action: (m) => m.push('options') },
+        { label: 'Quit to title', action: (m) => m.open('title') },
+      ],
+    },
+    gameover: {
+      heading: 'You died',
+      back: 'stay',
+      holds: false, // the world keeps going behind it
+      delay: GAME_OVER_DELAY,
+      stats: () => {
+        const s = game.runStats();
+        return [`${s.title}`, `Time ${formatTime(s.time)}   Clues ${s.clues}/${s.clueTotal}   Goons down ${s.goonsDown}/${s.goons}   Arrests ${s.arrests}`];
+      },
+      items: [
+        { label: () => game.restartLabel(), action: (m) => { m.close(); game.restart(); } },
+        { label: 'Quit to title', action: (m) => m.open('title') },
+      ],
+    },
+  };
+}
+
+export class Menus {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param game facade: canContinue, continueGame, newGame, newGameLabel, restart, restartLabel,
+   *   openControls, getVolume/setVolume, getAccess/setAccess, touchEnabled/setTouch, runStats,
+   *   harry() (Harry's anchor on screen for the tagline), device() ('keyboard' | 'pad' | 'touch')
+   */
+  constructor(canvas, game) {
+    this.canvas = canvas;
+    this.game = game;
+    this.screens = buildScreens(game);
+    this.stack = []; // [{ name, sel }]
+    this.t = 0;      // s since the bottom screen opened
+    if (canvas?.addEventListener) canvas.addEventListener('pointerdown', (e) => this._onPointer(e));
+  }
+
+  get active() {
+    return this.stack.length > 0;
+  }
+
+  get name() {
+    return this.stack.at(-1)?.name ?? null;
+  }
+
+  /** True while the open screen holds the game (everything but game over). */
+  get holds() {
+    return this.active && this.screens[this.name].holds !== false;
+  }
+
+  open(name) {
+    this.stack = [{ name, sel: 0 }];
+    this.t = 0;
+    this._fixSel();
+  }
+
+  push(name) {
+    this.stack.push({ name, sel: 0 });
+    this._fixSel();
+  }
+
+  back() {
+    const mode = this.screens[this.name].back;
+    if (this.stack.length > 1) this.stack.pop();
+    else if (mode === 'close') this.close();
+  }
+
+  close() {
+    this.stack = [];
+  }
+
+  update(dt) {
+    if (this.active) this.t += dt;
+  }
+
+  _items() {
+    return this.screens[this.name].items.filter(i => !i.hidden?.());
+  }
+
+  // Keep the selection on a visible item (Continue comes and goes)
+  _fixSel() {
+    const top = this.stack.at(-1);
+    top.sel = Math.max(0, Math.min(top.sel, this._items().length - 1));
+  }
+
+  _ready() {
+    return this.t >= (this.screens[this.stack[0].name].delay ?? 0);
+  }
+
+  /** Feed a normalized key (or a pad's virtual key) while a menu is open. */
+  handleKey(key) {
+    if (!this.active || !this._ready()) return;
+    const top = this.stack.at(-1);
+    const items = this._items();
+    const item = items[top.sel];
+    if (NAV.up.includes(key)) top.sel = (top.sel + items.length - 1) % items.length;
+    else if (NAV.down.includes(key)) top.sel = (top.sel + 1) % items.length;
+    else if (NAV.left.includes(key)) item?.adjust?.(-1);
+    else if (NAV.right.includes(key)) item?.adjust?.(1);
+    else if (NAV.ok.includes(key)) this._choose(item, 1);
+    else if (NAV.back.includes(key)) this.back();
+  }
+
+  _choose(item, dir) {
+    if (!item) return;
+    if (item.action) item.action(this);
+    else item.adjust?.(dir);
+    if (this.active) this._fixSel();
+  }
+
+  // Rows of the visible items: y of each label baseline (view px)
+  _layout() {
+    const screen = this.screens[this.name];
+    const top = this.name === 'title' ? 58 : screen.stats ? 50 : 38;
+    return this._items().map((item, i) => ({ item, y: top + i * ROW_H }));
+  }
+
+  _onPointer(e) {
+    if (!this.active || !this._ready()) return;
+    const r = this.canvas.getBoundingClientRect();
+    const x = (e.clientX - r.left) * VW / r.width;
+    const y = (e.clientY - r.top) * VH / r.height;
+    this._layout().forEach(({ item, y: rowY }, i) => {
+      if (y < rowY - ROW_H + 2 || y >= rowY + 2) return;
+      this.stack.at(-1).sel = i;
+      this._choose(item, item.value && x < VW / 2 + 26 ? -1 : 1);
+    });
+  }
+
+  draw(ctx) {
+    if (!this.active) return;
+    const screen = this.screens[this.name];
+    const base = this.screens[this.stack[0].name];
+    const fade = Math.min(1, this.t / (base.delay || 0.25));
+    const label = (item) => (typeof item.label === 'function' ? item.label() : item.label);
+    const width = (s, px) => {
+      const old = ctx.font;
+      ctx.font = `${px * INTERNAL_SCALE}px monospace`;
+      const w = ctx.measureText(s).width / INTERNAL_SCALE;
+      ctx.font = old;
+      return w;
+    };
+    const centered = (s, y, px, color) => drawOutlinedText(ctx, s, Math.floor(VW / 2 - width(s, px) / 2), y, color, '#000', px);
+
+    ctx.save();
+    ctx.globalAlpha = fade * (this.name === 'title' ? 0.55 : 0.7);
+    ctx.fillStyle = this.stack[0].name === 'gameover' ? '#1a0606' : '#000';
+    ctx.fillRect(0, 0, VW, VH);
+    ctx.globalAlpha = fade;
+
+    if (this.name === 'title') {
+      const typed = TITLE.slice(0, Math.floor(this.t * TITLE_CPS));
+      drawOutlinedText(ctx, typed, Math.floor(VW / 2 - width(TITLE, 12) / 2), 26, '#d9e0ff', '#000', 12);
+      const h = this.game.harry();
+      if (typed.length === TITLE.length && h) {
+        drawSpeechBubble(ctx, 'Go ahead, make my day.', h.x, h.y, 1, { speaker: 'harry', maxWidth: 100, forceChunk: false });
+        ctx.textBaseline = 'alphabetic'; // the bubble leaves it at 'top'
+      }
+    } else {
+      centered(screen.heading, 24, 8, this.name === 'gameover' ? '#e0b3b3' : '#cbd1ff');
+    }
+    if (screen.stats) screen.stats().forEach((line, i) => centered(line, 33 + i * 6, 4, '#9aa3c7'));
+
+    const sel = this.stack.at(-1).sel;
+    for (const [i, { item, y }] of this._layout().entries()) {
+      const on = i === sel;
+      const color = on ? '#ffd27a' : '#9aa3c7';
+      if (item.value) {
+        drawOutlinedText(ctx, (on ? '> ' : '  ') + label(item), VW / 2 - 52, y, color, '#000', 5);
+        drawOutlinedText(ctx, on ? `< ${item.value()} >` : `  ${item.value()}`, VW / 2 + 8, y, on ? '#ffffff' : color, '#000', 5);
+      } else {
+        centered((on ? '> ' : '') + label(item) + (on ? ' <' : ''), y, 5, color);
+      }
+    }
+
+    const pad = this.game.device() === 'pad';
+    const hint = pad ? 'A: choose   B: back   d-pad: move' : 'Enter: choose   Esc: back   arrows: move';
+    centered(hint, VH - 3, 4, '#5d6488');
+    ctx.restore();
+  }
+}
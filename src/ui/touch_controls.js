@@ -0,0 +1,235 @@
+/**
+ * On-screen touch controls: a virtual d-pad and action buttons drawn as pixel art in the
+ * VW×VH view. Touches on the canvas become virtual keys ('TouchLeft', 'TouchFire', ...) in
+ * the same held/one-shot key sets the keyboard fills, mapped onto actions by TOUCH_BINDINGS.
+ *
+ * - The d-pad reads the finger's offset from its centre, so diagonals (walk + jump) work
+ *   and a finger can slide between directions.
+ * - Aim is a toggle: tap to raise the magnum, tap again to lower it.
+ * - Holding the Molotov button lights the bottle and then charges the throw; its analog
+ *   depth is how long it has been held, released to throw.
+ * - The context button carries the current interaction hint ("Talk", "Investigate").
+ *
+ * Turns on by itself on touch devices (or at the first touch); `enabled` overrides it.
+ */
+import { VW, VH, INTERNAL_SCALE } from '../core/constants.js';
+
+const DPAD = { x: 22, y: 86, r: 17 }; // centre and reach of the d-pad
+const DPAD_DEAD = 3;                  // finger offset ignored around the centre
+const MOLOTOV_PREP_MS = 250;          // the bottle lights before it starts to charge
+
+// Buttons in view pixels
+const BUTTONS = [
+  { key: 'TouchFire', x: 170, y: 82, w: 18, h: 18 },
+  { key: 'TouchMolotov', x: 152, y: 88, w: 14, h: 14 },
+  { key: 'TouchAim', x: 152, y: 70, w: 14, h: 14 },
+  { key: 'TouchAct', x: 170, y: 68, w: 18, h: 10 }, // widened to fit the hint when drawn
+  { key: 'TouchJournal', x: 154, y: 2, w: 10, h: 8 },
+  { key: 'TouchPause', x: 166, y: 2, w: 10, h: 8 },
+  { key: 'TouchRestart', x: 178, y: 2, w: 10, h: 8 },
+];
+const HIT_PAD = 2; // fingers are fat; buttons take touches a little outside their art
+
+export function isTouchDevice(win = globalThis) {
+  return !!win && ('ontouchstart' in win || (win.navigator?.maxTouchPoints ?? 0) > 0);
+}
+
+export class TouchControls {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {{ chargeMs?: number, enabled?: boolean }} opts chargeMs = hold time to full Molotov charge
+   */
+  constructor(canvas, { chargeMs = 1200, enabled } = {}) {
+    this.canvas = canvas;
+    this.chargeMs = chargeMs;
+    this.enabled = typeof enabled === 'boolean' ? enabled : isTouchDevice();
+    this.touches = new Map(); // touch id -> { x, y, keys, since }
+    this.aimOn = false;
+    this.down = new Set();
+    this.analog = {};
+    this.fresh = false;   // a finger went down before the last poll (the aim toggle stays held)
+    this._started = false;
+    this.actWidth = BUTTONS.find(b => b.key === 'TouchAct').w;
+    if (canvas?.addEventListener) {
+      const opts = { passive: false };
+      canvas.addEventListener('touchstart', (e) => this._onTouch(e, 'start'), opts);
+      canvas.addEventListener('touchmove', (e) => this._onTouch(e, 'move'), opts);
+      canvas.addEventListener('touchend', (e) => this._onTouch(e, 'end'), opts);
+      canvas.addEventListener('touchcancel', (e) => this._onTouch(e, 'end'), opts);
+    }
+  }
+
+  setEnabled(on) {
+    this.enabled = !!on;
+    if (!this.enabled) { this.touches.clear(); this.aimOn = false; }
+  }
+
+  // Client coordinates to view pixels
+  _point(t) {
+    const r = this.canvas.getBoundingClientRect();
+    return { x: (t.clientX - r.left) * VW / r.width, y: (t.clientY - r.top) * VH / r.height };
+  }
+
+  /** Virtual keys under a point in view pixels. */
+  hitTest(x, y) {
+    const dx = x - DPAD.x, dy = y - DPAD.y;
+    if (dx * dx + dy * dy <= DPAD.r * DPAD.r) {
+      const out = [];
+      if (dx < -DPAD_DEAD) out.push('TouchLeft');
+      if (dx > DPAD_DEAD) out.push('TouchRight');
+      if (dy < -DPAD_DEAD * 2) out.push('TouchUp');
+      if (dy > DPAD_DEAD * 2) out.push('TouchDown');
+      return out;
+    }
+    for (const b of BUTTONS) {
+      const w = b.key === 'TouchAct' ? this.actWidth : b.w;
+      const bx = b.key === 'TouchAct' ? b.x + b.w - w : b.x;
+      if (x >= bx - HIT_PAD && x < bx + w + HIT_PAD && y >= b.y - HIT_PAD && y < b.y + b.h + HIT_PAD) return [b.key];
+    }
+    return [];
+  }
+
+  _onTouch(e, phase) {
+    e.preventDefault(); // no scrolling, zooming or synthetic mouse events over the game
+    this.enabled = true;
+    const now = performance.now();
+    for (const t of e.changedTouches) {
+      if (phase === 'end') { this.touches.delete(t.identifier); continue; }
+      if (phase === 'start') this._started = true;
+      const p = this._point(t);
+      const keys = this.hitTest(p.x, p.y);
+      const prev = this.touches.get(t.identifier);
+      if (phase === 'start' && keys[0] === 'TouchAim') this.aimOn = !this.aimOn;
+      // Held time restarts when the finger moves onto a different button
+      const since = prev && prev.keys.join() === keys.join() ? prev.since : now;
+      this.touches.set(t.identifier, { ...p, keys, since });
+    }
+  }
+
+  /**
+   * Fold the touches into `keys` (held) and `pressed` (went down this poll), like the pad.
+   * @returns {Record<string, number>} analog depth 0..1 of the touch keys that are down
+   */
+  poll(keys, pressed, now = performance.now()) {
+    const held = new Set();
+    const analog = {};
+    if (this.enabled) {
+      for (const t of this.touches.values()) {
+        for (const k of t.keys) {
+          if (k === 'TouchAim') continue; // toggled, below
+          held.add(k);
+          if (k === 'TouchMolotov') {
+            const level = Math.max(0, Math.min(1, (now - t.since - MOLOTOV_PREP_MS) / this.chargeMs));
+            analog[k] = Math.max(analog[k] ?? 0, level);
+          }
+        }
+      }
+      if (this.aimOn) held.add('TouchAim');
+    }
+    for (const k of held) {
+      if (!this.down.has(k)) { keys.add(k); pressed.add(k); }
+    }
+    for (const k of this.down) if (!held.has(k)) keys.delete(k);
+    this.down = held;
+    this.analog = analog;
+    this.fresh = this.enabled && this._started;
+    this._started = false;
+    return analog;
+  }
+
+  /** Draw the overlay; `hint` is the current interaction hint (or null). */
+  draw(ctx, hint = null) {
+    if (!this.enabled) return;
+    const on = (k) => this.down.has(k);
+    ctx.save();
+
+    const text = (s, x, y, px, color) => {
+      const hd = INTERNAL_SCALE;
+      ctx.fillStyle = color;
+      ctx.font = `${px * hd}px monospace`;
+      ctx.save(); ctx.scale(1 / hd, 1 / hd);
+      ctx.fillText(s, Math.floor(x * hd), Math.floor(y * hd));
+      ctx.restore();
+    };
+    const textWidth = (s, px) => {
+      ctx.font = `${px * INTERNAL_SCALE}px monospace`;
+      return ctx.measureText(s).width / INTERNAL_SCALE;
+    };
+    const plate = (x, y, w, h, lit, edge = '#5a6080') => {
+      ctx.globalAlpha = lit ? 0.85 : 0.5;
+      ctx.fillStyle = lit ? '#3a4470' : '#14161e';
+      ctx.fillRect(x, y, w, h);
+      ctx.globalAlpha = 0.8;
+      ctx.strokeStyle = edge;
+      ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+      ctx.globalAlpha = 1;
+    };
+
+    // D-pad: a cross with one arrow per arm
+    const { x: cx, y: cy } = DPAD;
+    plate(cx - 14, cy - 5, 28, 10, false);
+    plate(cx - 5, cy - 14, 10, 28, false);
+    const arm = (k, x, y, w, h) => { if (on(k)) plate(x, y, w, h, true); };
+    arm('TouchLeft', cx - 14, cy - 5, 10, 10);
+    arm('TouchRight', cx + 4, cy - 5, 10, 10);
+    arm('TouchUp', cx - 5, cy - 14, 10, 10);
+    arm('TouchDown', cx - 5, cy + 4, 10, 10);
+    ctx.fillStyle = '#cbd1ff';
+    for (let i = 0; i < 3; i++) {
+      ctx.fillRect(cx - 11 + i, cy - i, 1, 1 + 2 * i);     // left
+      ctx.fillRect(cx + 10 - i, cy - i, 1, 1 + 2 * i);     // right
+      ctx.fillRect(cx - i, cy - 11 + i, 1 + 2 * i, 1);     // up
+      ctx.fillRect(cx - i, cy + 10 - i, 1 + 2 * i, 1);     // down
+    }
+
+    for (const b of BUTTONS) {
+      const { key } = b;
+      if (key === 'TouchAct') continue; // drawn last, sized to its hint
+      plate(b.x, b.y, b.w, b.h, on(key), key === 'TouchAim' && this.aimOn ? '#ffd27a' : '#5a6080');
+      const mx = b.x + Math.floor(b.w / 2), my = b.y + Math.floor(b.h / 2);
+      if (key === 'TouchFire') {
+        // Muzzle burst
+        ctx.fillStyle = '#ffd27a';
+        ctx.fillRect(mx - 1, my - 5, 2, 10);
+        ctx.fillRect(mx - 5, my - 1, 10, 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(mx - 2, my - 2, 4, 4);
+      } else if (key === 'TouchMolotov') {
+        // Bottle with a burning rag, filling up as the throw charges
+        const level = this.analog.TouchMolotov ?? 0;
+        if (level > 0) {
+          ctx.fillStyle = '#ffaa00';
+          ctx.fillRect(b.x + 1, b.y + b.h - 1 - Math.round((b.h - 2) * level), 2, Math.round((b.h - 2) * level));
+        }
+        ctx.fillStyle = '#2a4a2a'; ctx.fillRect(mx - 2, my - 1, 5, 6);
+        ctx.fillRect(mx - 1, my - 3, 3, 2);
+        ctx.fillStyle = '#f5f5dc'; ctx.fillRect(mx, my - 5, 1, 2);
+        ctx.fillStyle = on(key) ? '#ff6600' : '#7a5a3a'; ctx.fillRect(mx, my - 6, 1, 1);
+      } else if (key === 'TouchAim') {
+        // Crosshair
+        ctx.strokeStyle = this.aimOn ? '#ffd27a' : '#cbd1ff';
+        ctx.strokeRect(mx - 3.5, my - 3.5, 7, 7);
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.fillRect(mx, my - 5, 1, 3); ctx.fillRect(mx, my + 3, 1, 3);
+        ctx.fillRect(mx - 5, my, 3, 1); ctx.fillRect(mx + 3, my, 3, 1);
+      } else if (key === 'TouchJournal') {
+        ctx.fillStyle = '#cbd1ff'; ctx.fillRect(mx - 3, my - 3, 6, 6);
+        ctx.fillStyle = '#14161e'; ctx.fillRect(mx - 2, my - 1, 4, 1); ctx.fillRect(mx - 2, my + 1, 4, 1);
+      } else if (key === 'TouchPause') {
+        ctx.fillStyle = '#cbd1ff'; ctx.fillRect(mx - 2, my - 2, 1, 4); ctx.fillRect(mx + 1, my - 2, 1, 4);
+      } else if (key === 'TouchRestart') {
+        text('R', mx - 1.2, my + 1.8, 5, '#cbd1ff');
+      }
+    }
+
+    // Context button: shows what Interact would do here, dim when there is nothing to do
+    const act = BUTTONS.find(b => b.key === 'TouchAct');
+    const label = hint || 'Act';
+    this.actWidth = Math.max(act.w, Math.ceil(textWidth(label, 4)) + 4);
+    const ax = act.x + act.w - this.actWidth;
+    plate(ax, act.y, this.actWidth, act.h, on('TouchAct'), hint ? '#9fd3ff' : '#5a6080');
+    text(label, ax + 2, act.y + act.h - 3, 4, hint ? '#ffffff' : '#7f86a8');
+
+    ctx.restore();
+  }
+}
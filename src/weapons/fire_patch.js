@@ -31,7 +31,7 @@ export class FirePatch {
     this.radiusMax = cfg.radiusStart;
     this.radiusMin = cfg.radiusEnd;
     this.tickInterval = Math.max(16, cfg.tickIntervalMs);
-    this.lastTick = performance.now();
+    this.sinceTick = 0; // ms since the last damage tick (game time, not wall clock)
     this.active = true;
     this._radius = this.radiusMax;
   }
@@ -60,9 +60,9 @@ export class FirePatch {
     this._radius = this.radiusMin + (this.radiusMax - this.radiusMin) * lifeRatio;
 
     // Damage tick
-    const now = performance.now();
-    if (now - this.lastTick >= this.tickInterval) {
-      this.lastTick = now;
+    this.sinceTick += dt * 1000;
+    if (this.sinceTick >= this.tickInterval) {
+      this.sinceTick = 0;
       // Damage entities in radius (circle check)
       if (Array.isArray(world.candidates)) {
         const r = this._radius;
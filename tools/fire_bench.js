@@ -0,0 +1,60 @@
+/**
+ * Headless FireEngine benchmark: full-grid sweeps vs active-region stepping.
+ *
+ * Runs on plain Node (no DOM): `node tools/fire_bench.js [steps]`
+ *
+ * Scenarios over the real world grid (WORLD_W x VH):
+ * - idle: nothing burning; active stepping should cost close to nothing
+ * - molotov: one burning fuel pool; only the chunks around it should be swept
+ */
+import { WORLD_W, VH, GROUND_Y } from '../src/core/constants.js';
+import { FireEngine } from '../src/sim/engine.js';
+import { Materials as Mat } from '../src/sim/materials.js';
+
+const STEPS = Number(process.argv[2]) || 240;
+const DT = 1 / 60;
+const SEED = 1234;
+
+function paintMolotov(grid, cx, cy, r = 14) {
+  for (let y = cy - r; y <= cy + r; y++) {
+    for (let x = cx - r; x <= cx + r; x++) {
+      const dx = x - cx, dy = y - cy;
+      if (dx*dx + dy*dy > r*r) continue;
+      grid.setCell(x, y, Mat.FUEL, 630, 1.0, (x + y) % 3 !== 0);
+    }
+  }
+}
+
+function run(name, fullSweep, setup) {
+  const engine = new FireEngine(WORLD_W, VH);
+  engine.reseed(SEED);
+  engine.fullSweep = fullSweep;
+  setup(engine.grid);
+  let chunks = 0;
+  const t0 = performance.now();
+  for (let i = 0; i < STEPS; i++) {
+    engine.step(DT);
+    chunks += engine.stats.activeChunks;
+  }
+  const ms = performance.now() - t0;
+  return {
+    scenario: name,
+    mode: fullSweep ? 'full' : 'active',
+    'ms/step': +(ms / STEPS).toFixed(3),
+    'avg chunks': +(chunks / STEPS).toFixed(1),
+    'of total': engine.stats.totalChunks,
+  };
+}
+
+const scenarios = {
+  idle: () => {},
+  molotov: (g) => paintMolotov(g, WORLD_W >> 1, GROUND_Y - 4),
+};
+
+const rows = [];
+for (const [name, setup] of Object.entries(scenarios)) {
+  rows.push(run(name, true, setup));
+  rows.push(run(name, false, setup));
+}
+console.log(`FireEngine ${WORLD_W}x${VH}, ${STEPS} steps @ ${DT.toFixed(4)}s`);
+console.table(rows);
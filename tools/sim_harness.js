@@ -0,0 +1,158 @@
+/**
+ * Golden-output harness for src/sim (plain Node, no DOM).
+ *
+ * Usage:
+ *   node tools/sim_harness.js                    # compare every scenario with tools/golden/*.json
+ *   node tools/sim_harness.js --update           # rewrite the golden files
+ *   node tools/sim_harness.js --ascii fuel_pool  # print the ASCII render of one scenario
+ *   node tools/sim_harness.js --ppm out/         # also write <scenario>.ppm images
+ *
+ * Exit code is 1 when any scenario drifts from its golden dump; the expected and
+ * actual ASCII frames are printed so the difference is visible in CI logs. An unknown
+ * scenario name exits with 2.
+ */
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runScenario, summarize, renderAscii, renderPPM } from '../src/sim/harness.js';
+
+const GOLDEN_DIR = join(dirname(fileURLToPath(import.meta.url)), 'golden');
+
+const FLOOR = { op: 'rect', mat: 'STONE', x: 0, y: 44, w: 96, h: 4 };
+
+export const SCENARIOS = [
+  {
+    name: 'fuel_pool',
+    w: 96, h: 48, seed: 11, steps: 180,
+    paint: [
+      FLOOR,
+      { op: 'circle', mat: 'FUEL', x: 48, y: 40, r: 5, temp: 640, burning: true },
+    ],
+  },
+  {
+    name: 'water_line',
+    w: 96, h: 48, seed: 12, steps: 180,
+    paint: [
+      FLOOR,
+      { op: 'rect', mat: 'WATER', x: 20, y: 42, w: 56, h: 2 },
+      { op: 'circle', mat: 'FUEL', x: 48, y: 36, r: 4, temp: 640, burning: true },
+    ],
+  },
+  {
+    name: 'stone_wall',
+    w: 96, h: 48, seed: 13, steps: 180,
+    paint: [
+      FLOOR,
+      { op: 'rect', mat: 'STONE', x: 52, y: 20, w: 3, h: 24 },
+      { op: 'circle', mat: 'FUEL', x: 44, y: 40, r: 5, temp: 640, burning: true },
+    ],
+  },
+  {
+    name: 'windy_pool',
+    w: 96, h: 48, seed: 14, steps: 180, wind: { x: 8, y: 0 },
+    paint: [
+      FLOOR,
+      { op: 'circle', mat: 'FUEL', x: 36, y: 40, r: 5, temp: 640, burning: true },
+      { op: 'rect', mat: 'FUEL', x: 42, y: 43, w: 30, h: 1 },
+    ],
+  },
+  {
+    name: 'gas_can',
+    w: 96, h: 48, seed: 15, steps: 300,
+    paint: [
+      FLOOR,
+      { op: 'rect', mat: 'TANK', x: 52, y: 38, w: 6, h: 6 },
+      { op: 'circle', mat: 'FUEL', x: 44, y: 42, r: 4, temp: 640, burning: true },
+      { op: 'rect', mat: 'WATER', x: 62, y: 42, w: 10, h: 2 },
+    ],
+  },
+  {
+    name: 'crate_and_pane',
+    w: 96, h: 48, seed: 16, steps: 300,
+    paint: [
+      FLOOR,
+      { op: 'circle', mat: 'FUEL', x: 44, y: 38, r: 6, temp: 640, burning: true },
+      { op: 'rect', mat: 'WOOD', x: 30, y: 36, w: 12, h: 8 },
+      { op: 'rect', mat: 'GLASS', x: 49, y: 28, w: 4, h: 16 },
+    ],
+  },
+  {
+    name: 'street_junk',
+    w: 96, h: 48, seed: 17, steps: 300,
+    paint: [
+      FLOOR,
+      { op: 'rect', mat: 'ASPHALT', x: 0, y: 44, w: 96, h: 1 },
+      { op: 'circle', mat: 'FUEL', x: 48, y: 40, r: 5, temp: 640, burning: true },
+      { op: 'rect', mat: 'PAPER', x: 36, y: 42, w: 6, h: 2 },
+      { op: 'rect', mat: 'RUBBER', x: 54, y: 38, w: 8, h: 6 },
+      { op: 'rect', mat: 'METAL', x: 20, y: 43, w: 30, h: 1 },
+    ],
+  },
+];
+
+function dump(spec) {
+  const grid = runScenario(spec).grid;
+  return {
+    grid,
+    result: { name: spec.name, steps: spec.steps, seed: spec.seed, ...summarize(grid), ascii: renderAscii(grid, 2) },
+  };
+}
+
+function main(argv) {
+  const update = argv.includes('--update');
+  const ascii = argv.includes('--ascii');
+  const ppmAt = argv.indexOf('--ppm');
+  const ppmDir = ppmAt >= 0 ? argv[ppmAt + 1] : null;
+  const names = argv.filter((a, i) => !a.startsWith('--') && !(ppmAt >= 0 && i === ppmAt + 1));
+  const unknown = names.filter(n => !SCENARIOS.some(s => s.name === n));
+  if (unknown.length) {
+    console.error(`unknown scenario: ${unknown.join(', ')} (known: ${SCENARIOS.map(s => s.name).join(', ')})`);
+    process.exitCode = 2;
+    return;
+  }
+  const selected = names.length ? SCENARIOS.filter(s => names.includes(s.name)) : SCENARIOS;
+
+  let failed = 0;
+  for (const spec of selected) {
+    const { grid, result } = dump(spec);
+    const file = join(GOLDEN_DIR, `${spec.name}.json`);
+    if (ppmDir) {
+      mkdirSync(ppmDir, { recursive: true });
+      writeFileSync(join(ppmDir, `${spec.name}.ppm`), renderPPM(grid));
+    }
+    if (ascii) console.log(`-- ${spec.name}\n${result.ascii.join('\n')}`);
+    if (update) {
+      mkdirSync(GOLDEN_DIR, { recursive: true });
+      writeFileSync(file, JSON.stringify(result, null, 2) + '\n');
+      console.log(`updated ${spec.name}`);
+      continue;
+    }
+    if (!existsSync(file)) {
+      console.log(`MISSING ${spec.name} (run with --update)`);
+      failed++;
+      continue;
+    }
+    const expected = JSON.parse(readFileSync(file, 'utf8'));
+    if (JSON.stringify(expected) === JSON.stringify(result)) {
+      console.log(`ok ${spec.name}`);
+      continue;
+    }
+    failed++;
+    console.log(`FAIL ${spec.name}`);
+    for (const key of ['materials', 'burning', 'tempHistogram']) {
+      if (JSON.stringify(expected[key]) !== JSON.stringify(result[key])) {
+        console.log(`  ${key}: expected ${JSON.stringify(expected[key])}\n  ${key}:   actual ${JSON.stringify(result[key])}`);
+      }
+    }
+    const width = Math.max(...expected.ascii.map(l => l.length), 1);
+    console.log(`  ${'expected'.padEnd(width)} | actual`);
+    const rows = Math.max(expected.ascii.length, result.ascii.length);
+    for (let i = 0; i < rows; i++) {
+      const a = expected.ascii[i] || '', b = result.ascii[i] || '';
+      console.log(`${a === b ? ' ' : '!'} ${a.padEnd(width)} | ${b}`);
+    }
+  }
+  process.exitCode = failed ? 1 : 0;
+}
+
+main(process.argv.slice(2));